@@ -19,6 +19,32 @@ function fromAxisAngle(axis, angle) {
   return q;
 }
 
+/**
+ * Animation root that forwards its animated property "value" to a callback
+ */
+class ValueTarget extends THREE.Object3D {
+  /**
+   * @param {function} callback - called with the new value whenever it changes
+   */
+  constructor(callback) {
+    super();
+    this.callback = callback;
+    // a number for the property binding, but different from any animated value
+    this._value = NaN;
+  }
+
+  get value() {
+    return this._value;
+  }
+
+  set value(value) {
+    if (value !== this._value) {
+      this._value = value;
+      this.callback(value);
+    }
+  }
+}
+
 class Animation {
   constructor(delim) {
     this.delim = delim;
@@ -114,6 +140,19 @@ class Animation {
     }
   }
 
+  /**
+   * Add a track for the property "value" of the animation root, see ValueTarget
+   * @param {number[]} times - array of times
+   * @param {number[]} values - array of numbers
+   */
+  addValueTrack(times, values) {
+    if (times.length != values.length) {
+      console.error("times and values arrays need have the same lenght");
+      return;
+    }
+    this.tracks.push(new THREE.NumberKeyframeTrack(".value", times, values));
+  }
+
   backup() {
     this._backup = {
       tracks: this.tracks,
@@ -174,6 +213,14 @@ class Animation {
     return this.clipAction.time / this.duration;
   }
 
+  /**
+   * Current time of the animation
+   * @returns {number | null} null if no animation has been set up
+   */
+  getTime() {
+    return this.clipAction == null ? null : this.clipAction.time;
+  }
+
   dispose() {
     this.mixer = null;
     this.clipAction = null;
@@ -189,4 +236,4 @@ class Animation {
   }
 }
 
-export { Animation };
+export { Animation, ValueTarget };
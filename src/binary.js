@@ -0,0 +1,326 @@
+/**
+ * Binary container for Shapes objects ("tcvb").
+ *
+ * Layout, all numbers are little endian:
+ *
+ *     offset   bytes  content
+ *     0        4      magic "TCVB"
+ *     4        4      uint32 container version (1)
+ *     8        4      uint32 byte length n of the header, a multiple of 4
+ *     12       n      UTF-8 encoded JSON header, padded with spaces
+ *     12 + n   ...    chunks, each starting at a multiple of 4
+ *
+ * The header is a JSON object {shapes, chunks}:
+ * - shapes: the Shapes object where the arrays of every shape (vertices, normals, triangles,
+ *   edges, obj_vertices, face_types, edge_types, triangles_per_face, segments_per_edge)
+ *   are replaced by {"$chunk": index}.
+ * - chunks: list of {offset, length, encoding} with the offset relative to the first chunk
+ *   and the number of decoded values as length.
+ *
+ * Chunk encodings:
+ * - "f32": Float32 values
+ * - "u32": Uint32 values
+ * - "u16": Uint16 values, decoded into Uint32 values
+ * - "q16": quantized 3-dim points, one Uint16 q per coordinate. The chunk has the
+ *   additional fields min and scale (3 numbers each), coordinate k decodes to
+ *   min[k] + q * scale[k]
+ * - "oct16": octahedral encoded unit vectors, two Int16 (snorm) per vector, decoded into
+ *   3 Float32 values per vector
+ *
+ * Decoded chunks are Float32Array or Uint32Array objects as accepted by NestedGroup.renderShape.
+ * "f32" and "u32" chunks are views into the container buffer and not copied.
+ */
+
+import { flatten } from "./utils.js";
+
+const magic = "TCVB";
+const containerVersion = 1;
+
+// shape arrays and their decoded type
+const chunkKeys = {
+  vertices: Float32Array,
+  normals: Float32Array,
+  triangles: Uint32Array,
+  edges: Float32Array,
+  obj_vertices: Float32Array,
+  face_types: Uint32Array,
+  edge_types: Uint32Array,
+  triangles_per_face: Uint32Array,
+  segments_per_edge: Uint32Array,
+};
+
+// shape arrays that are lists of 3-dim points
+const pointKeys = ["vertices", "edges", "obj_vertices"];
+
+/**
+ * Round up to a multiple of 4
+ * @param {number} n
+ * @returns {number}
+ */
+function align4(n) {
+  return (n + 3) & ~3;
+}
+
+/**
+ * Quantize 3-dim points to 16 bit per coordinate within their bounding box
+ * @param {Float32Array} values - flat list of points
+ * @returns {{data: Uint16Array, min: number[], scale: number[]}}
+ */
+function quantizePoints(values) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < values.length; i++) {
+    const k = i % 3;
+    if (values[i] < min[k]) min[k] = values[i];
+    if (values[i] > max[k]) max[k] = values[i];
+  }
+  const scale = min.map((m, k) => (max[k] > m ? (max[k] - m) / 65535 : 1));
+  const data = new Uint16Array(values.length);
+  for (let i = 0; i < values.length; i++) {
+    const k = i % 3;
+    data[i] = Math.round((values[i] - min[k]) / scale[k]);
+  }
+  return { data: data, min: min, scale: scale };
+}
+
+/**
+ * Octahedral encoding of unit vectors, 16 bit per component
+ * @param {Float32Array} values - flat list of 3-dim unit vectors
+ * @returns {Int16Array} two components per vector
+ */
+function octEncode(values) {
+  const count = values.length / 3;
+  const data = new Int16Array(2 * count);
+  for (let i = 0; i < count; i++) {
+    const x = values[3 * i];
+    const y = values[3 * i + 1];
+    const z = values[3 * i + 2];
+    const sum = Math.abs(x) + Math.abs(y) + Math.abs(z);
+    let u = sum > 0 ? x / sum : 0;
+    let v = sum > 0 ? y / sum : 0;
+    if (z < 0) {
+      // fold the lower hemisphere over the diagonals
+      const fu = (1 - Math.abs(v)) * (u >= 0 ? 1 : -1);
+      v = (1 - Math.abs(u)) * (v >= 0 ? 1 : -1);
+      u = fu;
+    }
+    data[2 * i] = Math.round(u * 32767);
+    data[2 * i + 1] = Math.round(v * 32767);
+  }
+  return data;
+}
+
+/**
+ * Decode octahedral encoded unit vectors
+ * @param {Int16Array} data - two components per vector
+ * @returns {Float32Array} three components per vector
+ */
+function octDecode(data) {
+  const count = data.length / 2;
+  const values = new Float32Array(3 * count);
+  for (let i = 0; i < count; i++) {
+    let x = Math.max(data[2 * i] / 32767, -1);
+    let y = Math.max(data[2 * i + 1] / 32767, -1);
+    const z = 1 - Math.abs(x) - Math.abs(y);
+    const t = Math.max(-z, 0);
+    x += x >= 0 ? -t : t;
+    y += y >= 0 ? -t : t;
+    const length = Math.hypot(x, y, z);
+    values[3 * i] = x / length;
+    values[3 * i + 1] = y / length;
+    values[3 * i + 2] = z / length;
+  }
+  return values;
+}
+
+/**
+ * Encode a Shapes object into the binary container (see top of module)
+ * @param {import ("./types.js").Shapes} shapes - Shapes with plain or typed arrays
+ * @param {object} [options]
+ * @param {boolean} [options.quantize=false] - store vertices, edges and obj_vertices with 16 bit
+ *                                             per coordinate within the bounding box of the array (lossy)
+ * @param {boolean} [options.octNormals=false] - store normals octahedral encoded with 2 x 16 bit (lossy)
+ * @returns {ArrayBuffer}
+ */
+function encodeShapes(shapes, { quantize = false, octNormals = false } = {}) {
+  const chunks = [];
+  const blobs = [];
+  var offset = 0;
+
+  const addChunk = (key, array) => {
+    const ArrayType = chunkKeys[key];
+    const values =
+      array instanceof ArrayType
+        ? array
+        : new ArrayType(flatten(array, Infinity));
+    const chunk = { offset: offset, length: values.length };
+    let data;
+    if (quantize && pointKeys.includes(key) && values.length > 0) {
+      const quantized = quantizePoints(values);
+      chunk.encoding = "q16";
+      chunk.min = quantized.min;
+      chunk.scale = quantized.scale;
+      data = quantized.data;
+    } else if (octNormals && key === "normals") {
+      chunk.encoding = "oct16";
+      data = octEncode(values);
+    } else if (
+      ArrayType === Uint32Array &&
+      values.every((value) => value < 65536)
+    ) {
+      chunk.encoding = "u16";
+      data = Uint16Array.from(values);
+    } else {
+      chunk.encoding = ArrayType === Uint32Array ? "u32" : "f32";
+      data = values;
+    }
+    chunks.push(chunk);
+    blobs.push(data);
+    offset += align4(data.byteLength);
+    return { $chunk: chunks.length - 1 };
+  };
+
+  const encode = (part) => {
+    const result = { ...part };
+    if (part.parts != null) {
+      result.parts = part.parts.map(encode);
+    }
+    // protocol version 1 shapes can be plain lists and stay in the header
+    if (part.shape != null && !Array.isArray(part.shape)) {
+      result.shape = { ...part.shape };
+      for (const key of Object.keys(chunkKeys)) {
+        if (part.shape[key] != null) {
+          result.shape[key] = addChunk(key, part.shape[key]);
+        }
+      }
+    }
+    return result;
+  };
+
+  const json = JSON.stringify({ shapes: encode(shapes), chunks: chunks });
+  const header = new TextEncoder().encode(json);
+  const headerLength = align4(header.byteLength);
+
+  const buffer = new ArrayBuffer(12 + headerLength + offset);
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  for (let i = 0; i < 4; i++) {
+    bytes[i] = magic.charCodeAt(i);
+  }
+  view.setUint32(4, containerVersion, true);
+  view.setUint32(8, headerLength, true);
+  bytes.set(header, 12);
+  bytes.fill(0x20, 12 + header.byteLength, 12 + headerLength);
+
+  const start = 12 + headerLength;
+  chunks.forEach((chunk, i) => {
+    const data = blobs[i];
+    bytes.set(
+      new Uint8Array(data.buffer, data.byteOffset, data.byteLength),
+      start + chunk.offset,
+    );
+  });
+  return buffer;
+}
+
+/**
+ * Whether data is a binary Shapes container
+ * @param {ArrayBuffer | ArrayBufferView} data
+ * @returns {boolean}
+ */
+function isBinaryShapes(data) {
+  if (!(data instanceof ArrayBuffer || ArrayBuffer.isView(data))) {
+    return false;
+  }
+  const bytes = ArrayBuffer.isView(data)
+    ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+    : new Uint8Array(data);
+  return (
+    bytes.length >= 12 &&
+    String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]) === magic
+  );
+}
+
+/**
+ * Decode a binary Shapes container (see top of module)
+ * @param {ArrayBuffer | ArrayBufferView} data - the container, e.g. a websocket message or comm buffer
+ * @returns {import ("./types.js").Shapes} Shapes with Float32Array and Uint32Array shape arrays
+ */
+function decodeShapes(data) {
+  if (!isBinaryShapes(data)) {
+    throw new Error("Not a binary Shapes container");
+  }
+  var buffer, base;
+  if (ArrayBuffer.isView(data)) {
+    if (data.byteOffset % 4 === 0) {
+      buffer = data.buffer;
+      base = data.byteOffset;
+    } else {
+      // typed array views need aligned offsets
+      buffer = data.buffer.slice(
+        data.byteOffset,
+        data.byteOffset + data.byteLength,
+      );
+      base = 0;
+    }
+  } else {
+    buffer = data;
+    base = 0;
+  }
+  const view = new DataView(buffer, base);
+  const version = view.getUint32(4, true);
+  if (version !== containerVersion) {
+    throw new Error(`Unsupported binary Shapes version: ${version}`);
+  }
+  const headerLength = view.getUint32(8, true);
+  const header = JSON.parse(
+    new TextDecoder().decode(new Uint8Array(buffer, base + 12, headerLength)),
+  );
+  const start = base + 12 + headerLength;
+
+  const decodeChunk = (chunk) => {
+    const offset = start + chunk.offset;
+    switch (chunk.encoding) {
+      case "f32":
+        return new Float32Array(buffer, offset, chunk.length);
+      case "u32":
+        return new Uint32Array(buffer, offset, chunk.length);
+      case "u16":
+        return Uint32Array.from(new Uint16Array(buffer, offset, chunk.length));
+      case "q16": {
+        const q = new Uint16Array(buffer, offset, chunk.length);
+        const values = new Float32Array(chunk.length);
+        for (let i = 0; i < q.length; i++) {
+          const k = i % 3;
+          values[i] = chunk.min[k] + q[i] * chunk.scale[k];
+        }
+        return values;
+      }
+      case "oct16":
+        return octDecode(
+          new Int16Array(buffer, offset, (2 * chunk.length) / 3),
+        );
+      default:
+        throw new Error(`Unknown chunk encoding: ${chunk.encoding}`);
+    }
+  };
+
+  const decode = (part) => {
+    if (part.parts != null) {
+      part.parts.forEach(decode);
+    }
+    if (part.shape != null && !Array.isArray(part.shape)) {
+      for (const key of Object.keys(chunkKeys)) {
+        const ref = part.shape[key];
+        if (ref != null && ref.$chunk != null) {
+          part.shape[key] = decodeChunk(header.chunks[ref.$chunk]);
+        }
+      }
+    }
+    return part;
+  };
+
+  return decode(header.shapes);
+}
+
+export { encodeShapes, decodeShapes, isBinaryShapes };
@@ -0,0 +1,353 @@
+import * as THREE from "three";
+import { DistanceLineArrow, AngleArc, TextLabel } from "./measure.js";
+import { AnnotationsPanel } from "./ui.js";
+import { deepDispose } from "../utils.js";
+
+class Annotation extends THREE.Group {
+  /**
+   * A pinned measurement. The geometry is created in world coordinates at pin time
+   * and follows the anchor shape via matrix = anchor.matrixWorld * anchorInverse.
+   * @param {number} id The id of the annotation
+   * @param {string} annotationType "distance", "properties", "angle" or "polyline"
+   * @param {object} data The measurement data (format of the backend response)
+   * @param {string} anchor The id of the shape the annotation is attached to
+   * @param {THREE.Matrix4} anchorInverse The inverse world matrix of the anchor at pin time
+   * @param {number} coneLength The reference size for arrows and labels
+   * @param {THREE.Color} color The color of lines and labels
+   */
+  constructor(
+    id,
+    annotationType,
+    data,
+    anchor,
+    anchorInverse,
+    coneLength,
+    color,
+  ) {
+    super();
+    this.annotationId = id;
+    this.annotationType = annotationType;
+    this.data = data;
+    this.anchor = anchor;
+    this.anchorInverse = anchorInverse;
+    this.coneLength = coneLength;
+    this.color = color;
+    this.type = "Annotation";
+    this.matrixAutoUpdate = false;
+    this.initialize();
+  }
+
+  initialize() {
+    const data = this.data;
+    const lineWidth = 3;
+    var label;
+    switch (this.annotationType) {
+      case "distance": {
+        const point1 = new THREE.Vector3(...data.refpoint1);
+        const point2 = new THREE.Vector3(...data.refpoint2);
+        this.add(
+          new DistanceLineArrow(
+            this.coneLength,
+            point1,
+            point2,
+            lineWidth,
+            this.color,
+          ),
+        );
+        label = new TextLabel(
+          data.Distance.toFixed(3),
+          this.color,
+          this.coneLength,
+        );
+        label.position.addVectors(point1, point2).multiplyScalar(0.5);
+        this.add(label);
+        break;
+      }
+      case "angle":
+        this.add(
+          new AngleArc(
+            this.coneLength,
+            new THREE.Vector3(...data.refpoint),
+            new THREE.Vector3(...data.dir1),
+            new THREE.Vector3(...data.dir2),
+            data.radius,
+            data.Angle,
+            lineWidth,
+            this.color,
+          ),
+        );
+        break;
+      case "polyline": {
+        const points = data.points.map((p) => new THREE.Vector3(...p));
+        for (let i = 1; i < points.length; i++) {
+          this.add(
+            new DistanceLineArrow(
+              this.coneLength,
+              points[i - 1],
+              points[i],
+              lineWidth,
+              this.color,
+            ),
+          );
+        }
+        label = new TextLabel(
+          data.Total.toFixed(3),
+          this.color,
+          this.coneLength,
+        );
+        label.position.copy(points[points.length - 1]);
+        this.add(label);
+        break;
+      }
+      case "properties": {
+        const key = this._mainProperty();
+        label = new TextLabel(
+          key == null ? data.shape_type : `${key} ${data[key].toFixed(3)}`,
+          this.color,
+          this.coneLength,
+        );
+        label.position.set(...data.refpoint);
+        this.add(label);
+        break;
+      }
+      default:
+        throw new Error(`Unknown annotation type: ${this.annotationType}`);
+    }
+  }
+
+  /**
+   * The most relevant scalar property of a properties measurement
+   * @returns {string | null}
+   */
+  _mainProperty() {
+    return (
+      ["Volume", "Area", "Length", "Radius"].find(
+        (key) => typeof this.data[key] === "number",
+      ) || null
+    );
+  }
+
+  /**
+   * Short description for the annotations list
+   * @returns {string}
+   */
+  getText() {
+    const data = this.data;
+    switch (this.annotationType) {
+      case "distance":
+        return (
+          `Distance ${data.Distance.toFixed(3)}` +
+          (data.info ? ` (${data.info})` : "")
+        );
+      case "angle":
+        return `Angle ${data.Angle.toFixed(2)}°`;
+      case "polyline":
+        return `Polyline ${data.Total.toFixed(3)} (${data.segments.length} segments)`;
+      default: {
+        const key = this._mainProperty();
+        return (
+          `${data.shape_type}` +
+          (key == null ? "" : `: ${key} ${data[key].toFixed(3)}`)
+        );
+      }
+    }
+  }
+
+  /**
+   * Follow the anchor shape
+   * @param {THREE.Object3D | null} anchor The current object of the anchor shape
+   */
+  updateMatrixFromAnchor(anchor) {
+    if (anchor == null) {
+      this.matrix.identity();
+    } else {
+      anchor.updateWorldMatrix(true, false);
+      this.matrix.multiplyMatrices(anchor.matrixWorld, this.anchorInverse);
+    }
+    this.matrixWorldNeedsUpdate = true;
+  }
+
+  /**
+   * Update arrows and labels so they keep the same size on the screen.
+   * @param {number} scaleFactor
+   */
+  update(scaleFactor) {
+    this.children.forEach((ch) => ch.update(scaleFactor));
+  }
+
+  /**
+   * Serializable representation, e.g. for the notify callback
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      id: this.annotationId,
+      type: this.annotationType,
+      anchor: this.anchor,
+      matrix: this.anchorInverse.toArray(),
+      visible: this.visible,
+      text: this.getText(),
+      data: this.data,
+    };
+  }
+}
+
+class Annotations {
+  /**
+   * Pinned measurements, independent of the active tool
+   * @param {import ("../viewer.js").Viewer} viewer The viewer instance
+   */
+  constructor(viewer) {
+    this.viewer = viewer;
+    this.scene = new THREE.Scene();
+    this.annotations = [];
+    this.lastId = 0;
+    this.color = 0x000000;
+    this.panel = new AnnotationsPanel(viewer.display);
+    this.panel.show(false);
+  }
+
+  /**
+   * Find the object of a shape id in the current nested group. Exploded shapes
+   * (faces, edges, vertices) fall back to their parent, e.g. when the tools are switched off.
+   * @param {string} id The "/" separated path of the shape
+   * @returns {THREE.Object3D | null}
+   */
+  _findAnchor(id) {
+    if (this.viewer.nestedGroup == null) return null;
+    const groups = this.viewer.nestedGroup.groups;
+    const parts = id.split("/");
+    while (parts.length > 1) {
+      const group = groups[parts.join("/")];
+      if (group != null) return group;
+      parts.pop();
+    }
+    return null;
+  }
+
+  /**
+   * Pin a measurement as annotation
+   * @param {string} annotationType "distance", "properties", "angle" or "polyline"
+   * @param {object} data The measurement data
+   * @param {string} anchor The id of the shape the annotation gets attached to
+   * @returns {number} The id of the new annotation
+   */
+  add(annotationType, data, anchor) {
+    const anchorObject = this._findAnchor(anchor);
+    const anchorInverse = new THREE.Matrix4();
+    if (anchorObject != null) {
+      anchorObject.updateWorldMatrix(true, false);
+      anchorInverse.copy(anchorObject.matrixWorld).invert();
+    }
+    const coneLength =
+      this.viewer.bb_radius /
+      (Math.max(this.viewer.cadWidth, this.viewer.height) / 60);
+    const annotation = new Annotation(
+      ++this.lastId,
+      annotationType,
+      { ...data },
+      anchor,
+      anchorInverse,
+      coneLength,
+      this.color,
+    );
+    this.annotations.push(annotation);
+    this.scene.add(annotation);
+    this._changed();
+    return annotation.annotationId;
+  }
+
+  /**
+   * Delete an annotation
+   * @param {number} id The id of the annotation
+   */
+  remove(id) {
+    const annotation = this.annotations.find((a) => a.annotationId === id);
+    if (annotation == null) return;
+    this.annotations.splice(this.annotations.indexOf(annotation), 1);
+    this.scene.remove(annotation);
+    deepDispose(annotation);
+    this._changed();
+  }
+
+  /**
+   * Show or hide an annotation
+   * @param {number} id The id of the annotation
+   * @param {boolean} flag
+   */
+  setVisible(id, flag) {
+    const annotation = this.annotations.find((a) => a.annotationId === id);
+    if (annotation == null) return;
+    annotation.visible = flag;
+    this._changed();
+  }
+
+  /**
+   * Delete all annotations
+   */
+  clear() {
+    if (this.annotations.length == 0) return;
+    deepDispose(this.scene);
+    this.scene.clear();
+    this.annotations = [];
+    this._changed(false);
+  }
+
+  /**
+   * Serializable list of all annotations
+   * @returns {object[]}
+   */
+  getAnnotations() {
+    return this.annotations.map((a) => a.serialize());
+  }
+
+  /**
+   * Refresh the annotations panel and notify the changed annotations
+   * @param {boolean} redraw Whether to render the viewer
+   */
+  _changed(redraw = true) {
+    this.panel.setAnnotations(
+      this.annotations.map((a) => ({
+        id: a.annotationId,
+        text: a.getText(),
+        visible: a.visible,
+      })),
+      (id, flag) => this.setVisible(id, flag),
+      (id) => this.remove(id),
+    );
+    this.viewer.checkChanges({ annotations: this.getAnnotations() });
+    if (redraw) {
+      this.viewer.update(false);
+    }
+  }
+
+  /**
+   * This is called each time the viewer gets updated
+   */
+  update() {
+    if (this.annotations.length == 0) return;
+
+    const scaleFactor = 1 / this.viewer.camera.getZoom();
+    for (const annotation of this.annotations) {
+      annotation.updateMatrixFromAnchor(this._findAnchor(annotation.anchor));
+      annotation.update(scaleFactor);
+    }
+    this.viewer.renderer.clearDepth();
+    this.viewer.renderer.render(this.scene, this.viewer.camera.getCamera());
+  }
+
+  dispose() {
+    deepDispose(this.scene);
+    this.scene.clear();
+    this.annotations = [];
+    if (this.panel) {
+      this.panel.show(false);
+      deepDispose(this.panel);
+    }
+    this.panel = null;
+    this.scene = null;
+    this.viewer = null;
+  }
+}
+
+export { Annotations };
@@ -0,0 +1,874 @@
+import * as THREE from "three";
+import { GeomTypes } from "../raycast.js";
+
+const _point = new THREE.Vector3();
+const _closest = new THREE.Vector3();
+const _closest2 = new THREE.Vector3();
+const _ray = new THREE.Ray();
+
+function capitalize(s) {
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+/**
+ * Closest points between the segments [p1, q1] and [p2, q2]
+ * (see Ericson, Real-Time Collision Detection, 5.1.9)
+ * @param {THREE.Vector3} p1 - start of the first segment
+ * @param {THREE.Vector3} q1 - end of the first segment
+ * @param {THREE.Vector3} p2 - start of the second segment
+ * @param {THREE.Vector3} q2 - end of the second segment
+ * @param {THREE.Vector3} c1 - target for the closest point on the first segment
+ * @param {THREE.Vector3} c2 - target for the closest point on the second segment
+ * @returns {number} the squared distance between the segments
+ */
+function closestPointsSegmentSegment(p1, q1, p2, q2, c1, c2) {
+  const d1 = q1.clone().sub(p1);
+  const d2 = q2.clone().sub(p2);
+  const r = p1.clone().sub(p2);
+  const a = d1.dot(d1);
+  const e = d2.dot(d2);
+  const f = d2.dot(r);
+  const eps = 1e-12;
+  var s, t;
+
+  if (a <= eps && e <= eps) {
+    s = t = 0;
+  } else if (a <= eps) {
+    s = 0;
+    t = THREE.MathUtils.clamp(f / e, 0, 1);
+  } else {
+    const c = d1.dot(r);
+    if (e <= eps) {
+      t = 0;
+      s = THREE.MathUtils.clamp(-c / a, 0, 1);
+    } else {
+      const b = d1.dot(d2);
+      const denom = a * e - b * b;
+      s = denom != 0 ? THREE.MathUtils.clamp((b * f - c * e) / denom, 0, 1) : 0;
+      t = (b * s + f) / e;
+      if (t < 0) {
+        t = 0;
+        s = THREE.MathUtils.clamp(-c / a, 0, 1);
+      } else if (t > 1) {
+        t = 1;
+        s = THREE.MathUtils.clamp((b - c) / a, 0, 1);
+      }
+    }
+  }
+  c1.copy(p1).addScaledVector(d1, s);
+  c2.copy(p2).addScaledVector(d2, t);
+  return c1.distanceToSquared(c2);
+}
+
+/**
+ * Center of the circle through three points
+ * @param {THREE.Vector3} a
+ * @param {THREE.Vector3} b
+ * @param {THREE.Vector3} c
+ * @returns {THREE.Vector3 | null} the circumcenter or null for collinear points
+ */
+function circumcenter(a, b, c) {
+  const ab = b.clone().sub(a);
+  const ac = c.clone().sub(a);
+  const n = ab.clone().cross(ac);
+  const n2 = n.lengthSq();
+  if (n2 < 1e-20) return null;
+  const t1 = n.clone().cross(ab).multiplyScalar(ac.lengthSq());
+  const t2 = ac.clone().cross(n).multiplyScalar(ab.lengthSq());
+  return a.clone().add(t1.add(t2).divideScalar(2 * n2));
+}
+
+/**
+ * The tessellation of picked shapes in world coordinates.
+ *
+ * Points, segments and triangles are read from the buffers of the ObjectGroups,
+ * so all results are approximations of the real BREP geometry.
+ */
+class Tessellation {
+  constructor() {
+    this.points = []; // THREE.Vector3
+    this.segments = []; // THREE.Line3
+    this.triangles = []; // THREE.Triangle
+    this.topo = null;
+    this.geomtype = null;
+    this.accuracy = null;
+    this.tree = null; // PrimitiveTree, built on demand
+  }
+
+  /**
+   * Create the tessellation for a picked object (all faces for a solid)
+   * @param {import ("../raycast.js").PickedObject} pickedObj - the picked object
+   * @returns {Tessellation}
+   */
+  static fromPickedObject(pickedObj) {
+    const tessellation = new Tessellation();
+    for (const obj of pickedObj.objs()) {
+      tessellation.addObjectGroup(obj);
+    }
+    if (pickedObj.fromSolid) {
+      tessellation.topo = "solid";
+      tessellation.geomtype = null;
+    }
+    return tessellation;
+  }
+
+  /**
+   * Add the world coordinate primitives of an ObjectGroup
+   * @param {import ("../objectgroup.js").ObjectGroup} objectGroup
+   */
+  addObjectGroup(objectGroup) {
+    this.tree = null;
+    const shapeInfo = objectGroup.shapeInfo;
+    if (shapeInfo) {
+      this.topo = shapeInfo.topo;
+      this.geomtype = shapeInfo.geomtype;
+    }
+    if (objectGroup.accuracy != null) {
+      this.accuracy = objectGroup.accuracy;
+    }
+    const types = objectGroup.types;
+
+    if (types.vertices) {
+      const obj = types.vertices;
+      obj.updateWorldMatrix(true, false);
+      const position = obj.geometry.attributes.position;
+      for (let i = 0; i < position.count; i++) {
+        this.points.push(
+          new THREE.Vector3()
+            .fromBufferAttribute(position, i)
+            .applyMatrix4(obj.matrixWorld),
+        );
+      }
+    }
+
+    if (types.edges && !types.front) {
+      const obj = types.edges;
+      obj.updateWorldMatrix(true, false);
+      const start = obj.geometry.attributes.instanceStart;
+      const end = obj.geometry.attributes.instanceEnd;
+      for (let i = 0; i < start.count; i++) {
+        this.segments.push(
+          new THREE.Line3(
+            new THREE.Vector3()
+              .fromBufferAttribute(start, i)
+              .applyMatrix4(obj.matrixWorld),
+            new THREE.Vector3()
+              .fromBufferAttribute(end, i)
+              .applyMatrix4(obj.matrixWorld),
+          ),
+        );
+      }
+    }
+
+    if (types.front && objectGroup.shapeGeometry) {
+      const obj = types.front;
+      obj.updateWorldMatrix(true, false);
+      const position = obj.geometry.attributes.position;
+      const index = obj.geometry.index;
+      const count = index ? index.count : position.count;
+      const vertex = (i) =>
+        new THREE.Vector3()
+          .fromBufferAttribute(position, index ? index.getX(i) : i)
+          .applyMatrix4(obj.matrixWorld);
+      for (let i = 0; i + 2 < count; i += 3) {
+        this.triangles.push(
+          new THREE.Triangle(vertex(i), vertex(i + 1), vertex(i + 2)),
+        );
+      }
+    }
+  }
+
+  /**
+   * The bounding volume hierarchy of the primitives, built once and kept until
+   * further ObjectGroups get added
+   * @returns {PrimitiveTree}
+   */
+  primitiveTree() {
+    if (this.tree == null) {
+      this.tree = new PrimitiveTree(this);
+    }
+    return this.tree;
+  }
+
+  /**
+   * Whether the tessellation contains any primitive
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return (
+      this.points.length == 0 &&
+      this.segments.length == 0 &&
+      this.triangles.length == 0
+    );
+  }
+
+  /**
+   * All distinct points, i.e. vertices, segment ends and triangle corners
+   * @returns {THREE.Vector3[]}
+   */
+  allPoints() {
+    const result = new Map();
+    const add = (p) => {
+      const key = `${p.x},${p.y},${p.z}`;
+      if (!result.has(key)) result.set(key, p);
+    };
+    this.points.forEach(add);
+    for (const s of this.segments) {
+      add(s.start);
+      add(s.end);
+    }
+    for (const t of this.triangles) {
+      add(t.a);
+      add(t.b);
+      add(t.c);
+    }
+    return Array.from(result.values());
+  }
+
+  /**
+   * All distinct segments, i.e. edge segments and triangle sides
+   * @returns {THREE.Line3[]}
+   */
+  allSegments() {
+    const result = new Map();
+    const key = (p) => `${p.x},${p.y},${p.z}`;
+    const add = (a, b, ka, kb) => {
+      const k = ka < kb ? `${ka}|${kb}` : `${kb}|${ka}`;
+      if (ka !== kb && !result.has(k)) result.set(k, new THREE.Line3(a, b));
+    };
+    for (const s of this.segments) {
+      add(s.start, s.end, key(s.start), key(s.end));
+    }
+    for (const t of this.triangles) {
+      const ka = key(t.a);
+      const kb = key(t.b);
+      const kc = key(t.c);
+      add(t.a, t.b, ka, kb);
+      add(t.b, t.c, kb, kc);
+      add(t.c, t.a, kc, ka);
+    }
+    return Array.from(result.values());
+  }
+
+  /**
+   * Name of the geometry type, e.g. "plane" or "circle"
+   * @returns {string | null}
+   */
+  geomTypeName() {
+    if (this.topo == null || GeomTypes[this.topo] == null) return null;
+    const name = GeomTypes[this.topo][this.geomtype];
+    return name == null ? null : name;
+  }
+
+  /**
+   * Human readable description, similar to the ones of the backend, e.g. "Plane (Face)"
+   * @returns {string}
+   */
+  describe() {
+    if (this.topo == null) return "Unknown";
+    if (this.topo === "vertex" || this.topo === "solid") {
+      return capitalize(this.topo);
+    }
+    const name = this.geomTypeName();
+    return name == null
+      ? capitalize(this.topo)
+      : `${capitalize(name)} (${capitalize(this.topo)})`;
+  }
+
+  /**
+   * Total area of all triangles
+   * @returns {number}
+   */
+  area() {
+    return this.triangles.reduce((sum, t) => sum + t.getArea(), 0);
+  }
+
+  /**
+   * Total length of all edge segments
+   * @returns {number}
+   */
+  length() {
+    return this.segments.reduce((sum, s) => sum + s.distance(), 0);
+  }
+
+  /**
+   * Enclosed volume of the triangles (divergence theorem), only valid for closed shells
+   * @returns {number}
+   */
+  volume() {
+    var volume = 0;
+    for (const t of this.triangles) {
+      volume += t.a.dot(_point.copy(t.b).cross(t.c)) / 6;
+    }
+    return Math.abs(volume);
+  }
+
+  /**
+   * Axis aligned bounding box of all primitives
+   * @returns {THREE.Box3}
+   */
+  boundingBox() {
+    return new THREE.Box3().setFromPoints(this.allPoints());
+  }
+
+  /**
+   * Center of the tessellation:
+   * volume centroid for solids, area weighted centroid for faces, circle center for circular edges,
+   * length weighted centroid for other edges and the mean of the vertices
+   * @returns {THREE.Vector3}
+   */
+  center() {
+    const center = new THREE.Vector3();
+    if (this.topo === "solid" && this.triangles.length > 0) {
+      var volume = 0;
+      for (const t of this.triangles) {
+        const v = t.a.dot(_point.copy(t.b).cross(t.c)) / 6;
+        _point.copy(t.a).add(t.b).add(t.c).divideScalar(4);
+        center.addScaledVector(_point, v);
+        volume += v;
+      }
+      if (Math.abs(volume) > 0) return center.divideScalar(volume);
+      center.set(0, 0, 0);
+    }
+    if (this.triangles.length > 0) {
+      var area = 0;
+      for (const t of this.triangles) {
+        const a = t.getArea();
+        t.getMidpoint(_point);
+        center.addScaledVector(_point, a);
+        area += a;
+      }
+      if (area > 0) return center.divideScalar(area);
+    }
+    if (this.segments.length > 0) {
+      if (this.topo === "edge" && this.geomTypeName() === "circle") {
+        const n = this.segments.length;
+        const c = circumcenter(
+          this.segments[0].start,
+          this.segments[Math.floor(n / 3)].end,
+          this.segments[Math.floor((2 * n) / 3)].end,
+        );
+        if (c != null) return c;
+      }
+      var length = 0;
+      for (const s of this.segments) {
+        const l = s.distance();
+        s.getCenter(_point);
+        center.addScaledVector(_point, l);
+        length += l;
+      }
+      if (length > 0) return center.divideScalar(length);
+    }
+    const points = this.allPoints();
+    for (const p of points) {
+      center.add(p);
+    }
+    return points.length > 0 ? center.divideScalar(points.length) : center;
+  }
+
+  /**
+   * Direction of lines and normal of planes
+   * @returns {{kind: string, vector: THREE.Vector3} | null} null if there is no unique direction
+   */
+  direction() {
+    const name = this.geomTypeName();
+    if (this.topo === "edge" && name === "line" && this.segments.length > 0) {
+      const vector = this.segments[this.segments.length - 1].end
+        .clone()
+        .sub(this.segments[0].start);
+      if (vector.lengthSq() > 0) {
+        return { kind: "line", vector: vector.normalize() };
+      }
+    } else if (this.topo === "face" && name === "plane") {
+      const vector = new THREE.Vector3();
+      for (const t of this.triangles) {
+        t.getNormal(_point);
+        vector.addScaledVector(_point, t.getArea());
+      }
+      if (vector.lengthSq() > 0) {
+        return { kind: "plane", vector: vector.normalize() };
+      }
+    }
+    return null;
+  }
+}
+
+// primitive kinds of a PrimitiveTree
+const POINT = 0;
+const SEGMENT = 1;
+const TRIANGLE = 2;
+
+// maximum number of primitives in a leaf of a PrimitiveTree
+const LEAF_SIZE = 8;
+
+/**
+ * Squared distance between two axis aligned boxes, each given as 6 numbers
+ * (min x, y, z, max x, y, z) at an offset of an array
+ * @param {Float64Array} a
+ * @param {number} i - offset into a
+ * @param {Float64Array} b
+ * @param {number} j - offset into b
+ * @returns {number}
+ */
+function boxDistanceSquared(a, i, b, j) {
+  var d2 = 0;
+  for (let k = 0; k < 3; k++) {
+    const d = Math.max(0, a[i + k] - b[j + k + 3], b[j + k] - a[i + k + 3]);
+    d2 += d * d;
+  }
+  return d2;
+}
+
+/**
+ * Bounding volume hierarchy of the distinct points, segments and triangles of a tessellation,
+ * used to prune primitive pairs in distance queries
+ */
+class PrimitiveTree {
+  /**
+   * @param {Tessellation} tessellation
+   */
+  constructor(tessellation) {
+    this.kinds = [];
+    this.primitives = [];
+    for (const p of tessellation.allPoints()) {
+      this.kinds.push(POINT);
+      this.primitives.push(p);
+    }
+    for (const s of tessellation.allSegments()) {
+      this.kinds.push(SEGMENT);
+      this.primitives.push(s);
+    }
+    for (const t of tessellation.triangles) {
+      this.kinds.push(TRIANGLE);
+      this.primitives.push(t);
+    }
+
+    const n = this.primitives.length;
+    const boxes = new Float64Array(6 * n);
+    const setCorner = (o, p) => {
+      boxes[o] = boxes[o + 3] = p.x;
+      boxes[o + 1] = boxes[o + 4] = p.y;
+      boxes[o + 2] = boxes[o + 5] = p.z;
+    };
+    const addCorner = (o, p) => {
+      boxes[o] = Math.min(boxes[o], p.x);
+      boxes[o + 1] = Math.min(boxes[o + 1], p.y);
+      boxes[o + 2] = Math.min(boxes[o + 2], p.z);
+      boxes[o + 3] = Math.max(boxes[o + 3], p.x);
+      boxes[o + 4] = Math.max(boxes[o + 4], p.y);
+      boxes[o + 5] = Math.max(boxes[o + 5], p.z);
+    };
+    for (let i = 0; i < n; i++) {
+      const primitive = this.primitives[i];
+      const o = 6 * i;
+      if (this.kinds[i] === POINT) {
+        setCorner(o, primitive);
+      } else if (this.kinds[i] === SEGMENT) {
+        setCorner(o, primitive.start);
+        addCorner(o, primitive.end);
+      } else {
+        setCorner(o, primitive.a);
+        addCorner(o, primitive.b);
+        addCorner(o, primitive.c);
+      }
+    }
+    this.primitiveBoxes = boxes;
+
+    this.order = new Uint32Array(n);
+    for (let i = 0; i < n; i++) {
+      this.order[i] = i;
+    }
+    // nodes are {start, end, left, right} with the primitives order[start..end-1],
+    // their boxes are stored in nodeBoxes
+    this.nodes = [];
+    this.nodeBoxes = [];
+    this.root = n > 0 ? this._build(0, n) : null;
+    this.nodeBoxes = Float64Array.from(this.nodeBoxes);
+  }
+
+  /**
+   * Build the subtree of the primitives order[start..end-1] by splitting at the
+   * center of the longest axis of their box centers
+   * @param {number} start
+   * @param {number} end
+   * @returns {number} index of the node
+   */
+  _build(start, end) {
+    const boxes = this.primitiveBoxes;
+    const min = [Infinity, Infinity, Infinity, Infinity, Infinity, Infinity];
+    const max = [
+      -Infinity,
+      -Infinity,
+      -Infinity,
+      -Infinity,
+      -Infinity,
+      -Infinity,
+    ];
+    for (let i = start; i < end; i++) {
+      const o = 6 * this.order[i];
+      for (let k = 0; k < 3; k++) {
+        const center = (boxes[o + k] + boxes[o + k + 3]) / 2;
+        min[k] = Math.min(min[k], boxes[o + k]);
+        max[k] = Math.max(max[k], boxes[o + k + 3]);
+        min[k + 3] = Math.min(min[k + 3], center);
+        max[k + 3] = Math.max(max[k + 3], center);
+      }
+    }
+    const index = this.nodes.length;
+    const node = { start: start, end: end, left: -1, right: -1 };
+    this.nodes.push(node);
+    this.nodeBoxes.push(min[0], min[1], min[2], max[0], max[1], max[2]);
+    if (end - start <= LEAF_SIZE) return index;
+
+    var axis = 3;
+    for (let k = 4; k < 6; k++) {
+      if (max[k] - min[k] > max[axis] - min[axis]) axis = k;
+    }
+    const split = (min[axis] + max[axis]) / 2;
+    const k = axis - 3;
+    var mid = start;
+    for (let i = start; i < end; i++) {
+      const o = 6 * this.order[i];
+      if ((boxes[o + k] + boxes[o + k + 3]) / 2 < split) {
+        [this.order[i], this.order[mid]] = [this.order[mid], this.order[i]];
+        mid++;
+      }
+    }
+    if (mid === start || mid === end) {
+      // all centers coincide on the axis
+      mid = Math.floor((start + end) / 2);
+    }
+    node.left = this._build(start, mid);
+    node.right = this._build(mid, end);
+    return index;
+  }
+
+  /**
+   * Size of the box of a node, used to decide which node of a pair gets split
+   * @param {number} index
+   * @returns {number}
+   */
+  _nodeSize(index) {
+    const o = 6 * index;
+    const b = this.nodeBoxes;
+    return b[o + 3] - b[o] + b[o + 4] - b[o + 1] + b[o + 5] - b[o + 2];
+  }
+}
+
+/**
+ * Intersection of a segment and a triangle
+ * @param {THREE.Line3} segment
+ * @param {THREE.Triangle} triangle
+ * @param {THREE.Vector3} target - target for the intersection point
+ * @returns {THREE.Vector3 | null} the intersection point, null if there is none (or the segment lies in the triangle plane)
+ */
+function intersectSegmentTriangle(segment, triangle, target) {
+  const length = segment.distance();
+  if (length === 0) return null;
+  _ray.origin.copy(segment.start);
+  _ray.direction.copy(segment.end).sub(segment.start).divideScalar(length);
+  const hit = _ray.intersectTriangle(
+    triangle.a,
+    triangle.b,
+    triangle.c,
+    false,
+    target,
+  );
+  return hit != null && hit.distanceTo(segment.start) <= length ? hit : null;
+}
+
+/**
+ * Minimum distance between two tessellations.
+ * Node pairs of the primitive trees get visited closest first and are skipped if their boxes
+ * are farther apart than the best distance found so far. Intersecting shapes have distance 0.
+ * @param {Tessellation} t1
+ * @param {Tessellation} t2
+ * @returns {{distance: number, point1: THREE.Vector3, point2: THREE.Vector3} | null}
+ */
+function minDistance(t1, t2) {
+  if (t1.isEmpty() || t2.isEmpty()) return null;
+
+  const tree1 = t1.primitiveTree();
+  const tree2 = t2.primitiveTree();
+
+  var best = Infinity;
+  const point1 = new THREE.Vector3();
+  const point2 = new THREE.Vector3();
+
+  const update = (d2, c1, c2) => {
+    if (d2 < best) {
+      best = d2;
+      point1.copy(c1);
+      point2.copy(c2);
+    }
+  };
+
+  // closest points of a point of the first and a primitive of the second tessellation
+  const pointToPrimitive = (p, kind, primitive, swap) => {
+    if (kind === POINT) {
+      _closest.copy(primitive);
+    } else if (kind === SEGMENT) {
+      primitive.closestPointToPoint(p, true, _closest);
+    } else {
+      primitive.closestPointToPoint(p, _closest);
+    }
+    swap
+      ? update(p.distanceToSquared(_closest), _closest, p)
+      : update(p.distanceToSquared(_closest), p, _closest);
+  };
+
+  const primitivePair = (i, j) => {
+    const kind1 = tree1.kinds[i];
+    const kind2 = tree2.kinds[j];
+    const primitive1 = tree1.primitives[i];
+    const primitive2 = tree2.primitives[j];
+    if (kind1 === POINT) {
+      pointToPrimitive(primitive1, kind2, primitive2, false);
+    } else if (kind2 === POINT) {
+      pointToPrimitive(primitive2, kind1, primitive1, true);
+    } else if (kind1 === SEGMENT && kind2 === SEGMENT) {
+      const d2 = closestPointsSegmentSegment(
+        primitive1.start,
+        primitive1.end,
+        primitive2.start,
+        primitive2.end,
+        _closest,
+        _closest2,
+      );
+      update(d2, _closest, _closest2);
+    } else if (kind1 === SEGMENT && kind2 === TRIANGLE) {
+      if (intersectSegmentTriangle(primitive1, primitive2, _closest)) {
+        update(0, _closest, _closest);
+      }
+    } else if (kind1 === TRIANGLE && kind2 === SEGMENT) {
+      if (intersectSegmentTriangle(primitive2, primitive1, _closest)) {
+        update(0, _closest, _closest);
+      }
+    }
+    // triangle pairs are covered by their corners (point to triangle), sides (segment to segment)
+    // and the intersections of sides and triangles
+  };
+
+  const leafPair = (node1, node2) => {
+    for (let a = node1.start; a < node1.end; a++) {
+      const i = tree1.order[a];
+      for (let b = node2.start; b < node2.end; b++) {
+        const j = tree2.order[b];
+        if (
+          boxDistanceSquared(
+            tree1.primitiveBoxes,
+            6 * i,
+            tree2.primitiveBoxes,
+            6 * j,
+          ) < best
+        ) {
+          primitivePair(i, j);
+        }
+      }
+    }
+  };
+
+  const nodeDistance = (n1, n2) =>
+    boxDistanceSquared(tree1.nodeBoxes, 6 * n1, tree2.nodeBoxes, 6 * n2);
+
+  const stack = [
+    [tree1.root, tree2.root, nodeDistance(tree1.root, tree2.root)],
+  ];
+  while (stack.length > 0 && best > 0) {
+    const [n1, n2, d2] = stack.pop();
+    if (d2 >= best) continue;
+    const node1 = tree1.nodes[n1];
+    const node2 = tree2.nodes[n2];
+    const leaf1 = node1.left < 0;
+    const leaf2 = node2.left < 0;
+    if (leaf1 && leaf2) {
+      leafPair(node1, node2);
+      continue;
+    }
+    // split the larger node, visit the closer child pair first
+    const pairs =
+      leaf2 || (!leaf1 && tree1._nodeSize(n1) >= tree2._nodeSize(n2))
+        ? [
+            [node1.left, n2],
+            [node1.right, n2],
+          ]
+        : [
+            [n1, node2.left],
+            [n1, node2.right],
+          ];
+    const children = pairs.map(([c1, c2]) => [c1, c2, nodeDistance(c1, c2)]);
+    children.sort((a, b) => b[2] - a[2]);
+    for (const child of children) {
+      if (child[2] < best) stack.push(child);
+    }
+  }
+
+  return { distance: Math.sqrt(best), point1: point1, point2: point2 };
+}
+
+/**
+ * Angle between two lines, two planes or a line and a plane
+ * @param {Tessellation} t1
+ * @param {Tessellation} t2
+ * @returns {number | null} the angle in degrees or null if not defined
+ */
+function angleBetween(t1, t2) {
+  const dir1 = t1.direction();
+  const dir2 = t2.direction();
+  if (dir1 == null || dir2 == null) return null;
+
+  const dot = THREE.MathUtils.clamp(dir1.vector.dot(dir2.vector), -1, 1);
+  var angle;
+  if (dir1.kind === "plane" && dir2.kind === "plane") {
+    angle = Math.acos(dot);
+  } else if (dir1.kind === "line" && dir2.kind === "line") {
+    angle = Math.acos(Math.abs(dot));
+  } else {
+    angle = Math.asin(Math.abs(dot));
+  }
+  return THREE.MathUtils.radToDeg(angle);
+}
+
+/**
+ * Ray from the apex pointing towards the given center
+ * @param {THREE.Vector3} direction - normalized direction of the ray or its opposite
+ * @param {THREE.Vector3} apex
+ * @param {THREE.Vector3} center
+ * @returns {THREE.Vector3}
+ */
+function orientTowards(direction, apex, center) {
+  const sign = _point.copy(center).sub(apex).dot(direction) < 0 ? -1 : 1;
+  return direction.clone().multiplyScalar(sign);
+}
+
+/**
+ * Direction from the apex to the center, perpendicular to the given axis
+ * @param {THREE.Vector3} apex
+ * @param {THREE.Vector3} center
+ * @param {THREE.Vector3} axis - normalized axis
+ * @returns {THREE.Vector3 | null} null if the center is on the axis
+ */
+function perpendicularTowards(apex, center, axis) {
+  const dir = center.clone().sub(apex);
+  dir.addScaledVector(axis, -dir.dot(axis));
+  return dir.lengthSq() > 1e-20 ? dir.normalize() : null;
+}
+
+/**
+ * Angle between two lines, two planes or a line and a plane, together with the
+ * apex and the two rays enclosing the angle (e.g. to draw an arc).
+ * For planes the rays are perpendicular to the intersection line and point to the face centers.
+ * @param {Tessellation} t1
+ * @param {Tessellation} t2
+ * @returns {{angle: number, apex: THREE.Vector3, dir1: THREE.Vector3, dir2: THREE.Vector3} | null}
+ * angle in degrees or null if not defined
+ */
+function angleConstruction(t1, t2) {
+  var d1 = t1.direction();
+  var d2 = t2.direction();
+  if (d1 == null || d2 == null) return null;
+
+  var c1 = t1.center();
+  var c2 = t2.center();
+  if (d1.kind === "plane" && d2.kind === "line") {
+    const result = angleConstruction(t2, t1);
+    if (result == null) return null;
+    return { ...result, dir1: result.dir2, dir2: result.dir1 };
+  }
+
+  const eps = 1e-10;
+  var apex, dir1, dir2;
+
+  if (d1.kind === "line" && d2.kind === "line") {
+    const b = d1.vector.dot(d2.vector);
+    const denom = 1 - b * b;
+    if (denom < eps) {
+      apex = c1.clone().add(c2).multiplyScalar(0.5);
+      dir1 = d1.vector.clone();
+      dir2 = d2.vector.clone().multiplyScalar(b < 0 ? -1 : 1);
+    } else {
+      // closest points of the two infinite lines
+      const w = c1.clone().sub(c2);
+      const d = d1.vector.dot(w);
+      const e = d2.vector.dot(w);
+      const s = (b * e - d) / denom;
+      const t = (e - b * d) / denom;
+      apex = c1
+        .clone()
+        .addScaledVector(d1.vector, s)
+        .add(c2.clone().addScaledVector(d2.vector, t))
+        .multiplyScalar(0.5);
+      dir1 = orientTowards(d1.vector, apex, c1);
+      dir2 = orientTowards(d2.vector, apex, c2);
+    }
+  } else if (d1.kind === "plane" && d2.kind === "plane") {
+    const n1 = d1.vector;
+    const n2 = d2.vector;
+    const axis = n1.clone().cross(n2);
+    if (axis.lengthSq() < eps) {
+      apex = c1.clone().add(c2).multiplyScalar(0.5);
+      const dir = perpendicularTowards(apex, c1, n1);
+      dir1 = dir == null ? new THREE.Vector3(1, 0, 0) : dir;
+      dir2 = dir1.clone();
+    } else {
+      // point on the intersection line of both planes nearest to the middle of the face centers
+      const h1 = n1.dot(c1);
+      const h2 = n2.dot(c2);
+      const n12 = n1.dot(n2);
+      const origin = n1
+        .clone()
+        .multiplyScalar(h1 - h2 * n12)
+        .addScaledVector(n2, h2 - h1 * n12)
+        .divideScalar(1 - n12 * n12);
+      axis.normalize();
+      const middle = c1.clone().add(c2).multiplyScalar(0.5);
+      apex = origin.addScaledVector(axis, middle.sub(origin).dot(axis));
+      dir1 = perpendicularTowards(apex, c1, axis);
+      dir2 = perpendicularTowards(apex, c2, axis);
+      if (dir1 == null) dir1 = n2.clone().cross(axis);
+      if (dir2 == null) dir2 = axis.clone().cross(n1);
+    }
+  } else {
+    // line and plane
+    const n = d2.vector;
+    const dn = d1.vector.dot(n);
+    if (Math.abs(dn) < eps) {
+      apex = c1.clone();
+      dir1 = d1.vector.clone();
+      dir2 = d1.vector.clone();
+    } else {
+      apex = c1
+        .clone()
+        .addScaledVector(d1.vector, c2.clone().sub(c1).dot(n) / dn);
+      dir1 = orientTowards(d1.vector, apex, c1);
+      dir2 = dir1.clone().addScaledVector(n, -dir1.dot(n));
+      if (dir2.lengthSq() < eps) {
+        dir2 =
+          perpendicularTowards(apex, c2, n) ||
+          new THREE.Vector3().crossVectors(
+            n,
+            Math.abs(n.x) < 0.9
+              ? new THREE.Vector3(1, 0, 0)
+              : new THREE.Vector3(0, 1, 0),
+          );
+      }
+      dir2.normalize();
+    }
+  }
+
+  const dot = THREE.MathUtils.clamp(dir1.dot(dir2), -1, 1);
+  return {
+    angle: THREE.MathUtils.radToDeg(Math.acos(dot)),
+    apex: apex,
+    dir1: dir1,
+    dir2: dir2,
+  };
+}
+
+export {
+  Tessellation,
+  minDistance,
+  angleBetween,
+  angleConstruction,
+  closestPointsSegmentSegment,
+};
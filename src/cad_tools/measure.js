@@ -2,9 +2,37 @@ import * as THREE from "three";
 import { LineSegments2 } from "three/examples/jsm/lines/LineSegments2.js";
 import { LineSegmentsGeometry } from "three/examples/jsm/lines/LineSegmentsGeometry.js";
 import { LineMaterial } from "three/examples/jsm/lines/LineMaterial.js";
-import { DistancePanel, PropertiesPanel } from "./ui.js";
+import {
+  DistancePanel,
+  PropertiesPanel,
+  AnglePanel,
+  PolylinePanel,
+} from "./ui.js";
+import {
+  Tessellation,
+  minDistance,
+  angleBetween,
+  angleConstruction,
+} from "./geometry.js";
 import { deepDispose } from "../utils.js";
 
+/**
+ * Get the id ("/" separated path) of a picked shape, the solid id for shapes picked from a solid
+ * @param {import ("../raycast.js").PickedObject} shape
+ * @returns {string}
+ */
+function getShapeId(shape) {
+  if (shape.fromSolid) {
+    let solidId = shape.obj.name
+      .replace(/\|faces.*$/, "")
+      .replace(/\|edges.*$/, "")
+      .replace(/\|vertices.*$/, "");
+    return solidId.replaceAll("|", "/");
+  } else {
+    return shape.obj.name.replaceAll("|", "/");
+  }
+}
+
 class DistanceLineArrow extends THREE.Group {
   /**
    *
@@ -133,13 +161,153 @@ class DistanceLineArrow extends THREE.Group {
   }
 }
 
+class TextLabel extends THREE.Sprite {
+  /**
+   *
+   * @param {string} text The text of the label
+   * @param {THREE.Color} color The color of the text
+   * @param {number} coneLength The reference size for the label
+   */
+  constructor(text, color, coneLength) {
+    const canvas = document.createElement("canvas");
+    canvas.width = 256;
+    canvas.height = 64;
+    const context = canvas.getContext("2d");
+    context.font = "bold 40px sans-serif";
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.fillStyle = `#${new THREE.Color(color).getHexString()}`;
+    context.fillText(text, 128, 32, 256);
+    super(
+      new THREE.SpriteMaterial({
+        map: new THREE.CanvasTexture(canvas),
+        depthTest: false,
+        transparent: true,
+      }),
+    );
+    this.text = text;
+    this.coneLength = coneLength;
+    this.name = "label";
+    this.update(1);
+  }
+
+  /**
+   * Update the label so it keeps the same size on the screen.
+   * @param {number} scaleFactor
+   */
+  update(scaleFactor) {
+    const height = 2 * this.coneLength * scaleFactor;
+    this.scale.set(4 * height, height, 1);
+  }
+
+  dispose() {
+    this.material.map.dispose();
+    this.material.dispose();
+  }
+}
+
+class AngleArc extends THREE.Group {
+  /**
+   *
+   * @param {number} coneLength The reference size for the label
+   * @param {THREE.Vector3} apex The vertex of the angle
+   * @param {THREE.Vector3} dir1 The normalized direction of the first leg
+   * @param {THREE.Vector3} dir2 The normalized direction of the second leg
+   * @param {number} radius The radius of the arc
+   * @param {number} angle The angle in degrees
+   * @param {number} linewidth The thickness of the lines
+   * @param {THREE.Color} color The color of the lines and the label
+   */
+  constructor(coneLength, apex, dir1, dir2, radius, angle, linewidth, color) {
+    super();
+    this.coneLength = coneLength;
+    this.apex = apex;
+    this.dir1 = dir1;
+    this.dir2 = dir2;
+    this.radius = radius;
+    this.angle = angle;
+    this.linewidth = linewidth;
+    this.color = color;
+    this.type = "AngleArc";
+    this.label = null;
+    this.initialize();
+  }
+
+  initialize() {
+    var axis = this.dir1.clone().cross(this.dir2);
+    if (axis.lengthSq() < 1e-20) {
+      // 0 or 180 degrees, any perpendicular of the first leg will do
+      axis = this.dir1
+        .clone()
+        .cross(
+          Math.abs(this.dir1.x) < 0.9
+            ? new THREE.Vector3(1, 0, 0)
+            : new THREE.Vector3(0, 1, 0),
+        );
+    }
+    axis.normalize();
+    const angle = THREE.MathUtils.degToRad(this.angle);
+
+    const positions = [];
+    const legLength = 1.25 * this.radius;
+    for (const dir of [this.dir1, this.dir2]) {
+      positions.push(
+        ...this.apex.toArray(),
+        ...this.apex.clone().addScaledVector(dir, legLength).toArray(),
+      );
+    }
+    const segments = Math.max(2, Math.ceil(this.angle / 5));
+    var last = this.apex.clone().addScaledVector(this.dir1, this.radius);
+    for (let i = 1; i <= segments; i++) {
+      const dir = this.dir1
+        .clone()
+        .applyAxisAngle(axis, (angle * i) / segments);
+      const next = this.apex.clone().addScaledVector(dir, this.radius);
+      positions.push(...last.toArray(), ...next.toArray());
+      last = next;
+    }
+    const material = new LineMaterial({
+      linewidth: this.linewidth,
+      color: this.color,
+    });
+    const geom = new LineSegmentsGeometry();
+    geom.setPositions(positions);
+    this.add(new LineSegments2(geom, material));
+
+    this.label = new TextLabel(
+      `${this.angle.toFixed(2)}°`,
+      this.color,
+      this.coneLength,
+    );
+    this.label.position.copy(
+      this.apex
+        .clone()
+        .addScaledVector(
+          this.dir1.clone().applyAxisAngle(axis, angle / 2),
+          1.6 * this.radius,
+        ),
+    );
+    this.add(this.label);
+  }
+
+  /**
+   * Update the label so it keeps the same size on the screen.
+   * @param {number} scaleFactor
+   */
+  update(scaleFactor) {
+    this.label.update(scaleFactor);
+  }
+}
+
 class Measurement {
   /**
    *
    * @param {import ("../viewer.js").Viewer} viewer The viewer instance
    * @param {DistancePanel | PropertiesPanel } panel The panel to display the measurement
+   * @param {boolean} debug Whether to fake the backend responses
+   * @param {number} timeout Time in ms to wait for a backend response
    */
-  constructor(viewer, panel) {
+  constructor(viewer, panel, debug, timeout) {
     this.selectedShapes = []; // array of dict ObjectGroup, bool
     this.point1 = null;
     this.point2 = null;
@@ -156,6 +324,15 @@ class Measurement {
     this.measurementLineColor = 0x000000;
     this.connectingLineColor = 0x800080;
     this.coneLength = undefined;
+    this.debug = debug;
+    this.timeout = timeout;
+    this.requestId = 0;
+    this.pendingRequest = null; // {id, timer} of the backend request waiting for a response
+
+    const pinButton = this.panel.getPinButton();
+    if (pinButton) {
+      this.panel.registerCallback("click", this._pin, pinButton);
+    }
 
     this.panelDragData = { x: null, y: null, clicked: false };
     this.panel.registerCallback("mousedown", (e) => {
@@ -176,6 +353,7 @@ class Measurement {
   }
 
   disableContext() {
+    this._cancelRequest();
     this._hideMeasurement();
     this.contextEnabled = false;
     this.responseData = null;
@@ -192,16 +370,96 @@ class Measurement {
   }
 
   _hideMeasurement() {
+    this.panel.setMessage(null);
     this.panel.show(false);
     this.disposeArrows();
     this.scene.clear();
   }
 
   /**
-   * Response handler for the measure context
+   * Start waiting for the backend response of a new request
+   * @returns {number} The id of the new request
+   */
+  _startRequest() {
+    this._cancelRequest();
+    const id = ++this.requestId;
+    this.pendingRequest = {
+      id: id,
+      timer: setTimeout(() => {
+        if (this.pendingRequest != null && this.pendingRequest.id === id) {
+          this.pendingRequest = null;
+          this._showError("No response from backend (timeout)");
+        }
+      }, this.timeout),
+    };
+    return id;
+  }
+
+  /**
+   * Stop waiting for the pending backend response, a late response will be ignored
+   */
+  _cancelRequest() {
+    if (this.pendingRequest != null) {
+      clearTimeout(this.pendingRequest.timer);
+      this.pendingRequest = null;
+    }
+  }
+
+  /**
+   * Show an error message in the panel.
+   * If a measurement is shown (e.g. calculated from the tessellation) it is kept.
+   * @param {string} message
+   */
+  _showError(message) {
+    if (!this.contextEnabled || !this._isComplete()) {
+      return;
+    }
+    if (this.responseData == null) {
+      this.disposeArrows();
+      this.panel.finished = false;
+      this.panel.createTable(null);
+      const bbox = new THREE.Box3();
+      for (const shape of this.selectedShapes) {
+        bbox.expandByObject(shape.obj);
+      }
+      this.middlePoint = bbox.getCenter(new THREE.Vector3());
+      this.panel.show(true);
+      this._movePanel();
+    }
+    this.panel.setMessage(message);
+  }
+
+  /**
+   * Response handler for the measure context.
+   * The backend measurement replaces the one calculated from the tessellation.
+   * Responses with an unknown request_id belong to a cancelled request and are ignored.
+   * Responses without request_id (older backends) are accepted while a request is pending.
    * @param {object} response
    */
-  handleResponse(response) {}
+  handleResponse(response) {
+    if (
+      this.pendingRequest == null ||
+      (response.request_id != null &&
+        response.request_id !== this.pendingRequest.id)
+    ) {
+      return;
+    }
+    this._cancelRequest();
+
+    if (response.error != null) {
+      this._showError(`Backend error: ${response.error}`);
+      return;
+    }
+    this.responseData = { ...response };
+    this._getPoints();
+    if (this.contextEnabled && this._isComplete()) {
+      this._showMeasurement();
+    }
+  }
+
+  _getPoints() {
+    throw new Error("Subclass needs to override this method");
+  }
 
   _createPanel() {
     throw new Error("Subclass needs to override this method");
@@ -215,6 +473,34 @@ class Measurement {
     throw new Error("Subclass needs to override this method");
   }
 
+  /**
+   * Get the annotation type for pinned measurements
+   * @returns {string} "distance", "properties" or "angle"
+   */
+  _getAnnotationType() {
+    throw new Error("Subclass needs to override this method");
+  }
+
+  /**
+   * Pin the current measurement as persistent annotation attached to the first selected shape
+   */
+  _pin = () => {
+    if (this.responseData == null || this.selectedShapes.length == 0) return;
+    this.viewer.cadTools.annotations.add(
+      this._getAnnotationType(),
+      this.responseData,
+      getShapeId(this.selectedShapes[0]),
+    );
+  };
+
+  /**
+   * Whether enough objects are selected to show the measurement
+   * @returns {boolean}
+   */
+  _isComplete() {
+    return this.selectedShapes.length == this._getMaxObjSelected();
+  }
+
   /**
    * Get the maximum number of selected obj this measurement can handle
    * @returns {int} The numbers of obj handled by the measurement
@@ -224,46 +510,53 @@ class Measurement {
   }
 
   /**
-   * Wait for the backend to send the data needed to display the real BREP measurement.
-   * @param {*} resolve
-   * @param {*} reject
+   * Compute the measurement from the tessellation of the selected shapes.
+   * @returns {object | null} The measurement in the format of the backend response or null
    */
-  _waitResponse(resolve, reject) {
-    if (this.responseData) {
-      resolve(this.responseData);
-    } else {
-      setTimeout(() => {
-        this._waitResponse(resolve, reject);
-      }, 100);
-    }
+  _computeLocally() {
+    return null;
   }
 
   /**
-   * Update the measurement panel, if enough shapes have been selected for the current tool,
-   * ask the backend for the real measurement data and display it.
-   * @returns
+   * Display the current measurement data (panel and lines)
    */
-  _updateMeasurement() {
-    let getId = (shape) => {
-      if (shape.fromSolid) {
-        let solidId = shape.obj.name
-          .replace(/\|faces.*$/, "")
-          .replace(/\|edges.*$/, "")
-          .replace(/\|vertices.*$/, "");
-        return solidId.replaceAll("|", "/");
-      } else {
-        return shape.obj.name.replaceAll("|", "/");
-      }
-    };
-    const ids = this.selectedShapes.map(getId);
+  _showMeasurement() {
+    this.disposeArrows();
+    this.panel.setMessage(null);
+    this.panel.finished = false;
+    this._createPanel();
+    this._makeLines();
+    this.panel.show(true);
+    this._movePanel();
+  }
 
-    this.responseData = null;
+  /**
+   * Whether measurement requests can be answered, i.e. a notify callback is registered
+   * or the debug backend is enabled
+   * @returns {boolean}
+   */
+  _hasBackend() {
+    return this.debug || this.viewer.notifyCallback != null;
+  }
+
+  /**
+   * Ask the backend for the real measurement data of the current selection.
+   * A pending request of the previous selection gets cancelled.
+   */
+  _requestBackend() {
+    if (!this._hasBackend()) {
+      this._cancelRequest();
+      return;
+    }
+    const ids = this.selectedShapes.map(getShapeId);
+
+    const requestId = this._startRequest();
     if (this.debug) {
       const delay = 50 + Math.floor(Math.random() * 200);
       setTimeout(() => {
         if (this.selectedShapes.length == 0) return;
 
-        let responseData;
+        let responseData = null;
         if (this instanceof DistanceMeasurement) {
           if (this.selectedShapes.length < 2) return;
           var obj1 = this.selectedShapes[0].obj;
@@ -305,29 +598,43 @@ class Measurement {
             },
           };
         }
-        this.handleResponse(responseData);
+        if (responseData != null) {
+          responseData.request_id = requestId;
+          this.handleResponse(responseData);
+        }
       }, delay);
     } else {
       this.viewer.checkChanges({
         selectedShapeIDs: [...ids, this.shift],
+        measureRequestId: requestId,
       });
     }
+  }
 
-    if (this.selectedShapes.length != this._getMaxObjSelected()) {
+  /**
+   * Update the measurement panel, if enough shapes have been selected for the current tool,
+   * show the measurement calculated from the tessellation and ask the backend for the real measurement data.
+   * A backend response replaces the local measurement when it arrives (see handleResponse).
+   */
+  _updateMeasurement() {
+    this.responseData = null;
+
+    if (!this._isComplete()) {
+      this._cancelRequest();
       this._hideMeasurement();
       return;
     }
 
-    const p = new Promise((resolve, reject) => {
-      this._waitResponse(resolve, reject);
-    });
-    // eslint-disable-next-line no-unused-vars
-    p.then((data) => {
-      this._createPanel();
-      this._makeLines();
-      this.panel.show(true);
-      this._movePanel();
-    });
+    this._requestBackend();
+
+    const localData = this._computeLocally();
+    if (localData != null) {
+      this.responseData = localData;
+      this._getPoints();
+      this._showMeasurement();
+    } else if (this.pendingRequest == null) {
+      this._showError("Measurement not available for the selected shapes");
+    }
   }
 
   /**
@@ -339,11 +646,10 @@ class Measurement {
   handleSelection = (selectedObj, shift = false) => {
     this.shift = shift;
 
-    if (
-      this.selectedShapes.find((o) => o.obj.name === selectedObj.obj.name) !==
-      undefined
-    )
-      this.selectedShapes.splice(this.selectedShapes.indexOf(selectedObj), 1);
+    const index = this.selectedShapes.findIndex(
+      (o) => o.obj.name === selectedObj.obj.name,
+    );
+    if (index !== -1) this.selectedShapes.splice(index, 1);
     else this.selectedShapes.push(selectedObj);
 
     this.panel.finished = false;
@@ -437,8 +743,6 @@ class Measurement {
       this.panelY += dy;
     }
 
-    this._updateMeasurement();
-
     // Update the drag start position
     this.panelDragData.x = e.clientX;
     this.panelDragData.y = e.clientY;
@@ -484,6 +788,7 @@ class Measurement {
   }
 
   dispose() {
+    this._cancelRequest();
     if (this.panel) {
       this.panel.show(false);
       deepDispose(this.panel);
@@ -496,22 +801,60 @@ class Measurement {
 }
 
 class DistanceMeasurement extends Measurement {
-  constructor(viewer, debug) {
-    super(viewer, new DistancePanel(viewer.display));
+  constructor(viewer, debug, timeout) {
+    super(viewer, new DistancePanel(viewer.display), debug, timeout);
     this.point1 = null;
     this.point2 = null;
     this.middlePoint = null;
-    this.debug = debug;
   }
 
   _createPanel() {
     this.panel.createTable(this.responseData);
   }
 
+  _getAnnotationType() {
+    return "distance";
+  }
+
   _getMaxObjSelected() {
     return 2;
   }
 
+  /**
+   * Calculate the distance between the two selected shapes from their tessellation.
+   * With shift pressed the distance between the centers is calculated, else the minimum distance.
+   * @returns {object | null} The measurement in the format of the backend response
+   */
+  _computeLocally() {
+    const t1 = Tessellation.fromPickedObject(this.selectedShapes[0]);
+    const t2 = Tessellation.fromPickedObject(this.selectedShapes[1]);
+    if (t1.isEmpty() || t2.isEmpty()) return null;
+
+    var point1, point2;
+    if (this.shift) {
+      point1 = t1.center();
+      point2 = t2.center();
+    } else {
+      const result = minDistance(t1, t2);
+      point1 = result.point1;
+      point2 = result.point2;
+    }
+    const data = {
+      type: "local_response",
+      Distance: point1.distanceTo(point2),
+      info: this.shift ? "center" : "min",
+      refpoint1: point1.toArray(),
+      refpoint2: point2.toArray(),
+    };
+    const angle = angleBetween(t1, t2);
+    if (angle != null) {
+      data.Angle = angle;
+    }
+    data.info1 = t1.describe();
+    data.info2 = t2.describe();
+    return data;
+  }
+
   _getPoints() {
     this.point1 = new THREE.Vector3(...this.responseData.refpoint1);
     this.point2 = new THREE.Vector3(...this.responseData.refpoint2);
@@ -551,33 +894,80 @@ class DistanceMeasurement extends Measurement {
       ...this.panelCenter,
     ]);
   }
-
-  /**
-   * Handle the response from the backend.
-   * @param {object} response
-   */
-  handleResponse(response) {
-    // super.handleResponse(response);
-    this.responseData = { ...response };
-    this._getPoints();
-  }
 }
 
 class PropertiesMeasurement extends Measurement {
-  constructor(viewer, debug) {
-    super(viewer, new PropertiesPanel(viewer.display));
+  constructor(viewer, debug, timeout) {
+    super(viewer, new PropertiesPanel(viewer.display), debug, timeout);
     this.middlePoint = null;
-    this.debug = debug;
   }
 
   _createPanel() {
     this.panel.createTable(this.responseData);
   }
 
+  _getAnnotationType() {
+    return "properties";
+  }
+
   _getMaxObjSelected() {
     return 1;
   }
-  _getPoint() {
+
+  /**
+   * Calculate the properties of the selected shape from its tessellation.
+   * The values are approximations, their quality depends on the tessellation accuracy.
+   * @returns {object | null} The measurement in the format of the backend response
+   */
+  _computeLocally() {
+    const t = Tessellation.fromPickedObject(this.selectedShapes[0]);
+    if (t.isEmpty()) return null;
+
+    const name = t.geomTypeName();
+    const center = t.center();
+    const data = {
+      type: "local_response",
+      shape_type: t.topo.charAt(0).toUpperCase() + t.topo.slice(1),
+      approximate: true,
+    };
+    if (t.topo === "vertex") {
+      data.geom_type = "Point";
+      data.Point = center.toArray();
+    } else {
+      data.geom_type =
+        t.topo === "solid"
+          ? "Solid"
+          : name == null
+            ? "Unknown"
+            : name.charAt(0).toUpperCase() + name.slice(1);
+      if (t.topo === "edge") {
+        data.Length = t.length();
+        data.Start = t.segments[0].start.toArray();
+        data.Center = center.toArray();
+        data.End = t.segments[t.segments.length - 1].end.toArray();
+      } else {
+        if (t.topo === "solid") {
+          data.Volume = t.volume();
+        }
+        data.Area = t.area();
+        data.Center = center.toArray();
+      }
+      const bb = t.boundingBox();
+      data.bb = {
+        min: bb.min.toArray(),
+        center: bb.getCenter(new THREE.Vector3()).toArray(),
+        max: bb.max.toArray(),
+        size: bb.getSize(new THREE.Vector3()).toArray(),
+      };
+    }
+    data.refpoint = center.toArray();
+    if (t.accuracy != null) {
+      data.Accuracy = t.accuracy;
+    }
+    return data;
+  }
+
+  _getPoints() {
     this.point1 = new THREE.Vector3(...this.responseData.refpoint);
   }
 
@@ -604,16 +994,261 @@ class PropertiesMeasurement extends Measurement {
       ...this.panelCenter,
     ]);
   }
+}
+
+class AngleMeasurement extends Measurement {
+  constructor(viewer, debug, timeout) {
+    super(viewer, new AnglePanel(viewer.display), debug, timeout);
+    this.apex = null;
+    this.dir1 = null;
+    this.dir2 = null;
+    this.radius = null;
+    this.middlePoint = null;
+  }
+
+  _createPanel() {
+    this.panel.createTable(this.responseData);
+  }
+
+  _getAnnotationType() {
+    return "angle";
+  }
 
   /**
-   * Handle the response from the backend.
-   * @param {object} response
+   * Three vertices or two edges / faces
+   * @returns {int} The numbers of obj handled by the measurement
    */
-  handleResponse(response) {
-    // super.handleResponse(response);
-    this.responseData = { ...response };
-    this._getPoint();
+  _getMaxObjSelected() {
+    if (
+      this.selectedShapes.length > 0 &&
+      !this.selectedShapes[0].fromSolid &&
+      this.selectedShapes[0].obj.shapeInfo.topo === "vertex"
+    ) {
+      return 3;
+    }
+    return 2;
+  }
+
+  /**
+   * Angles are measured locally only, there is no backend request
+   */
+  _requestBackend() {}
+
+  /**
+   * Calculate the angle at the middle of three vertices or between two lines / planes.
+   * @returns {object | null} The measurement or null if the angle is not defined
+   */
+  _computeLocally() {
+    const tessellations = this.selectedShapes.map((shape) =>
+      Tessellation.fromPickedObject(shape),
+    );
+    var construction;
+    if (tessellations.length == 3) {
+      if (tessellations.some((t) => t.topo !== "vertex" || t.isEmpty())) {
+        return null;
+      }
+      const [p1, apex, p3] = tessellations.map((t) => t.points[0]);
+      const dir1 = p1.clone().sub(apex);
+      const dir2 = p3.clone().sub(apex);
+      const radius = 0.4 * Math.min(dir1.length(), dir2.length());
+      if (radius == 0) return null;
+      dir1.normalize();
+      dir2.normalize();
+      construction = {
+        angle: THREE.MathUtils.radToDeg(
+          Math.acos(THREE.MathUtils.clamp(dir1.dot(dir2), -1, 1)),
+        ),
+        apex: apex,
+        dir1: dir1,
+        dir2: dir2,
+        radius: radius,
+      };
+    } else {
+      construction = angleConstruction(tessellations[0], tessellations[1]);
+      if (construction == null) return null;
+      construction.radius =
+        0.4 *
+        Math.min(
+          construction.apex.distanceTo(tessellations[0].center()),
+          construction.apex.distanceTo(tessellations[1].center()),
+        );
+    }
+    if (construction.radius < 1e-6 * this.viewer.bb_radius) {
+      construction.radius = 0.1 * this.viewer.bb_radius;
+    }
+
+    const data = {
+      type: "local_response",
+      Angle: construction.angle,
+      Apex: construction.apex.toArray(),
+      refpoint: construction.apex.toArray(),
+      dir1: construction.dir1.toArray(),
+      dir2: construction.dir2.toArray(),
+      radius: construction.radius,
+    };
+    tessellations.forEach((t, i) => {
+      data[`info${i + 1}`] = t.describe();
+    });
+    return data;
+  }
+
+  _getPoints() {
+    this.apex = new THREE.Vector3(...this.responseData.refpoint);
+    this.dir1 = new THREE.Vector3(...this.responseData.dir1);
+    this.dir2 = new THREE.Vector3(...this.responseData.dir2);
+    this.radius = this.responseData.radius;
+  }
+
+  _makeLines() {
+    if (this.scene.children.length === 0) {
+      const lineWidth = 1.5;
+      const arc = new AngleArc(
+        this.coneLength,
+        this.apex,
+        this.dir1,
+        this.dir2,
+        this.radius,
+        this.responseData.Angle,
+        2 * lineWidth,
+        this.measurementLineColor,
+      );
+      this.scene.add(arc);
+
+      this.middlePoint = arc.label.position.clone();
+      const connectingLine = new DistanceLineArrow(
+        this.coneLength,
+        this.panelCenter,
+        this.middlePoint,
+        lineWidth,
+        this.connectingLineColor,
+        false,
+        false,
+      );
+      this.scene.add(connectingLine);
+    }
+  }
+
+  _updateConnectionLine() {
+    this.scene.children[1].children[0].geometry.setPositions([
+      ...this.middlePoint,
+      ...this.panelCenter,
+    ]);
+  }
+}
+
+class PolylineMeasurement extends Measurement {
+  constructor(viewer, debug, timeout) {
+    super(viewer, new PolylinePanel(viewer.display), debug, timeout);
+    this.points = [];
+    this.middlePoint = null;
+  }
+
+  _createPanel() {
+    this.panel.createTable(this.responseData);
+  }
+
+  _getAnnotationType() {
+    return "polyline";
+  }
+
+  /**
+   * A polyline can have any number of points
+   * @returns {int} The numbers of obj handled by the measurement
+   */
+  _getMaxObjSelected() {
+    return Infinity;
+  }
+
+  _isComplete() {
+    return this.selectedShapes.length >= 2;
+  }
+
+  /**
+   * Polylines are measured locally only, there is no backend request
+   */
+  _requestBackend() {}
+
+  /**
+   * Calculate the segment lengths and the total length of the polyline through the
+   * picked vertices (or centers of other picked shapes).
+   * @returns {object | null} The measurement or null if a shape has no tessellation
+   */
+  _computeLocally() {
+    const points = [];
+    for (const shape of this.selectedShapes) {
+      const t = Tessellation.fromPickedObject(shape);
+      if (t.isEmpty()) return null;
+      points.push(t.topo === "vertex" ? t.points[0] : t.center());
+    }
+    const segments = [];
+    for (let i = 1; i < points.length; i++) {
+      segments.push(points[i - 1].distanceTo(points[i]));
+    }
+    return {
+      type: "local_response",
+      points: points.map((p) => p.toArray()),
+      segments: segments,
+      Total: segments.reduce((sum, l) => sum + l, 0),
+    };
+  }
+
+  _getPoints() {
+    this.points = this.responseData.points.map((p) => new THREE.Vector3(...p));
+  }
+
+  _makeLines() {
+    if (this.scene.children.length === 0) {
+      const lineWidth = 1.5;
+      for (let i = 1; i < this.points.length; i++) {
+        const start = this.points[i - 1];
+        const end = this.points[i];
+        this.scene.add(
+          new DistanceLineArrow(
+            this.coneLength,
+            start,
+            end,
+            2 * lineWidth,
+            this.measurementLineColor,
+          ),
+        );
+        const label = new TextLabel(
+          this.responseData.segments[i - 1].toFixed(3),
+          this.measurementLineColor,
+          this.coneLength,
+        );
+        label.position.addVectors(start, end).multiplyScalar(0.5);
+        this.scene.add(label);
+      }
+
+      this.middlePoint = this.points[this.points.length - 1];
+      const connectingLine = new DistanceLineArrow(
+        this.coneLength,
+        this.panelCenter,
+        this.middlePoint,
+        lineWidth,
+        this.connectingLineColor,
+        false,
+        false,
+      );
+      this.scene.add(connectingLine);
+    }
+  }
+
+  _updateConnectionLine() {
+    const connectingLine = this.scene.children[this.scene.children.length - 1];
+    connectingLine.children[0].geometry.setPositions([
+      ...this.middlePoint,
+      ...this.panelCenter,
+    ]);
   }
 }
 
-export { DistanceMeasurement, PropertiesMeasurement };
+export {
+  DistanceMeasurement,
+  PropertiesMeasurement,
+  AngleMeasurement,
+  PolylineMeasurement,
+  DistanceLineArrow,
+  AngleArc,
+  TextLabel,
+};
@@ -0,0 +1,342 @@
+import * as THREE from "three";
+import { Tessellation } from "./geometry.js";
+import { PickedObject, TopoFilter } from "../raycast.js";
+import { KeyMapper } from "../utils.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+const topoGroups = { face: "faces", edge: "edges", vertex: "vertices" };
+
+/**
+ * Check whether a point is inside a polygon (even-odd rule)
+ * @param {THREE.Vector2} p
+ * @param {THREE.Vector2[]} polygon
+ * @returns {boolean}
+ */
+function pointInPolygon(p, polygon) {
+  var inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if (
+      a.y > p.y !== b.y > p.y &&
+      p.x < ((b.x - a.x) * (p.y - a.y)) / (b.y - a.y) + a.x
+    ) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function orientation(a, b, c) {
+  return Math.sign((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x));
+}
+
+/**
+ * Check whether the segment p1-p2 crosses an edge of the polygon
+ * @param {THREE.Vector2} p1
+ * @param {THREE.Vector2} p2
+ * @param {THREE.Vector2[]} polygon
+ * @returns {boolean}
+ */
+function segmentCrossesPolygon(p1, p2, polygon) {
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[j];
+    const b = polygon[i];
+    if (
+      orientation(p1, p2, a) !== orientation(p1, p2, b) &&
+      orientation(a, b, p1) !== orientation(a, b, p2)
+    ) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function pointInTriangle(p, a, b, c) {
+  const o1 = orientation(a, b, p);
+  const o2 = orientation(b, c, p);
+  const o3 = orientation(c, a, p);
+  return !((o1 < 0 || o2 < 0 || o3 < 0) && (o1 > 0 || o2 > 0 || o3 > 0));
+}
+
+/**
+ * Screen space test of a tessellation against a selection polygon
+ * @param {Tessellation} tessellation - world coordinates of the shape
+ * @param {function} toScreen - maps a world point to pixels, null if not in the view frustum
+ * @param {THREE.Vector2[]} polygon - the selection region in pixels
+ * @param {THREE.Box2} polygonBox - bounding box of the polygon
+ * @param {boolean} crossing - true: shape touches the region, false: shape is fully inside
+ * @returns {boolean}
+ */
+function inRegion(tessellation, toScreen, polygon, polygonBox, crossing) {
+  const project = (points) => points.map((p) => toScreen(p));
+  const points = project(tessellation.points);
+  const lines = tessellation.segments.map((s) => project([s.start, s.end]));
+  const triangles = tessellation.triangles.map((t) => project([t.a, t.b, t.c]));
+  for (const [a, b, c] of triangles) {
+    lines.push([a, b], [b, c], [c, a]);
+  }
+  lines.forEach(([a, b]) => points.push(a, b));
+
+  const box = new THREE.Box2();
+  for (const p of points) {
+    if (p == null) {
+      if (!crossing) return false;
+    } else {
+      box.expandByPoint(p);
+    }
+  }
+  if (box.isEmpty() || !box.intersectsBox(polygonBox)) return false;
+
+  if (!crossing) {
+    return (
+      points.every((p) => pointInPolygon(p, polygon)) &&
+      !lines.some(([a, b]) => segmentCrossesPolygon(a, b, polygon))
+    );
+  }
+  if (points.some((p) => p != null && pointInPolygon(p, polygon))) {
+    return true;
+  }
+  if (
+    lines.some(
+      ([a, b]) =>
+        a != null && b != null && segmentCrossesPolygon(a, b, polygon),
+    )
+  ) {
+    return true;
+  }
+  // the region can be completely inside of a face
+  return triangles.some(
+    ([a, b, c]) =>
+      a != null &&
+      b != null &&
+      c != null &&
+      orientation(a, b, c) !== 0 &&
+      pointInTriangle(polygon[0], a, b, c),
+  );
+}
+
+class RegionSelection {
+  /**
+   * Rubber band (box) and lasso selection in the cad view.
+   * <alt> + drag selects with a box, <alt> + <shift> + drag with a lasso.
+   * Dragging to the right selects the shapes fully inside, dragging to the left the crossing shapes, too.
+   * @param {import ("../viewer.js").Viewer} viewer The viewer instance
+   * @param {function} callback Called with the list of selected PickedObjects
+   */
+  constructor(viewer, callback) {
+    this.viewer = viewer;
+    this.callback = callback;
+    this.points = null;
+    this.lasso = false;
+    this.enabled = false;
+
+    this.svg = document.createElementNS(SVG_NS, "svg");
+    this.svg.classList.add("tcv_region_selection");
+    this.outline = document.createElementNS(SVG_NS, "polygon");
+    this.svg.appendChild(this.outline);
+  }
+
+  enable() {
+    if (this.enabled) return;
+    this.viewer.display.cadView.addEventListener(
+      "mousedown",
+      this.onMouseDown,
+      true,
+    );
+    this.enabled = true;
+  }
+
+  disable() {
+    if (!this.enabled) return;
+    this._stop();
+    this.viewer.display.cadView.removeEventListener(
+      "mousedown",
+      this.onMouseDown,
+      true,
+    );
+    this.enabled = false;
+  }
+
+  /**
+   * Mouse position relative to the canvas
+   * @param {MouseEvent} e
+   * @returns {THREE.Vector2}
+   */
+  _position(e) {
+    const rect = this.viewer.renderer.domElement.getBoundingClientRect();
+    return new THREE.Vector2(e.clientX - rect.left, e.clientY - rect.top);
+  }
+
+  /**
+   * The selection region as polygon, a box is given by its two corners
+   * @returns {THREE.Vector2[]}
+   */
+  _polygon() {
+    if (this.lasso) return this.points;
+    const p1 = this.points[0];
+    const p2 = this.points[this.points.length - 1];
+    return [
+      p1,
+      new THREE.Vector2(p2.x, p1.y),
+      p2,
+      new THREE.Vector2(p1.x, p2.y),
+    ];
+  }
+
+  _isCrossing() {
+    return this.points[this.points.length - 1].x < this.points[0].x;
+  }
+
+  /**
+   * Start a box or lasso selection, the camera controls and the raycaster must not get the events
+   * @param {MouseEvent} e
+   */
+  onMouseDown = (e) => {
+    if (e.button != THREE.MOUSE.LEFT || !KeyMapper.get(e, "alt")) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    this.lasso = KeyMapper.get(e, "shift");
+    this.points = [this._position(e)];
+    const canvas = this.viewer.renderer.domElement;
+    this.svg.setAttribute("width", canvas.clientWidth);
+    this.svg.setAttribute("height", canvas.clientHeight);
+    this.outline.setAttribute("points", "");
+    this.viewer.display.cadView.insertBefore(
+      this.svg,
+      this.viewer.display.cadView.firstChild,
+    );
+    window.addEventListener("mousemove", this.onMouseMove, true);
+    window.addEventListener("mouseup", this.onMouseUp, true);
+  };
+
+  onMouseMove = (e) => {
+    e.stopPropagation();
+    const p = this._position(e);
+    if (this.lasso) {
+      if (p.distanceTo(this.points[this.points.length - 1]) < 3) return;
+      this.points.push(p);
+    } else {
+      this.points[1] = p;
+    }
+    this.outline.setAttribute(
+      "points",
+      this._polygon()
+        .map((p) => `${p.x},${p.y}`)
+        .join(" "),
+    );
+    this.outline.classList.toggle(
+      "tcv_region_selection_crossing",
+      this._isCrossing(),
+    );
+  };
+
+  onMouseUp = (e) => {
+    e.stopPropagation();
+    const polygon = this._polygon();
+    const crossing = this._isCrossing();
+    this._stop();
+
+    const box = new THREE.Box2().setFromPoints(polygon);
+    const size = box.getSize(new THREE.Vector2());
+    if (polygon.length < 3 || size.x < 3 || size.y < 3) return;
+
+    this.callback(this.getShapes(polygon, crossing));
+  };
+
+  _stop() {
+    window.removeEventListener("mousemove", this.onMouseMove, true);
+    window.removeEventListener("mouseup", this.onMouseUp, true);
+    if (this.svg.parentNode != null) {
+      this.svg.parentNode.removeChild(this.svg);
+    }
+    this.points = null;
+  }
+
+  /**
+   * Find the shapes in a screen region that match the topology filter of the raycaster.
+   * Filter "none" selects solids as a whole and the top level topology of all other shapes.
+   * @param {THREE.Vector2[]} polygon - the region in pixels of the canvas
+   * @param {boolean} crossing - true: select shapes touching the region, false: only shapes fully inside
+   * @returns {PickedObject[]}
+   */
+  getShapes(polygon, crossing) {
+    const viewer = this.viewer;
+    const topoFilter =
+      viewer.raycaster != null
+        ? viewer.raycaster.filters.topoFilter
+        : [TopoFilter.none];
+    const anyTopo = topoFilter.includes(TopoFilter.none);
+    const solids = anyTopo || topoFilter.includes(TopoFilter.solid);
+
+    const camera = viewer.camera.getCamera();
+    camera.updateMatrixWorld();
+    const toScreen = (p) => {
+      const ndc = p.clone().project(camera);
+      if (ndc.z < -1 || ndc.z > 1) return null;
+      return new THREE.Vector2(
+        ((ndc.x + 1) / 2) * viewer.cadWidth,
+        ((1 - ndc.y) / 2) * viewer.height,
+      );
+    };
+    const polygonBox = new THREE.Box2().setFromPoints(polygon);
+
+    const candidates = new Map();
+    for (const group of Object.values(viewer.nestedGroup.groups)) {
+      if (!group.shapeInfo || !this._isVisible(group)) continue;
+      const topo = group.shapeInfo.topo;
+      const part = group.parent.parent;
+      if (group.subtype === "solid") {
+        if (solids && topo === "face" && !candidates.has(part.name)) {
+          candidates.set(part.name, new PickedObject(group, true));
+        }
+      } else if (
+        anyTopo ? this._isTopLevel(group, part) : topoFilter.includes(topo)
+      ) {
+        candidates.set(group.name, new PickedObject(group, false));
+      }
+    }
+
+    const result = [];
+    for (const pickedObj of candidates.values()) {
+      const tessellation = Tessellation.fromPickedObject(pickedObj);
+      if (inRegion(tessellation, toScreen, polygon, polygonBox, crossing)) {
+        result.push(pickedObj);
+      }
+    }
+    return result;
+  }
+
+  _isVisible(group) {
+    return [group.types.front, group.types.edges, group.types.vertices].some(
+      (obj) => obj != null && obj.material.visible,
+    );
+  }
+
+  /**
+   * Whether the group belongs to the highest topology level of its part (faces, else edges, else vertices)
+   * @param {import ("../objectgroup.js").ObjectGroup} group
+   * @param {THREE.Group} part
+   * @returns {boolean}
+   */
+  _isTopLevel(group, part) {
+    for (const topo of ["face", "edge", "vertex"]) {
+      const name = `${part.name}|${topoGroups[topo]}`;
+      if (part.children.some((child) => child.name === name)) {
+        return group.shapeInfo.topo === topo;
+      }
+    }
+    return true;
+  }
+
+  dispose() {
+    this.disable();
+    this.svg = null;
+    this.outline = null;
+    this.viewer = null;
+  }
+}
+
+export { RegionSelection };
@@ -1,16 +1,28 @@
+import { RegionSelection } from "./region.js";
+import { SelectionSets } from "./selectionsets.js";
+import { PickedObject } from "../raycast.js";
+
 class SelectObject {
   constructor(viewer) {
     this.viewer = viewer;
     this.selectedShapes = [];
     this.contextEnabled = false;
+    this.regionSelection = new RegionSelection(viewer, (pickedObjs) =>
+      this.addSelection(pickedObjs),
+    );
+    this.selectionSets = new SelectionSets(viewer, this);
   }
 
   enableContext() {
     this.contextEnabled = true;
+    this.regionSelection.enable();
+    this.selectionSets.show(true);
   }
 
   disableContext() {
     this.contextEnabled = false;
+    this.regionSelection.disable();
+    this.selectionSets.show(false);
     for (var group of this.selectedShapes) {
       group.obj.clearHighlights();
     }
@@ -57,6 +69,99 @@ class SelectObject {
     this.notify();
   }
 
+  /**
+   * Add shapes to the selection, e.g. of a box or lasso selection. Already selected shapes stay selected
+   * @param {import ("../raycast.js").PickedObject[]} pickedObjs
+   */
+  addSelection(pickedObjs) {
+    for (const pickedObj of pickedObjs) {
+      const objs = pickedObj.objs();
+      if (
+        this.selectedShapes.some(
+          (shape) =>
+            shape.obj.name === pickedObj.obj.name ||
+            (shape.fromSolid &&
+              pickedObj.fromSolid &&
+              shape.objs()[0] === objs[0]),
+        )
+      ) {
+        continue;
+      }
+      // select directly, toggling would deselect objects that are selected already
+      for (const obj of objs) {
+        obj.isSelected = true;
+        obj.highlight(true);
+        obj.widen(false);
+      }
+      this.selectedShapes.push(pickedObj);
+    }
+    this.notify();
+    this.viewer.update(true, false);
+  }
+
+  /**
+   * Select the shapes in a region of the canvas
+   * @param {number[][]} polygon - [x, y] pixel coordinates, a box is given by two corners
+   * @param {boolean} crossing - also select shapes crossing the region, not only the ones fully inside
+   */
+  selectRegion(polygon, crossing) {
+    var points = polygon.map((p) => ({ x: p[0], y: p[1] }));
+    if (points.length == 2) {
+      points = [
+        points[0],
+        { x: points[1].x, y: points[0].y },
+        points[1],
+        { x: points[0].x, y: points[1].y },
+      ];
+    }
+    this.addSelection(this.regionSelection.getShapes(points, crossing));
+  }
+
+  /**
+   * Serializable description of the current selection
+   * @returns {import ("./selectionsets.js").SelectedShape[]}
+   */
+  getSelection() {
+    return this.selectedShapes.map((shape) => SelectionSets.describe(shape));
+  }
+
+  /**
+   * Save the current selection as named selection set
+   * @param {string} name
+   */
+  saveSelection(name) {
+    this.selectionSets.save(name, this.getSelection());
+  }
+
+  /**
+   * Replace the current selection by a selection set.
+   * Shapes that do not exist any more are ignored.
+   * @param {string} name
+   */
+  restoreSelection(name) {
+    const shapes = this.selectionSets.get(name);
+    if (shapes == null) {
+      throw new Error(`Unknown selection set: ${name}`);
+    }
+    this.removeLastSelectedObj(true);
+
+    const groups = this.viewer.nestedGroup.groups;
+    const pickedObjs = [];
+    for (const shape of shapes) {
+      const group = groups[shape.id];
+      if (group == null) continue;
+      if (shape.topo === "solid") {
+        const faces = groups[`${shape.id}/faces`];
+        if (faces != null && faces.children.length > 0) {
+          pickedObjs.push(new PickedObject(faces.children[0], true));
+        }
+      } else if (group.shapeInfo) {
+        pickedObjs.push(new PickedObject(group, false));
+      }
+    }
+    this.addSelection(pickedObjs);
+  }
+
   _removeLastSelectedObj(shape) {
     if (shape) {
       let objs = shape.objs();
@@ -83,6 +188,8 @@ class SelectObject {
 
   dispose() {
     this.disableContext();
+    this.regionSelection.dispose();
+    this.selectionSets.dispose();
   }
 }
 
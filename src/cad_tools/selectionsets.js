@@ -0,0 +1,169 @@
+import { GeomTypes } from "../raycast.js";
+import { SelectionSetsPanel } from "./ui.js";
+
+const Operations = ["union", "intersection", "difference"];
+
+/**
+ * Serializable description of a selected shape
+ * @typedef {Object} SelectedShape
+ * @property {string} id - "/" separated path of the shape, the part path for solids
+ * @property {string} topo - "solid", "face", "edge" or "vertex"
+ * @property {string | null} geomtype - e.g. "plane" or "circle", null for solids and vertices
+ * @property {number | null} index - index of the face, edge or vertex within its part, null for solids
+ */
+
+class SelectionSets {
+  /**
+   * Named selections that survive switching off the select tool
+   * @param {import ("../viewer.js").Viewer} viewer The viewer instance
+   * @param {import ("./select.js").SelectObject} selectObject The select tool
+   */
+  constructor(viewer, selectObject) {
+    this.viewer = viewer;
+    this.selectObject = selectObject;
+    this.sets = new Map();
+    this.panel = new SelectionSetsPanel(viewer.display);
+    this.panel.registerCallbacks(
+      (name) => this.selectObject.saveSelection(name),
+      (name) => this.selectObject.restoreSelection(name),
+      (name) => this.remove(name),
+    );
+    this.panel.show(false);
+  }
+
+  /**
+   * Describe a picked object (a solid for picked objects from a solid)
+   * @param {import ("../raycast.js").PickedObject} pickedObj
+   * @returns {SelectedShape}
+   */
+  static describe(pickedObj) {
+    const obj = pickedObj.obj;
+    if (pickedObj.fromSolid) {
+      return {
+        id: obj.parent.parent.name.replaceAll("|", "/"),
+        topo: "solid",
+        geomtype: null,
+        index: null,
+      };
+    }
+    const topo = obj.shapeInfo.topo;
+    const name = obj.name.split("|").pop();
+    return {
+      id: obj.name.replaceAll("|", "/"),
+      topo: topo,
+      geomtype:
+        topo === "vertex" ? null : GeomTypes[topo][obj.shapeInfo.geomtype],
+      index: parseInt(name.split("_").pop()),
+    };
+  }
+
+  /**
+   * Store a selection set, an existing set with the same name gets replaced
+   * @param {string} name
+   * @param {SelectedShape[]} shapes
+   */
+  save(name, shapes) {
+    this.sets.set(
+      name,
+      shapes.map((shape) => ({ ...shape })),
+    );
+    this._changed();
+  }
+
+  /**
+   * @param {string} name
+   * @returns {SelectedShape[] | null}
+   */
+  get(name) {
+    return this.sets.has(name) ? this.sets.get(name) : null;
+  }
+
+  /**
+   * Delete a selection set
+   * @param {string} name
+   */
+  remove(name) {
+    if (this.sets.delete(name)) {
+      this._changed();
+    }
+  }
+
+  /**
+   * Combine two selection sets into a new one
+   * @param {string} operation - "union", "intersection" or "difference"
+   * @param {string} name1
+   * @param {string} name2
+   * @param {string} name - name of the resulting selection set
+   * @returns {SelectedShape[]} the shapes of the new set
+   */
+  combine(operation, name1, name2, name) {
+    if (!Operations.includes(operation)) {
+      throw new Error(`Unknown selection set operation: ${operation}`);
+    }
+    for (const n of [name1, name2]) {
+      if (!this.sets.has(n)) {
+        throw new Error(`Unknown selection set: ${n}`);
+      }
+    }
+    const shapes1 = this.sets.get(name1);
+    const ids2 = new Set(this.sets.get(name2).map((shape) => shape.id));
+    var shapes;
+    if (operation === "union") {
+      const ids1 = new Set(shapes1.map((shape) => shape.id));
+      shapes = shapes1.concat(
+        this.sets.get(name2).filter((shape) => !ids1.has(shape.id)),
+      );
+    } else if (operation === "intersection") {
+      shapes = shapes1.filter((shape) => ids2.has(shape.id));
+    } else {
+      shapes = shapes1.filter((shape) => !ids2.has(shape.id));
+    }
+    this.save(name, shapes);
+    return this.get(name);
+  }
+
+  /**
+   * Serializable list of all selection sets
+   * @returns {{name: string, shapes: SelectedShape[]}[]}
+   */
+  getSelectionSets() {
+    return Array.from(this.sets, ([name, shapes]) => ({
+      name: name,
+      shapes: shapes.map((shape) => ({ ...shape })),
+    }));
+  }
+
+  /**
+   * Refresh the panel and notify the changed selection sets
+   */
+  _changed() {
+    this.panel.setSelectionSets(
+      Array.from(this.sets, ([name, shapes]) => ({
+        name: name,
+        count: shapes.length,
+      })),
+    );
+    this.viewer.checkChanges({ selectionSets: this.getSelectionSets() });
+  }
+
+  /**
+   * Show or hide the selection sets panel
+   * @param {boolean} flag
+   */
+  show(flag) {
+    this.panel.show(flag);
+  }
+
+  dispose() {
+    this.sets.clear();
+    if (this.panel) {
+      this.panel.show(false);
+      this.panel.dispose();
+    }
+    this.panel = null;
+    this.selectObject = null;
+    this.viewer = null;
+  }
+}
+
+export { SelectionSets };
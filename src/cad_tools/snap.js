@@ -0,0 +1,288 @@
+import * as THREE from "three";
+import { Tessellation } from "./geometry.js";
+import { GeomTypes } from "../raycast.js";
+
+const _sphere = new THREE.Sphere();
+
+/**
+ * The result of picking a point on the surface of a shape
+ */
+class SurfacePick {
+  /**
+   * @param {THREE.Vector3} point - world coordinates of the (snapped) point
+   * @param {THREE.Vector3 | null} normal - face normal in world coordinates, null for edges and vertices
+   * @param {string | null} faceId - id of the face that was hit, null if no face was hit
+   * @param {string | null} snap - "vertex", "circle_center", "edge_midpoint" or null if not snapped
+   * @param {string | null} snapId - id of the shape the point snapped to
+   * @param {THREE.Vector3} hitPoint - world coordinates of the exact intersection point
+   */
+  constructor(point, normal, faceId, snap, snapId, hitPoint) {
+    this.point = point;
+    this.normal = normal;
+    this.faceId = faceId;
+    this.snap = snap;
+    this.snapId = snapId;
+    this.hitPoint = hitPoint;
+  }
+
+  /**
+   * Serializable representation, e.g. for notifications
+   * @returns {object}
+   */
+  serialize() {
+    return {
+      point: this.point.toArray(),
+      normal: this.normal == null ? null : this.normal.toArray(),
+      faceId: this.faceId,
+      snap: this.snap,
+      snapId: this.snapId,
+      hitPoint: this.hitPoint.toArray(),
+    };
+  }
+}
+
+/**
+ * Get the face id of a hit. Compact shapes map the triangle to the face via trianglesPerFace,
+ * using the ids of the exploded faces.
+ * @param {import ("../objectgroup.js").ObjectGroup} objectGroup
+ * @param {number | null} faceIndex - index of the triangle that was hit
+ * @returns {string | null}
+ */
+function getFaceId(objectGroup, faceIndex) {
+  const id = objectGroup.name.replaceAll("|", "/");
+  if (objectGroup.shapeInfo.topo !== "face" || faceIndex == null) {
+    return null;
+  }
+  if (objectGroup.trianglesPerFace == null) {
+    return id;
+  }
+  var count = 0;
+  for (let i = 0; i < objectGroup.trianglesPerFace.length; i++) {
+    count += objectGroup.trianglesPerFace[i];
+    if (faceIndex < count) {
+      return `${id}/faces/faces_${i}`;
+    }
+  }
+  return id;
+}
+
+/**
+ * The plane of a face that was hit. Exploded faces know their geometry type, for compact
+ * shapes all triangles of the face (via trianglesPerFace) need to have the same normal.
+ * @param {{point: THREE.Vector3, normal: THREE.Vector3 | null, objectGroup: import ("../objectgroup.js").ObjectGroup, faceIndex: number | null}} hit -
+ *   a surface hit of the raycaster
+ * @param {number} [tolerance=1e-4] - allowed deviation of the triangle normals
+ * @returns {{point: THREE.Vector3, normal: THREE.Vector3} | null} null if the face is not planar
+ */
+function planarFace(hit, tolerance = 1e-4) {
+  if (hit.normal == null) return null;
+  const objectGroup = hit.objectGroup;
+  const plane = { point: hit.point.clone(), normal: hit.normal.clone() };
+
+  if (objectGroup.trianglesPerFace == null) {
+    return GeomTypes.face[objectGroup.shapeInfo.geomtype] === "plane"
+      ? plane
+      : null;
+  }
+
+  var start = 0;
+  var end = 0;
+  for (const count of objectGroup.trianglesPerFace) {
+    end = start + count;
+    if (hit.faceIndex < end) break;
+    start = end;
+  }
+
+  const mesh = objectGroup.types.front;
+  const index = mesh.geometry.index;
+  const position = mesh.geometry.attributes.position;
+  const vertices = [0, 1, 2].map(() => new THREE.Vector3());
+  const normal = new THREE.Vector3();
+  for (let t = start; t < end; t++) {
+    vertices.forEach((v, i) =>
+      v.fromBufferAttribute(position, index.getX(3 * t + i)),
+    );
+    THREE.Triangle.getNormal(...vertices, normal).transformDirection(
+      mesh.matrixWorld,
+    );
+    if (
+      normal.lengthSq() > 0 &&
+      1 - Math.abs(normal.dot(plane.normal)) > tolerance
+    ) {
+      return null;
+    }
+  }
+  return plane;
+}
+
+/**
+ * Snap candidates of an edge: the midpoint (by length) and the center for circles
+ * @param {Tessellation} tessellation
+ * @returns {{point: THREE.Vector3, snap: string}[]}
+ */
+function edgeCandidates(tessellation) {
+  const candidates = [];
+  const half = tessellation.length() / 2;
+  var length = 0;
+  for (const segment of tessellation.segments) {
+    const l = segment.distance();
+    if (length + l >= half && l > 0) {
+      candidates.push({
+        point: segment.at((half - length) / l, new THREE.Vector3()),
+        snap: "edge_midpoint",
+      });
+      break;
+    }
+    length += l;
+  }
+  if (tessellation.geomTypeName() === "circle") {
+    candidates.push({ point: tessellation.center(), snap: "circle_center" });
+  }
+  return candidates;
+}
+
+/**
+ * Snap candidates of an ObjectGroup in the coordinates of the group, cached on the group.
+ * Compact shapes provide all their vertices and edges (split by segmentsPerEdge), the ids of
+ * these are the ids of the exploded vertices and edges.
+ * @param {import ("../objectgroup.js").ObjectGroup} group
+ * @returns {{point: THREE.Vector3, snap: string, id: string}[]}
+ */
+function snapCandidates(group) {
+  if (group.snapCandidates != null) return group.snapCandidates;
+
+  const candidates = [];
+  const id = group.name.replaceAll("|", "/");
+
+  const vertices = group.types.vertices;
+  if (vertices != null) {
+    const position = vertices.geometry.attributes.position;
+    for (let i = 0; i < position.count; i++) {
+      candidates.push({
+        point: new THREE.Vector3().fromBufferAttribute(position, i),
+        snap: "vertex",
+        id: id,
+      });
+    }
+  } else if (group.objVertices != null) {
+    for (let i = 0; 3 * i + 2 < group.objVertices.length; i++) {
+      candidates.push({
+        point: new THREE.Vector3().fromArray(group.objVertices, 3 * i),
+        snap: "vertex",
+        id: `${id}/vertices/vertices_${i}`,
+      });
+    }
+  }
+
+  const edges = group.types.edges;
+  if (edges != null) {
+    const start = edges.geometry.attributes.instanceStart;
+    const end = edges.geometry.attributes.instanceEnd;
+    const segment = (i) =>
+      new THREE.Line3(
+        new THREE.Vector3().fromBufferAttribute(start, i),
+        new THREE.Vector3().fromBufferAttribute(end, i),
+      );
+    const addEdge = (first, count, geomtype, edgeId) => {
+      const tessellation = new Tessellation();
+      tessellation.topo = "edge";
+      tessellation.geomtype = geomtype;
+      for (let i = first; i < first + count; i++) {
+        tessellation.segments.push(segment(i));
+      }
+      edgeCandidates(tessellation).forEach((c) =>
+        candidates.push({ point: c.point, snap: c.snap, id: edgeId }),
+      );
+    };
+    if (group.segmentsPerEdge != null) {
+      var first = 0;
+      for (let j = 0; j < group.segmentsPerEdge.length; j++) {
+        addEdge(
+          first,
+          group.segmentsPerEdge[j],
+          group.edgeTypes == null ? null : group.edgeTypes[j],
+          `${id}/edges/edges_${j}`,
+        );
+        first += group.segmentsPerEdge[j];
+      }
+    } else if (group.shapeInfo.topo === "edge") {
+      addEdge(0, start.count, group.shapeInfo.geomtype, id);
+    }
+  }
+
+  group.snapCandidates = candidates;
+  return candidates;
+}
+
+/**
+ * Pick a point on the surface of the shapes under the mouse and snap it to
+ * vertices, edge midpoints and circle centers within a screen space tolerance.
+ * @param {import ("../raycast.js").Raycaster} raycaster - raycaster with the current mouse position
+ * @param {import ("../nestedgroup.js").NestedGroup} nestedGroup - the rendered shapes
+ * @param {number} tolerance - snap tolerance in pixels
+ * @returns {SurfacePick | null} null if no shape is under the mouse
+ */
+function pickSurfacePoint(raycaster, nestedGroup, tolerance) {
+  const hit = raycaster.getSurfaceHit();
+  if (hit == null) return null;
+
+  const camera = raycaster.camera.getCamera();
+  const toScreen = (p) => {
+    const ndc = p.clone().project(camera);
+    return new THREE.Vector2(
+      ((ndc.x + 1) / 2) * raycaster.width,
+      ((1 - ndc.y) / 2) * raycaster.height,
+    );
+  };
+
+  // world space size of the tolerance at the depth of the hit point
+  const ndc = hit.point.clone().project(camera);
+  ndc.x += (2 * tolerance) / raycaster.width;
+  const worldTolerance = ndc.unproject(camera).distanceTo(hit.point);
+
+  const mouse = toScreen(hit.point);
+  var best = null;
+  var bestDistance = tolerance;
+  const check = (point, snap, id) => {
+    const distance = toScreen(point).distanceTo(mouse);
+    if (distance <= bestDistance) {
+      bestDistance = distance;
+      best = { point: point, snap: snap, id: id };
+    }
+  };
+
+  for (const group of Object.values(nestedGroup.groups)) {
+    if (!group.shapeInfo || group.types == null) continue;
+    const near = ["front", "edges", "vertices"].some((type) => {
+      const obj = group.types[type];
+      if (obj == null) return false;
+      if (obj.geometry.boundingSphere == null) {
+        obj.geometry.computeBoundingSphere();
+      }
+      obj.updateWorldMatrix(true, false);
+      _sphere.copy(obj.geometry.boundingSphere).applyMatrix4(obj.matrixWorld);
+      return _sphere.distanceToPoint(hit.point) <= worldTolerance;
+    });
+    if (!near) continue;
+
+    // the types share the coordinates of the group
+    for (const candidate of snapCandidates(group)) {
+      check(
+        candidate.point.clone().applyMatrix4(group.matrixWorld),
+        candidate.snap,
+        candidate.id,
+      );
+    }
+  }
+
+  return new SurfacePick(
+    best == null ? hit.point : best.point,
+    hit.normal,
+    getFaceId(hit.objectGroup, hit.faceIndex),
+    best == null ? null : best.snap,
+    best == null ? null : best.id,
+    hit.point,
+  );
+}
+
+export { SurfacePick, pickSurfacePoint, planarFace };
@@ -1,5 +1,11 @@
-import { DistanceMeasurement, PropertiesMeasurement } from "./measure";
+import {
+  DistanceMeasurement,
+  PropertiesMeasurement,
+  AngleMeasurement,
+  PolylineMeasurement,
+} from "./measure";
 import { SelectObject } from "./select";
+import { Annotations } from "./annotations";
 
 /**
  * Enum representing tool types.
@@ -7,11 +13,15 @@ import { SelectObject } from "./select";
  * @property {string} NONE - Represents no tool.
  * @property {string} DISTANCE - Distance measurement tool.
  * @property {string} PROPERTIES - Properties measurement tool.
+ * @property {string} ANGLE - Angle measurement tool.
+ * @property {string} POLYLINE - Polyline measurement tool.
  */
 export const ToolTypes = {
   NONE: "None",
   DISTANCE: "DistanceMeasurement",
   PROPERTIES: "PropertiesMeasurement",
+  ANGLE: "AngleMeasurement",
+  POLYLINE: "PolylineMeasurement",
   SELECT: "SelectObjects",
 };
 
@@ -19,12 +29,21 @@ export class Tools {
   /**
    *
    * @param {import ("../viewer.js").Viewer} viewer The viewer instance
+   * @param {boolean} debug Whether to fake the backend responses of the measurement tools
+   * @param {number} timeout Time in ms the measurement tools wait for a backend response
    */
-  constructor(viewer, debug) {
+  constructor(viewer, debug, timeout) {
     this.viewer = viewer;
-    this.distanceMeasurement = new DistanceMeasurement(viewer, debug);
-    this.propertiesMeasurement = new PropertiesMeasurement(viewer, debug);
+    this.distanceMeasurement = new DistanceMeasurement(viewer, debug, timeout);
+    this.propertiesMeasurement = new PropertiesMeasurement(
+      viewer,
+      debug,
+      timeout,
+    );
+    this.angleMeasurement = new AngleMeasurement(viewer, debug, timeout);
+    this.polylineMeasurement = new PolylineMeasurement(viewer, debug, timeout);
     this.selectObject = new SelectObject(viewer);
+    this.annotations = new Annotations(viewer);
     this.enabledTool = null; // There can only be one enabled tool at a time
   }
 
@@ -45,6 +64,12 @@ export class Tools {
       case ToolTypes.PROPERTIES:
         this.propertiesMeasurement.enableContext();
         break;
+      case ToolTypes.ANGLE:
+        this.angleMeasurement.enableContext();
+        break;
+      case ToolTypes.POLYLINE:
+        this.polylineMeasurement.enableContext();
+        break;
       case ToolTypes.SELECT:
         this.selectObject.enableContext();
         break;
@@ -78,6 +103,12 @@ export class Tools {
       case ToolTypes.PROPERTIES:
         this.propertiesMeasurement.disableContext();
         break;
+      case ToolTypes.ANGLE:
+        this.angleMeasurement.disableContext();
+        break;
+      case ToolTypes.POLYLINE:
+        this.polylineMeasurement.disableContext();
+        break;
       case ToolTypes.SELECT:
         this.selectObject.disableContext();
         break;
@@ -94,6 +125,10 @@ export class Tools {
       this.distanceMeasurement.removeLastSelectedObj(force);
     } else if (this.propertiesMeasurement.contextEnabled) {
       this.propertiesMeasurement.removeLastSelectedObj(force);
+    } else if (this.angleMeasurement.contextEnabled) {
+      this.angleMeasurement.removeLastSelectedObj(force);
+    } else if (this.polylineMeasurement.contextEnabled) {
+      this.polylineMeasurement.removeLastSelectedObj(force);
     } else if (this.selectObject.contextEnabled) {
       this.selectObject.removeLastSelectedObj(false);
     }
@@ -114,6 +149,14 @@ export class Tools {
         this.propertiesMeasurement.removeLastSelectedObj();
       }
       this.propertiesMeasurement.handleSelection(selectedObj);
+    } else if (this.angleMeasurement.contextEnabled) {
+      if (isNewObject) {
+        this.angleMeasurement.removeLastSelectedObj();
+      }
+      this.angleMeasurement.handleSelection(selectedObj);
+    } else if (this.polylineMeasurement.contextEnabled) {
+      // every pick adds a point, undo is done with handleRemoveLastSelection
+      this.polylineMeasurement.handleSelection(selectedObj);
     } else if (this.selectObject.contextEnabled) {
       this.selectObject.handleSelection(selectedObj);
     }
@@ -125,6 +168,14 @@ export class Tools {
       this.distanceMeasurement.removeLastSelectedObj(true);
     } else if (this.propertiesMeasurement.contextEnabled) {
       this.propertiesMeasurement.removeLastSelectedObj(true);
+    } else if (this.angleMeasurement.contextEnabled) {
+      while (this.angleMeasurement.selectedShapes.length > 0) {
+        this.angleMeasurement.removeLastSelectedObj(true);
+      }
+    } else if (this.polylineMeasurement.contextEnabled) {
+      while (this.polylineMeasurement.selectedShapes.length > 0) {
+        this.polylineMeasurement.removeLastSelectedObj(true);
+      }
     } else if (this.selectObject.contextEnabled) {
       this.selectObject.removeLastSelectedObj(true);
     }
@@ -153,10 +204,15 @@ export class Tools {
    * This is called each time the viewer gets updated
    */
   update() {
+    this.annotations.update();
     if (this.distanceMeasurement.contextEnabled) {
       this.distanceMeasurement.update();
     } else if (this.propertiesMeasurement.contextEnabled) {
       this.propertiesMeasurement.update();
+    } else if (this.angleMeasurement.contextEnabled) {
+      this.angleMeasurement.update();
+    } else if (this.polylineMeasurement.contextEnabled) {
+      this.polylineMeasurement.update();
     } else if (this.selectObject.contextEnabled) {
       this.selectObject.update();
     }
@@ -165,6 +221,9 @@ export class Tools {
   dispose() {
     this.distanceMeasurement.dispose();
     this.propertiesMeasurement.dispose();
+    this.angleMeasurement.dispose();
+    this.polylineMeasurement.dispose();
     this.selectObject.dispose();
+    this.annotations.dispose();
   }
 }
@@ -116,6 +116,25 @@ class Panel {
     throw new Error("Not implemented");
   }
 
+  /**
+   * Show a message below the measurement table, e.g. a backend error
+   * @param {string | null} message - The message, null removes it
+   */
+  setMessage(message) {
+    var messageElement = this.html.getElementsByClassName(
+      "tcv_measure_message",
+    );
+    if (messageElement.length > 0) {
+      messageElement[0].remove();
+    }
+    if (message != null) {
+      const div = document.createElement("div");
+      div.classList.add("tcv_measure_message");
+      div.textContent = message;
+      this.html.append(div);
+    }
+  }
+
   /**
    * Show or hide the panel
    * @param {boolean} flag
@@ -145,15 +164,29 @@ class Panel {
    * Register a callback for a specific event type
    * @param {string} eventType - The type of event to register the callback for
    * @param {CallableFunction} callback - The callback function to register
+   * @param {HTMLElement} [element] - The element to listen on, defaults to the panel
    */
-  registerCallback(eventType, callback) {
-    this.callbacks.push({ callback: callback, type: eventType });
-    this.html.addEventListener(eventType, callback);
+  registerCallback(eventType, callback, element = null) {
+    const target = element == null ? this.html : element;
+    this.callbacks.push({
+      callback: callback,
+      type: eventType,
+      target: target,
+    });
+    target.addEventListener(eventType, callback);
+  }
+
+  /**
+   * Get the pin button of the panel, if it has one
+   * @returns {HTMLElement | undefined}
+   */
+  getPinButton() {
+    return this.html.getElementsByClassName("tcv_measure_pin")[0];
   }
 
   dispose() {
     for (var callback of this.callbacks) {
-      this.html.removeEventListener(callback.type, callback.callback);
+      callback.target.removeEventListener(callback.type, callback.callback);
     }
   }
 }
@@ -244,8 +277,14 @@ class PropertiesPanel extends Panel {
 
     this._removeTable();
 
+    if (properties == null) {
+      this._setSubHeader("Shape");
+      this.finished = true;
+      return;
+    }
     this._setSubHeader(
-      `${properties["shape_type"]} / ${properties["geom_type"]}`,
+      `${properties["shape_type"]} / ${properties["geom_type"]}` +
+        (properties["approximate"] ? " (approx.)" : ""),
     );
     const table = document.createElement("table");
     table.classList.add("tcv_properties_table");
@@ -260,6 +299,7 @@ class PropertiesPanel extends Panel {
           "tool_type",
           "subtype",
           "refpoint",
+          "approximate",
         ].includes(key.toLowerCase())
       )
         continue;
@@ -278,20 +318,250 @@ class PropertiesPanel extends Panel {
       } else if (Array.isArray(value) && value.length === 3) {
         tr = createVectorRow(key, value);
         tbody.appendChild(tr);
+      } else if (key.toLowerCase() === "accuracy") {
+        // tessellation accuracy of approximated results, too small for toFixed(3)
+        tr = createStringRow(key, `${value}`);
+        tbody.appendChild(tr);
       } else {
         tr = createValueRow(key, value);
         tbody.appendChild(tr);
       }
-      if (["length", "area", "volume", "start"].includes(key.toLowerCase())) {
+      if (
+        ["length", "area", "volume", "start", "accuracy"].includes(
+          key.toLowerCase(),
+        )
+      ) {
+        tr.classList.add("tcv_measure_cell_top_border");
+      }
+    }
+    table.appendChild(tbody);
+    this.html.append(table);
+    this.finished = true;
+  }
+}
+
+class AnglePanel extends Panel {
+  constructor(display) {
+    super(display);
+  }
+
+  _getHtml() {
+    return this.display._getElement("tcv_angle_measurement_panel");
+  }
+
+  createTable(properties) {
+    if (this.finished) return;
+
+    this._removeTable();
+
+    if (properties == null) {
+      this.finished = true;
+      return;
+    }
+
+    const table = document.createElement("table");
+    table.classList.add("tcv_properties_table");
+    const tbody = document.createElement("tbody");
+
+    tbody.appendChild(createValueRow("Angle", properties["Angle"], "deg"));
+    tbody.appendChild(createVectorRow("Apex", properties["Apex"]));
+    for (var i = 1; properties[`info${i}`] != null; i++) {
+      const tr = createStringRow(`Reference ${i}`, properties[`info${i}`]);
+      if (i == 1) {
         tr.classList.add("tcv_measure_cell_top_border");
       }
+      tbody.appendChild(tr);
+    }
+    table.appendChild(tbody);
+    this.html.append(table);
+    this.finished = true;
+  }
+}
+
+class PolylinePanel extends Panel {
+  constructor(display) {
+    super(display);
+  }
+
+  _getHtml() {
+    return this.display._getElement("tcv_polyline_measurement_panel");
+  }
+
+  createTable(properties) {
+    if (this.finished) return;
+
+    this._removeTable();
+
+    if (properties == null) {
+      this.finished = true;
+      return;
     }
+
+    const table = document.createElement("table");
+    table.classList.add("tcv_properties_table");
+    const tbody = document.createElement("tbody");
+
+    properties["segments"].forEach((length, i) => {
+      tbody.appendChild(createValueRow(`Segment ${i + 1}`, length));
+    });
+    const tr = createValueRow("Total", properties["Total"]);
+    tr.classList.add("tcv_measure_cell_top_border");
+    tbody.appendChild(tr);
+
     table.appendChild(tbody);
     this.html.append(table);
     this.finished = true;
   }
 }
 
+class AnnotationsPanel extends Panel {
+  constructor(display) {
+    super(display);
+  }
+
+  _getHtml() {
+    return this.display._getElement("tcv_annotations_panel");
+  }
+
+  /**
+   * Fill the panel with the list of annotations, hide it when the list is empty
+   * @param {{id: number, text: string, visible: boolean}[]} annotations
+   * @param {CallableFunction} onToggle - called with id and visibility
+   * @param {CallableFunction} onDelete - called with id
+   */
+  setAnnotations(annotations, onToggle, onDelete) {
+    this._removeTable();
+
+    const table = document.createElement("table");
+    table.classList.add("tcv_properties_table");
+    const tbody = document.createElement("tbody");
+    for (const annotation of annotations) {
+      const tr = document.createElement("tr");
+
+      const toggle = document.createElement("td");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = annotation.visible;
+      checkbox.addEventListener("change", (e) => {
+        onToggle(annotation.id, !!e.target.checked);
+      });
+      toggle.appendChild(checkbox);
+      tr.appendChild(toggle);
+
+      const text = document.createElement("td");
+      text.textContent = annotation.text;
+      text.classList.add("tcv_measure_key");
+      text.classList.add("tcv_measure_cell");
+      tr.appendChild(text);
+
+      const remove = document.createElement("td");
+      const button = document.createElement("input");
+      button.type = "button";
+      button.value = "\u00d7";
+      button.title = "Delete annotation";
+      button.classList.add("tcv_annotation_delete");
+      button.addEventListener("click", () => {
+        onDelete(annotation.id);
+      });
+      remove.appendChild(button);
+      tr.appendChild(remove);
+
+      tbody.appendChild(tr);
+    }
+    table.appendChild(tbody);
+    this.html.append(table);
+    this.show(annotations.length > 0);
+  }
+}
+
+class SelectionSetsPanel extends Panel {
+  constructor(display) {
+    super(display);
+    this.onRestore = null;
+    this.onDelete = null;
+  }
+
+  _getHtml() {
+    return this.display._getElement("tcv_selection_sets_panel");
+  }
+
+  /**
+   * Register the handlers of the panel
+   * @param {CallableFunction} onSave - called with the name of the new selection set
+   * @param {CallableFunction} onRestore - called with the name of the selection set
+   * @param {CallableFunction} onDelete - called with the name of the selection set
+   */
+  registerCallbacks(onSave, onRestore, onDelete) {
+    this.onRestore = onRestore;
+    this.onDelete = onDelete;
+
+    const input = this.display._getElement("tcv_selection_set_name");
+    const save = () => {
+      const name = input.value.trim();
+      if (name.length > 0) {
+        onSave(name);
+        input.value = "";
+      }
+    };
+    this.registerCallback(
+      "keydown",
+      (e) => {
+        // don't trigger the shortcuts of the cad view
+        e.stopPropagation();
+        if (e.key == "Enter") save();
+      },
+      input,
+    );
+    this.registerCallback(
+      "click",
+      save,
+      this.display._getElement("tcv_selection_set_save"),
+    );
+  }
+
+  /**
+   * Fill the panel with the list of selection sets
+   * @param {{name: string, count: number}[]} selectionSets
+   */
+  setSelectionSets(selectionSets) {
+    this._removeTable();
+
+    const table = document.createElement("table");
+    table.classList.add("tcv_properties_table");
+    const tbody = document.createElement("tbody");
+    for (const selectionSet of selectionSets) {
+      const tr = document.createElement("tr");
+
+      const text = document.createElement("td");
+      text.textContent = `${selectionSet.name} (${selectionSet.count})`;
+      text.title = "Restore selection";
+      text.classList.add("tcv_measure_key");
+      text.classList.add("tcv_measure_cell");
+      text.classList.add("tcv_selection_set_restore");
+      text.addEventListener("click", () => {
+        this.onRestore(selectionSet.name);
+      });
+      tr.appendChild(text);
+
+      const remove = document.createElement("td");
+      const button = document.createElement("input");
+      button.type = "button";
+      button.value = "\u00d7";
+      button.title = "Delete selection set";
+      button.classList.add("tcv_annotation_delete");
+      button.addEventListener("click", () => {
+        this.onDelete(selectionSet.name);
+      });
+      remove.appendChild(button);
+      tr.appendChild(remove);
+
+      tbody.appendChild(tr);
+    }
+    table.appendChild(tbody);
+    this.html.append(table);
+  }
+}
+
 class FilterByDropDownMenu {
   /**
    * Initialize a new filter drop down menu, it needs the raycast to update interactively the filter mode
@@ -403,4 +673,12 @@ class FilterByDropDownMenu {
   }
 }
 
-export { FilterByDropDownMenu, DistancePanel, PropertiesPanel };
+export {
+  FilterByDropDownMenu,
+  DistancePanel,
+  PropertiesPanel,
+  AnglePanel,
+  PolylinePanel,
+  AnnotationsPanel,
+  SelectionSetsPanel,
+};
@@ -325,6 +325,19 @@ class Camera {
       this.camera.updateProjectionMatrix();
     }
   }
+
+  /**
+   * Adapt the camera to a new size of the CAD object, keeps target and view direction.
+   * @param {number} distance - new distance from the lookAt point.
+   * @param {number} width - canvas width.
+   * @param {number} height - canvas height.
+   **/
+  changeDistance(distance, width, height) {
+    this.camera_distance = 5 * distance;
+    this.pCamera.far = 100 * distance;
+    this.oCamera.far = 100 * distance;
+    this.changeDimensions(distance, width, height);
+  }
 }
 
 export { Camera };
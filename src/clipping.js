@@ -1,6 +1,9 @@
 import * as THREE from "three";
 import { ObjectGroup } from "./objectgroup.js";
 import { deepDispose } from "./utils.js";
+import { SectionOutlines } from "./section.js";
+import { SectionBox } from "./sectionbox.js";
+import { addHatching, variedHatchStyle } from "./hatch.js";
 
 const normals = [
   new THREE.Vector3(-1, 0, 0),
@@ -13,6 +16,12 @@ const planeColors = {
   dark: [0xff4500, 0x32cd32, 0x3b9eff],
 };
 
+// colors of the planes added beyond the first three
+const extraPlaneColors = {
+  light: [0xff00ff, 0x00c0c0, 0xff8c00, 0x8a2be2, 0x808000],
+  dark: [0xff66ff, 0x40e0d0, 0xffa500, 0xb383ff, 0xc0c040],
+};
+
 const planeHelperMaterial = new THREE.MeshBasicMaterial({
   opacity: 0.1,
   transparent: true,
@@ -102,6 +111,13 @@ class PlaneMesh extends THREE.Mesh {
     this.center = center;
   }
 
+  onBeforeRender = () => {
+    const hatch = this.material.userData.hatch;
+    if (hatch != null) {
+      hatch.hatchNormal.value.copy(this.plane.normal);
+    }
+  };
+
   onAfterRender = (renderer) => {
     if (this.type.startsWith("StencilPlane")) {
       renderer.clearStencil();
@@ -129,9 +145,10 @@ function createStencil(name, material, geometry, plane) {
 }
 
 class Clipping extends THREE.Group {
-  constructor(center, size, nestedGroup, display, theme) {
+  constructor(center, size, nestedGroup, display, theme, width, height) {
     super();
     this.center = center;
+    this.size = size;
     this.distance = size / 2;
     this.display = display;
     this.theme = theme;
@@ -139,116 +156,277 @@ class Clipping extends THREE.Group {
 
     this.planeHelpers = new THREE.Group();
     this.planeHelpers.name = "PlaneHelpers";
+    this.planeHelpers.visible = false;
 
     this.clipPlanes = [];
     this.reverseClipPlanes = [];
+    this.colors = [];
+    this.capsVisible = [];
 
     this.add(this.planeHelpers);
 
     this.name = "PlaneHelpers";
-    this.objectColors = [];
     this.objectColorCaps = false;
+    this.intersection = false;
+    this.capsActive = true;
+
+    this.hatch = false;
+    this.hatchStyle = { angle: 45, spacing: size / 150, width: 1 };
+    this.hatchOverrides = new Map();
+
+    this.solids = Object.values(nestedGroup.groups).filter(
+      (group) => group instanceof ObjectGroup && group.subtype === "solid",
+    );
+    // the index of a solid varies its hatch style and stays fixed when solids get removed
+    this.solidIndices = new Map(this.solids.map((group, j) => [group, j]));
+    this.solidCount = this.solids.length;
+
+    /*
+    Stencils
+    */
+    this.planeMeshGroup = new THREE.Group();
+    this.planeMeshGroup.name = "PlaneMeshes";
+    nestedGroup.rootGroup.add(this.planeMeshGroup);
+
+    for (const normal of normals) {
+      this.addPlane(normal);
+    }
 
-    var i;
-    for (i = 0; i < 3; i++) {
-      const plane = new CenteredPlane(normals[i], this.distance, center);
+    this.sectionOutlines = new SectionOutlines(
+      nestedGroup,
+      this.clipPlanes,
+      center,
+      size,
+      width,
+      height,
+      theme,
+    );
+    this.add(this.sectionOutlines);
+
+    this.sectionBox = new SectionBox(display, size);
+    this.add(this.sectionBox);
+  }
 
-      this.clipPlanes.push(plane);
-      const reversePlane = new CenteredPlane(
-        normals[i].clone().negate(),
-        -this.distance,
-        center,
+  /**
+   * Default color of the clipping plane at index
+   * @param {number} index - index of the plane
+   * @returns {number} the color as hex value
+   */
+  defaultColor(index) {
+    if (index < planeColors[this.theme].length) {
+      return planeColors[this.theme][index];
+    }
+    const colors = extraPlaneColors[this.theme];
+    return colors[(index - planeColors[this.theme].length) % colors.length];
+  }
+
+  /**
+   * Add a clipping plane with its helper, stencils and caps
+   * @param {THREE.Vector3} normal - the normal of the plane
+   * @param {number} [color=null] - the color of plane helper and caps, null for the default color
+   * @returns {number} index of the new plane
+   */
+  addPlane(normal, color = null) {
+    const index = this.clipPlanes.length;
+    if (color == null) {
+      color = this.defaultColor(index);
+    }
+
+    const plane = new CenteredPlane(normal.clone(), this.distance, this.center);
+    this.clipPlanes.push(plane);
+    const reversePlane = new CenteredPlane(
+      normal.clone().negate(),
+      -this.distance,
+      this.center,
+    );
+    this.reverseClipPlanes.push(reversePlane);
+    this.colors.push(color);
+    this.capsVisible.push(true);
+
+    const material = planeHelperMaterial.clone();
+    material.opacity = this.theme === "dark" ? 0.2 : 0.1;
+    this.planeHelpers.add(
+      new PlaneMesh(
+        index,
+        plane,
+        this.center,
+        this.size,
+        material,
+        color,
+        "PlaneHelper",
+      ),
+    );
+
+    // The caps rely on being rendered right after the stencils of their solid,
+    // hence the materials need to be created in this order
+    for (const group of this.solids) {
+      this._addSolidClipping(group, index);
+    }
+
+    this._updatePlaneClipping();
+    this.updateCapsVisibility();
+    this.updateHatch();
+    this.display.setNormalLabel(index, normal.toArray());
+    if (this.sectionOutlines != null) {
+      this.sectionOutlines.needsUpdate = true;
+    }
+    return index;
+  }
+
+  /**
+   * Add the stencils and the cap of a solid for the plane at index
+   * @param {ObjectGroup} group - the solid
+   * @param {number} index - index of the plane
+   */
+  _addSolidClipping(group, index) {
+    const j = this.solidIndices.get(group);
+    const shapeVisible = group.types.front.material.visible;
+    const clippingGroup = new THREE.Group();
+    clippingGroup.name = `clipping-${index}`;
+    for (const [name, stencilMaterial] of [
+      ["frontStencil", frontStencilMaterial],
+      ["backStencil", backStencilMaterial],
+    ]) {
+      const stencil = createStencil(
+        `${name}-${index}-${j}`,
+        stencilMaterial.clone(),
+        group.shapeGeometry,
+        this.clipPlanes[index],
       );
-      this.reverseClipPlanes.push(reversePlane);
-
-      this.display.setNormalLabel(i, normals[i].toArray());
-
-      const material = planeHelperMaterial.clone();
-      material.opacity = theme === "dark" ? 0.2 : 0.1;
-
-      this.planeHelpers.add(
-        new PlaneMesh(
-          i,
-          plane,
-          center,
-          size,
-          material,
-          planeColors[theme][i],
-          "PlaneHelper",
-        ),
+      stencil.material.visible = shapeVisible;
+      clippingGroup.add(stencil);
+    }
+    group.addType(clippingGroup, `clipping-${index}`);
+
+    const objectColor = group.children[0].material.color.getHex();
+    const capMaterial = stencilPlaneMaterial.clone();
+    addHatching(capMaterial);
+    const cap = new PlaneMesh(
+      index,
+      this.clipPlanes[index],
+      this.center,
+      this.size,
+      capMaterial,
+      this.objectColorCaps ? objectColor : this.colors[index],
+      `StencilPlane-${index}-${j}`,
+    );
+    cap.objectColor = objectColor;
+    cap.solid = group;
+    cap.solidIndex = j;
+    cap.material.visible = this.capsActive;
+    this.planeMeshGroup.add(cap);
+  }
+
+  /**
+   * Add stencils and caps for solids added to the nested group
+   * @param {ObjectGroup[]} groups - the new object groups, only solids get caps
+   */
+  addSolids(groups) {
+    for (const group of groups) {
+      if (group.subtype !== "solid") continue;
+      this.solidIndices.set(group, this.solidCount++);
+      this.solids.push(group);
+      this.clipPlanes.forEach((_, index) =>
+        this._addSolidClipping(group, index),
       );
     }
-    this.planeHelpers.visible = false;
+    this._updatePlaneClipping();
+    this.updateCapsVisibility();
+    this.updateHatch();
+    this.sectionOutlines.needsUpdate = true;
+  }
 
-    // Add clipping planes to the help planes
-    for (i = 0; i < 3; i++) {
-      const otherPlanes = this.clipPlanes.filter((_, j) => j !== i);
-      this.planeHelpers.children[i].material.clippingPlanes = otherPlanes;
+  /**
+   * Remove the caps of solids removed from the nested group, their stencils get
+   * disposed with the object groups
+   * @param {ObjectGroup[]} groups - the removed object groups
+   */
+  removeSolids(groups) {
+    const removed = new Set(groups);
+    for (const cap of this.planeMeshGroup.children.filter((c) =>
+      removed.has(c.solid),
+    )) {
+      this.planeMeshGroup.remove(cap);
+      deepDispose(cap);
     }
+    this.solids = this.solids.filter((group) => !removed.has(group));
+    for (const group of groups) {
+      this.solidIndices.delete(group);
+    }
+    this.sectionOutlines.needsUpdate = true;
+  }
 
-    /*
-    Stencils
-    */
-    var planeMeshGroup = new THREE.Group();
-    planeMeshGroup.name = "PlaneMeshes";
-
-    for (i = 0; i < 3; i++) {
-      const plane = this.clipPlanes[i];
-      const otherPlanes = this.clipPlanes.filter((_, j) => j !== i);
-      var j = 0;
-      for (var path in nestedGroup.groups) {
-        var clippingGroup = new THREE.Group();
-        clippingGroup.name = `clipping-${i}`;
-
-        var group = nestedGroup.groups[path];
-        if (group instanceof ObjectGroup && group.subtype === "solid") {
-          this.objectColors.push(group.children[0].material.color.getHex());
-
-          clippingGroup.add(
-            createStencil(
-              `frontStencil-${i}-${j}`,
-              frontStencilMaterial.clone(),
-              group.shapeGeometry,
-              plane,
-            ),
-          );
-
-          clippingGroup.add(
-            createStencil(
-              `backStencil-${i}-${j}`,
-              backStencilMaterial.clone(),
-              group.shapeGeometry,
-              plane,
-            ),
-          );
-
-          group.addType(clippingGroup, `clipping-${i}`);
-
-          var planeMaterial = stencilPlaneMaterial.clone();
-          planeMaterial.color.set(new THREE.Color(planeColors[theme][i]));
-          planeMaterial.clippingPlanes = otherPlanes;
-
-          planeMeshGroup.add(
-            new PlaneMesh(
-              i,
-              plane,
-              center,
-              size,
-              planeMaterial,
-              planeColors[theme][i],
-              `StencilPlane-${i}-${j}`,
-            ),
-          );
-          j++;
+  /**
+   * Remove the clipping plane at index, the planes after it move down by one
+   * @param {number} index - index of the plane
+   */
+  removePlane(index) {
+    const count = this.clipPlanes.length;
+
+    const helper = this.planeHelpers.children.find((h) => h.index === index);
+    this.planeHelpers.remove(helper);
+    deepDispose(helper);
+
+    for (const cap of this.planeMeshGroup.children.filter(
+      (c) => c.index === index,
+    )) {
+      this.planeMeshGroup.remove(cap);
+      deepDispose(cap);
+    }
+
+    for (const group of this.solids) {
+      const clippingGroup = group.types[`clipping-${index}`];
+      group.remove(clippingGroup);
+      for (const stencil of clippingGroup.children) {
+        stencil.material.dispose();
+      }
+      for (let i = index + 1; i < count; i++) {
+        const next = group.types[`clipping-${i}`];
+        next.name = `clipping-${i - 1}`;
+        for (const stencil of next.children) {
+          stencil.name = stencil.name.replace(/-\d+-/, `-${i - 1}-`);
         }
+        group.types[`clipping-${i - 1}`] = next;
       }
+      delete group.types[`clipping-${count - 1}`];
+    }
+
+    for (const mesh of [
+      ...this.planeHelpers.children,
+      ...this.planeMeshGroup.children,
+    ]) {
+      if (mesh.index > index) {
+        mesh.index--;
+        mesh.type = mesh.type.replace(/-\d+-/, `-${mesh.index}-`);
+      }
+    }
+
+    this.clipPlanes.splice(index, 1);
+    this.reverseClipPlanes.splice(index, 1);
+    this.colors.splice(index, 1);
+    this.capsVisible.splice(index, 1);
+
+    this._updatePlaneClipping();
+    this.sectionOutlines.needsUpdate = true;
+  }
+
+  /**
+   * Clip the helpers and caps of each plane by all other planes
+   */
+  _updatePlaneClipping() {
+    const planes = this.intersection ? this.reverseClipPlanes : this.clipPlanes;
+    for (const mesh of [
+      ...this.planeHelpers.children,
+      ...this.planeMeshGroup.children,
+    ]) {
+      mesh.material.clippingPlanes = planes.filter((_, j) => j !== mesh.index);
     }
-    nestedGroup.rootGroup.add(planeMeshGroup);
   }
 
   setConstant(index, value) {
     this.clipPlanes[index].setConstant(value);
     this.reverseClipPlanes[index].setConstant(-value);
+    this.sectionOutlines.needsUpdate = true;
   }
 
   setNormal = (index, normal) => {
@@ -259,44 +437,165 @@ class Clipping extends THREE.Group {
     this.display.setNormalLabel(index, n.toArray());
   };
 
-  getObjectColorCaps = () => {
-    return this.objectColorCaps;
-  };
+  /**
+   * Use intersection or union mode for the helpers and caps
+   * @param {boolean} flag - whether to use intersection mode
+   */
+  setIntersection(flag) {
+    this.intersection = flag;
+    this._updatePlaneClipping();
+    this.sectionOutlines.needsUpdate = true;
+  }
 
-  setObjectColorCaps = (flag) => {
-    var pmGroup;
-    for (pmGroup of this.nestedGroup.rootGroup.children) {
-      if (pmGroup.name === "PlaneMeshes") {
-        break;
+  /**
+   * Set the color of plane helper and caps of the plane at index
+   * @param {number} index - index of the plane
+   * @param {number} color - the color as hex value
+   */
+  setColor(index, color) {
+    this.colors[index] = color;
+    this.planeHelpers.children
+      .find((helper) => helper.index === index)
+      .material.color.set(color);
+    if (!this.objectColorCaps) {
+      for (const cap of this.planeMeshGroup.children) {
+        if (cap.index === index) {
+          cap.material.color.set(color);
+        }
       }
     }
-    var i = 0,
-      j = -1;
-    const len = Object.keys(pmGroup.children).length / 3;
-    for (var group of pmGroup.children) {
-      if (i % len === 0) {
-        j++;
+  }
+
+  /**
+   * Show or hide the caps of the plane at index
+   * @param {number} index - index of the plane
+   * @param {boolean} flag - whether to show the caps
+   */
+  setCapsVisible(index, flag) {
+    this.capsVisible[index] = flag;
+    this.updateCapsVisibility();
+  }
+
+  /**
+   * Show the caps of the planes with visible caps, but not for solids excluded from clipping
+   */
+  updateCapsVisibility() {
+    for (const cap of this.planeMeshGroup.children) {
+      cap.visible = this.capsVisible[cap.index] && !cap.solid.clipExcluded;
+    }
+    // without caps the stencils would not get cleared
+    for (const group of this.solids) {
+      this.capsVisible.forEach((visible, i) => {
+        group.types[`clipping-${i}`].visible = visible && !group.clipExcluded;
+      });
+    }
+  }
+
+  /**
+   * Switch the hatch pattern of the caps on or off
+   * @param {boolean} flag - whether to hatch the caps
+   */
+  setHatch(flag) {
+    this.hatch = flag;
+    this.updateHatch();
+  }
+
+  /**
+   * Set the global hatch style, neighbouring solids get rotated and scaled variants of it
+   * @param {object} style - {angle: degrees, spacing: world units, width: pixels}, missing keys are kept
+   */
+  setHatchStyle(style) {
+    for (const key of ["angle", "spacing", "width"]) {
+      if (style[key] != null) {
+        this.hatchStyle[key] = style[key];
       }
-      if (flag) {
-        group.material.color.set(new THREE.Color(this.objectColors[i]));
-      } else {
-        group.material.color.set(new THREE.Color(planeColors[this.theme][j]));
+    }
+    this.updateHatch();
+  }
+
+  /**
+   * Override the hatch style of the solids at or below a path
+   * @param {string} path - "/" separated path of a part or a group
+   * @param {object | null} style - {hatch: boolean, angle: degrees, spacing: world units}, missing keys
+   *                                are taken from the global style, null removes the override
+   */
+  setObjectHatchStyle(path, style) {
+    if (style == null) {
+      this.hatchOverrides.delete(path);
+    } else {
+      this.hatchOverrides.set(path, { ...style });
+    }
+    this.updateHatch();
+  }
+
+  /**
+   * All hatch style overrides
+   * @returns {object} map of path to style
+   */
+  getObjectHatchStyles() {
+    return Object.fromEntries(
+      Array.from(this.hatchOverrides, ([path, style]) => [path, { ...style }]),
+    );
+  }
+
+  /**
+   * The most specific hatch style override of a solid
+   * @param {ObjectGroup} solid
+   * @returns {object | null}
+   */
+  _hatchOverride(solid) {
+    const path = solid.name.replaceAll("|", "/");
+    var best = null;
+    for (const key of this.hatchOverrides.keys()) {
+      if (
+        (path === key || path.startsWith(`${key}/`)) &&
+        (best == null || key.length > best.length)
+      ) {
+        best = key;
       }
-      i++;
+    }
+    return best == null ? null : this.hatchOverrides.get(best);
+  }
+
+  /**
+   * Update the hatch uniforms of all caps
+   */
+  updateHatch() {
+    for (const cap of this.planeMeshGroup.children) {
+      const uniforms = cap.material.userData.hatch;
+      const style = variedHatchStyle(this.hatchStyle, cap.solidIndex);
+      const override = this._hatchOverride(cap.solid) || {};
+      uniforms.hatch.value =
+        override.hatch != null ? override.hatch : this.hatch;
+      uniforms.hatchAngle.value = THREE.MathUtils.degToRad(
+        override.angle != null ? override.angle : style.angle,
+      );
+      uniforms.hatchSpacing.value =
+        override.spacing != null ? override.spacing : style.spacing;
+      uniforms.hatchWidth.value = this.hatchStyle.width;
+    }
+  }
+
+  getObjectColorCaps = () => {
+    return this.objectColorCaps;
+  };
+
+  setObjectColorCaps = (flag) => {
+    for (const cap of this.planeMeshGroup.children) {
+      cap.material.color.set(
+        new THREE.Color(flag ? cap.objectColor : this.colors[cap.index]),
+      );
     }
     this.objectColorCaps = flag;
   };
 
   setVisible = (flag) => {
-    var pmGroup;
-    for (pmGroup of this.nestedGroup.rootGroup.children) {
-      if (pmGroup.name === "PlaneMeshes") {
-        break;
-      }
-    }
-    for (var group of pmGroup.children) {
-      group.material.visible = flag;
+    for (const cap of this.planeMeshGroup.children) {
+      cap.material.visible = flag;
     }
+    this.capsActive = flag;
+    this.sectionOutlines.setActive(flag);
+    this.sectionBox.setActive(flag);
   };
 
   dispose() {
@@ -304,9 +603,16 @@ class Clipping extends THREE.Group {
     deepDispose(this.reverseClipPlanes);
 
     this.nestedGroup = null;
+    this.sectionOutlines = null;
+    this.sectionBox = null;
+    this.planeMeshGroup = null;
+    this.solids = null;
+    this.solidIndices = null;
     this.clipPlanes = null;
     this.reverseClipPlanes = null;
-    this.objectColors = null;
+    this.colors = null;
+    this.capsVisible = null;
+    this.hatchOverrides = null;
     this.display = null;
     this.center = null;
   }
@@ -0,0 +1,165 @@
+import * as THREE from "three";
+import { flatten } from "./utils.js";
+
+const geometryKeys = [
+  ["vertices", Float32Array],
+  ["triangles", Uint32Array],
+  ["edges", Float32Array],
+  ["obj_vertices", Float32Array],
+];
+
+/**
+ * Result of diffShapes, all lists contain the ids of leaf parts
+ * @typedef {Object} ShapesDiff
+ * @property {string[]} added - parts only in the new Shapes
+ * @property {string[]} removed - parts only in the old Shapes
+ * @property {string[]} changed - parts with changed vertices, triangles, edges or vertices
+ * @property {string[]} moved - parts with a changed location, including the locations of their groups
+ */
+
+/**
+ * The tessellation arrays of a shape as bytes
+ * @param {object} shape - the shape of a part, with plain or typed arrays
+ * @returns {Uint8Array[]} the bytes of the typed vertices, triangles, edges and vertices arrays
+ */
+function geometryBytes(shape) {
+  if (shape == null) return [];
+  // protocol version 1 vertices are a plain list of points
+  const arrays = Array.isArray(shape)
+    ? [[shape, Float32Array]]
+    : geometryKeys
+        .filter(([key]) => shape[key] != null)
+        .map(([key, type]) => [shape[key], type]);
+  return arrays.map(([array, ArrayType]) => {
+    const typed =
+      array instanceof ArrayType
+        ? array
+        : new ArrayType(flatten(array, Infinity));
+    return new Uint8Array(typed.buffer, typed.byteOffset, typed.byteLength);
+  });
+}
+
+/**
+ * FNV-1a hash of tessellation arrays
+ * @param {Uint8Array[]} arrays - see geometryBytes
+ * @returns {number} the hash
+ */
+function hashBytes(arrays) {
+  var hash = 2166136261;
+  for (const bytes of arrays) {
+    for (let i = 0; i < bytes.length; i++) {
+      hash = Math.imul(hash ^ bytes[i], 16777619);
+    }
+    // separate the arrays
+    hash = Math.imul(hash ^ 0xff, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Whether tessellation arrays are identical
+ * @param {Uint8Array[]} a - see geometryBytes
+ * @param {Uint8Array[]} b - see geometryBytes
+ * @returns {boolean}
+ */
+function equalBytes(a, b) {
+  return (
+    a.length === b.length &&
+    a.every(
+      (bytes, i) =>
+        bytes.length === b[i].length &&
+        bytes.every((value, j) => value === b[i][j]),
+    )
+  );
+}
+
+/**
+ * FNV-1a hash of the tessellation of a shape
+ * @param {object} shape - the shape of a part, with plain or typed arrays
+ * @returns {number} the hash
+ */
+function shapeHash(shape) {
+  return hashBytes(geometryBytes(shape));
+}
+
+/**
+ * The leaf parts of a Shapes object with their world locations
+ * @param {import ("./types.js").Shapes} shapes
+ * @returns {Map<string, {part: object, matrix: THREE.Matrix4}>} the leaves by id
+ */
+function leafParts(shapes) {
+  const leaves = new Map();
+  const position = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+  const scale = new THREE.Vector3(1, 1, 1);
+
+  const collect = (part, parentMatrix) => {
+    const matrix = parentMatrix.clone();
+    if (part.loc != null) {
+      position.fromArray(part.loc[0]);
+      quaternion.fromArray(part.loc[1]);
+      matrix.multiply(new THREE.Matrix4().compose(position, quaternion, scale));
+    }
+    if (part.parts != null) {
+      for (const child of part.parts) {
+        collect(child, matrix);
+      }
+    } else {
+      leaves.set(part.id, { part: part, matrix: matrix });
+    }
+  };
+  collect(shapes, new THREE.Matrix4());
+  return leaves;
+}
+
+/**
+ * Whether two world locations differ
+ * @param {THREE.Matrix4} a
+ * @param {THREE.Matrix4} b
+ * @param {number} tolerance - allowed difference of the matrix elements
+ * @returns {boolean}
+ */
+function locationChanged(a, b, tolerance) {
+  return a.elements.some((v, i) => Math.abs(v - b.elements[i]) > tolerance);
+}
+
+/**
+ * Compare two versions of a Shapes object. Parts are matched by id.
+ * @param {import ("./types.js").Shapes} oldShapes - the previous version
+ * @param {import ("./types.js").Shapes} newShapes - the new version
+ * @param {number} [tolerance=1e-6] - allowed difference of the location matrices
+ * @returns {ShapesDiff}
+ */
+function diffShapes(oldShapes, newShapes, tolerance = 1e-6) {
+  const oldLeaves = leafParts(oldShapes);
+  const newLeaves = leafParts(newShapes);
+  const result = { added: [], removed: [], changed: [], moved: [] };
+
+  for (const [id, leaf] of newLeaves) {
+    const old = oldLeaves.get(id);
+    if (old == null) {
+      result.added.push(id);
+      continue;
+    }
+    const oldBytes = geometryBytes(old.part.shape);
+    const newBytes = geometryBytes(leaf.part.shape);
+    // equal hashes can be collisions, only the arrays prove that the geometry is unchanged
+    if (
+      hashBytes(oldBytes) !== hashBytes(newBytes) ||
+      !equalBytes(oldBytes, newBytes)
+    ) {
+      result.changed.push(id);
+    }
+    if (locationChanged(old.matrix, leaf.matrix, tolerance)) {
+      result.moved.push(id);
+    }
+  }
+  for (const id of oldLeaves.keys()) {
+    if (!newLeaves.has(id)) {
+      result.removed.push(id);
+    }
+  }
+  return result;
+}
+
+export { diffShapes, leafParts, shapeHash };
@@ -11,11 +11,13 @@ function TEMPLATE(id) {
   const shift = KeyMapper.getshortcuts("shift");
   const ctrl = KeyMapper.getshortcuts("ctrl");
   const meta = KeyMapper.getshortcuts("meta");
+  const alt = KeyMapper.getshortcuts("alt");
   var html = template
     .replaceAll("{{id}}", id)
     .replaceAll("{{shift}}", shift)
     .replaceAll("{{ctrl}}", ctrl)
-    .replaceAll("{{meta}}", meta);
+    .replaceAll("{{meta}}", meta)
+    .replaceAll("{{alt}}", alt);
   return html;
 }
 
@@ -25,6 +27,44 @@ function px(val) {
 
 const buttons = ["plane", "play", "pause", "stop"];
 
+/**
+ * HTML of the UI row of a clipping plane
+ * @param {number} i - number of the plane, starting with 1
+ * @param {string} color - css color of the plane
+ * @returns {string}
+ */
+function clipPlaneRow(i, color) {
+  return `
+    <div class="tcv_slider_group tcv_clip_plane">
+      <div>
+        <span class="tcv_tooltip" data-tooltip="Set clipping plane ${i} to view direction">
+          <input class="tcv_btn_norm_plane${i} tcv_btn tcv_plane" type="button" />
+        </span>
+        <span class="tcv_lbl_norm_plane tcv_label">N${i} = (n/a, n/a, n/a)</span>
+        <span class="tcv_clip_plane_tools">
+          <input class="tcv_clr_plane${i} tcv_clip_color" type="color" value="${color}" title="Color of plane ${i}" />
+          <input class="tcv_caps_plane${i} tcv_check" type="checkbox" title="Show caps of plane ${i}" />
+          <input class="tcv_pick_plane${i} tcv_annotation_delete" type="button" value="Face" title="Pick a planar face for plane ${i}" />
+          <input class="tcv_sweep_plane${i} tcv_annotation_delete" type="button" value="Sweep" title="Animate plane ${i} from min to max" />
+          <input class="tcv_del_plane${i} tcv_annotation_delete" type="button" value="\u00d7" title="Remove plane ${i}" />
+        </span>
+      </div>
+      <div>
+        <input type="range" min="1" max="100" value="50" class="tcv_sld_value_plane${i} tcv_clip_slider">
+        <input value=50 class="tcv_inp_value_plane${i} tcv_clip_input"></input>
+      </div>
+    </div>`;
+}
+
+/**
+ * Index (starting with 0) of the clipping plane of a clip plane widget
+ * @param {Event} e - a DOM event of the widget
+ * @returns {number}
+ */
+function planeIndex(e) {
+  return parseInt(e.target.classList[0].match(/(\d+)$/)[1]) - 1;
+}
+
 class Display {
   /**
    * Create Display
@@ -54,6 +94,13 @@ class Display {
     this.propertiesMeasurementPanel = this._getElement(
       "tcv_properties_measurement_panel",
     );
+    this.angleMeasurementPanel = this._getElement(
+      "tcv_angle_measurement_panel",
+    );
+    this.polylineMeasurementPanel = this._getElement(
+      "tcv_polyline_measurement_panel",
+    );
+    this.loadProgress = this._getElement("tcv_load_progress");
     this.cadTree = this._getElement("tcv_cad_tree_container");
     this.cadTreeScrollContainer = this._getElement("tcv_box_content");
     this.cadTreeToggles = this._getElement("tcv_cad_tree_toggles");
@@ -69,9 +116,6 @@ class Display {
     this.cadHelp = this._getElement("tcv_cad_help");
 
     this.planeLabels = [];
-    for (var i = 1; i < 4; i++) {
-      this.planeLabels.push(this._getElement(`tcv_lbl_norm_plane${i}`));
-    }
     this.viewer = null;
     this.glass = options.glass;
     this.tools = options.tools;
@@ -87,6 +131,7 @@ class Display {
     this.cadClip.style.display = "none";
     this.cadMaterial.style.display = "none";
     this.clipSliders = null;
+    this.sliderLimit = 100;
     this.explodeFlag = false;
 
     this.currentButton = null;
@@ -108,7 +153,7 @@ class Display {
 
     for (var btn of buttons) {
       var elements = this.container.getElementsByClassName(`tcv_${btn}`);
-      for (i = 0; i < elements.length; i++) {
+      for (var i = 0; i < elements.length; i++) {
         var el = elements[i];
         el.setAttribute(
           "style",
@@ -261,6 +306,22 @@ class Display {
     );
     this.cadTool.addButton(this.toolbarButtons["properties"], 3);
 
+    this.toolbarButtons["angle"] = new ClickButton(
+      theme,
+      "angle",
+      "Measure angle between edges, faces or three vertices",
+      this.setTool,
+    );
+    this.cadTool.addButton(this.toolbarButtons["angle"], 3);
+
+    this.toolbarButtons["polyline"] = new ClickButton(
+      theme,
+      "polyline",
+      "Measure polyline through vertices",
+      this.setTool,
+    );
+    this.cadTool.addButton(this.toolbarButtons["polyline"], 3);
+
     this.toolbarButtons["select"] = new ClickButton(
       theme,
       "select",
@@ -273,6 +334,8 @@ class Display {
       this.toolbarButtons["explode"],
       this.toolbarButtons["distance"],
       this.toolbarButtons["properties"],
+      this.toolbarButtons["angle"],
+      this.toolbarButtons["polyline"],
       this.toolbarButtons["select"],
     ]);
 
@@ -312,7 +375,7 @@ class Display {
   }
 
   widthThreshold() {
-    var threshold = 770;
+    var threshold = 830;
     if (!this.viewer.pinning) threshold -= 30;
     if (!this.viewer.selectTool) threshold -= 30;
     return threshold;
@@ -344,6 +407,7 @@ class Display {
   }
 
   dispose() {
+    this._setupDrop(false);
     this.viewer = undefined;
 
     this.cadTree.innerHTML = "";
@@ -425,9 +489,6 @@ class Display {
     });
 
     this.clipSliders = [];
-    for (var i = 1; i < 4; i++) {
-      this.clipSliders.push(new Slider(`plane${i}`, 0, 100, this));
-    }
 
     this.ambientlightSlider = new Slider("ambientlight", 0, 400, this);
     this.directionallightSlider = new Slider("pointlight", 0, 400, this);
@@ -445,14 +506,24 @@ class Display {
       false,
     );
     this._setupCheckEvent("tcv_clip_caps", this.setObjectColorCaps, false);
-
-    for (i = 1; i < 4; i++) {
-      this._setupClickEvent(
-        `tcv_btn_norm_plane${i}`,
-        this.setClipNormalFromPosition,
-        false,
-      );
-    }
+    this._setupCheckEvent(
+      "tcv_clip_section_outlines",
+      this.setClipSectionOutlines,
+      false,
+    );
+    this._setupCheckEvent("tcv_clip_hatch", this.setClipHatch, false);
+    this._setupClickEvent("tcv_section_svg", this.exportClipSection);
+    this._setupClickEvent("tcv_section_dxf", this.exportClipSection);
+    this._setupClickEvent("tcv_clip_add_plane", this.addClipPlane);
+    this._setupCheckEvent(
+      "tcv_clip_section_box",
+      this.setClipSectionBox,
+      false,
+    );
+    this._setupClickEvent(
+      "tcv_clip_section_box_align",
+      this.alignClipSectionBox,
+    );
 
     this._setupClickEvent("tcv_play", this.controlAnimation, false);
     this._setupClickEvent("tcv_pause", this.controlAnimation, false);
@@ -464,9 +535,14 @@ class Display {
     this.animationSlider.addEventListener("input", this.animationChange);
     this.showAnimationControl(false);
 
+    this._setupDrop(viewer.dropFiles);
+    this.showLoadProgress(null);
+
     this.showHelp(false);
     this.showDistancePanel(false);
     this.showPropertiesPanel(false);
+    this.showAnglePanel(false);
+    this.showPolylinePanel(false);
 
     this.showMeasureTools(this.measureTools);
     this.showSelectTool(this.selectTool);
@@ -710,8 +786,10 @@ class Display {
         this.viewer.backupAnimation();
       }
       if (
-        ["distance", "properties", "angle", "select"].includes(name) &&
-        !["distance", "properties", "angle", "select"].includes(
+        ["distance", "properties", "angle", "polyline", "select"].includes(
+          name,
+        ) &&
+        !["distance", "properties", "angle", "polyline", "select"].includes(
           this.currentButton,
         )
       ) {
@@ -727,6 +805,12 @@ class Display {
       } else if (name == "properties") {
         this.viewer.cadTools.enable(ToolTypes.PROPERTIES);
         this.viewer.checkChanges({ activeTool: ToolTypes.PROPERTIES });
+      } else if (name == "angle") {
+        this.viewer.cadTools.enable(ToolTypes.ANGLE);
+        this.viewer.checkChanges({ activeTool: ToolTypes.ANGLE });
+      } else if (name == "polyline") {
+        this.viewer.cadTools.enable(ToolTypes.POLYLINE);
+        this.viewer.checkChanges({ activeTool: ToolTypes.POLYLINE });
       } else if (name == "select") {
         this.viewer.cadTools.enable(ToolTypes.SELECT);
         this.viewer.checkChanges({ activeTool: ToolTypes.SELECT });
@@ -742,6 +826,10 @@ class Display {
         this.viewer.cadTools.disable(ToolTypes.DISTANCE);
       } else if (name == "properties") {
         this.viewer.cadTools.disable(ToolTypes.PROPERTIES);
+      } else if (name == "angle") {
+        this.viewer.cadTools.disable(ToolTypes.ANGLE);
+      } else if (name == "polyline") {
+        this.viewer.cadTools.disable(ToolTypes.POLYLINE);
       } else if (name == "select") {
         this.viewer.cadTools.disable(ToolTypes.SELECT);
       }
@@ -813,6 +901,8 @@ class Display {
   showMeasureTools = (flag) => {
     this.toolbarButtons["distance"].show(flag);
     this.toolbarButtons["properties"].show(flag);
+    this.toolbarButtons["angle"].show(flag);
+    this.toolbarButtons["polyline"].show(flag);
   };
 
   /**
@@ -863,6 +953,97 @@ class Display {
     el.checked = flag;
   };
 
+  /**
+   * Checkbox Handler for toggling the section outlines
+   * @function
+   * @param {*} e
+   */
+  setClipSectionOutlines = (e) => {
+    const flag = !!e.target.checked;
+    this.viewer.setClipSectionOutlines(flag);
+  };
+
+  /**
+   * Check or uncheck the section outlines checkbox
+   * @function
+   * @param {boolean} flag - whether to check or uncheck the section outlines checkbox
+   */
+  setClipSectionOutlinesCheck = (flag) => {
+    const el = this._getElement("tcv_clip_section_outlines");
+    el.checked = flag;
+  };
+
+  /**
+   * Checkbox Handler for toggling the hatch pattern of the caps
+   * @function
+   * @param {*} e
+   */
+  setClipHatch = (e) => {
+    const flag = !!e.target.checked;
+    this.viewer.setClipHatch(flag);
+  };
+
+  /**
+   * Check or uncheck the hatched caps checkbox
+   * @function
+   * @param {boolean} flag - whether to check or uncheck the hatched caps checkbox
+   */
+  setClipHatchCheck = (flag) => {
+    const el = this._getElement("tcv_clip_hatch");
+    el.checked = flag;
+  };
+
+  /**
+   * Checkbox Handler for toggling the section box
+   * @function
+   * @param {Event} e - a DOM click event
+   */
+  setClipSectionBox = (e) => {
+    const flag = !!e.target.checked;
+    this.viewer.setClipSectionBox(flag);
+  };
+
+  /**
+   * Handler to align the section box to the current view
+   * @function
+   */
+  alignClipSectionBox = () => {
+    this.viewer.setClipSectionBox(true, true);
+  };
+
+  /**
+   * Check or uncheck the section box checkbox, in section box mode planes can't be added or removed
+   * @function
+   * @param {boolean} flag - whether to check or uncheck the section box checkbox
+   */
+  setClipSectionBoxCheck = (flag) => {
+    const el = this._getElement("tcv_clip_section_box");
+    el.checked = flag;
+    this.cadClip.classList.toggle("tcv_section_box_mode", flag);
+  };
+
+  /**
+   * Handler to download the section of the selected clipping plane as SVG or DXF
+   * @function
+   * @param {*} e
+   */
+  exportClipSection = (e) => {
+    const index = parseInt(this._getElement("tcv_section_plane").value);
+    const svg = e.target.classList.contains("tcv_section_svg");
+    const content = svg
+      ? this.viewer.exportClipSectionSVG(index)
+      : this.viewer.exportClipSectionDXF(index);
+    const blob = new Blob([content], {
+      type: svg ? "image/svg+xml" : "application/dxf",
+    });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `section_${index + 1}.${svg ? "svg" : "dxf"}`;
+    link.click();
+    // revoking right away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  };
+
   /**
    * Handler to reset position, zoom and up of the camera
    * @function
@@ -942,6 +1123,8 @@ class Display {
    * @param {Vector3} normal - the normal
    */
   setNormalLabel = (index, normal) => {
+    // planes get added before their UI rows are created
+    if (this.planeLabels[index] == null) return;
     this.planeLabels[index].innerHTML = `N=(${normal[0].toFixed(
       2,
     )}, ${normal[1].toFixed(2)}, ${normal[2].toFixed(2)})`;
@@ -953,10 +1136,184 @@ class Display {
    * @param {Event} e - a DOM click event
    */
   setClipNormalFromPosition = (e) => {
-    const index = parseInt(e.target.classList[0].slice(-1));
-    this.viewer.setClipNormalFromPosition(index - 1);
+    this.viewer.setClipNormalFromPosition(planeIndex(e));
+  };
+
+  /**
+   * Create the UI rows of all clipping planes and the section export choices
+   * @param {{normal: number[], color: number, caps: boolean, axis: number}[]} planes -
+   *   axis is the index of the default x, y or z color the plane uses, else -1
+   */
+  createClipPlaneRows(planes) {
+    const container = this._getElement("tcv_clip_planes");
+    container.innerHTML = "";
+    this.planeLabels = [];
+    this.clipSliders = [];
+    planes.forEach((plane, index) => {
+      const i = index + 1;
+      const color = `#${plane.color.toString(16).padStart(6, "0")}`;
+      container.insertAdjacentHTML("beforeend", clipPlaneRow(i, color));
+      const row = container.lastElementChild;
+
+      const label = row.querySelector(".tcv_lbl_norm_plane");
+      if (plane.axis >= 0) {
+        label.classList.add(`tcv_lbl_norm_plane${plane.axis + 1}`);
+      } else {
+        label.style.color = color;
+      }
+      this.planeLabels.push(label);
+      this.setNormalLabel(index, plane.normal);
+
+      const button = row.querySelector(`.tcv_btn_norm_plane${i}`);
+      button.setAttribute(
+        "style",
+        `background-image: ${getIconBackground(this.container.getAttribute("data-theme"), "plane")}`,
+      );
+      button.addEventListener("click", this.setClipNormalFromPosition);
+      row
+        .querySelector(`.tcv_clr_plane${i}`)
+        .addEventListener("input", this.setClipPlaneColor);
+      const caps = row.querySelector(`.tcv_caps_plane${i}`);
+      caps.checked = plane.caps;
+      caps.addEventListener("change", this.setClipCaps);
+      row
+        .querySelector(`.tcv_pick_plane${i}`)
+        .addEventListener("click", this.pickClipPlane);
+      row
+        .querySelector(`.tcv_sweep_plane${i}`)
+        .addEventListener("click", this.sweepClipPlane);
+      row
+        .querySelector(`.tcv_del_plane${i}`)
+        .addEventListener("click", this.removeClipPlane);
+
+      const slider = new Slider(`plane${i}`, 0, 100, this);
+      slider.setSlider(this.sliderLimit);
+      this.clipSliders.push(slider);
+    });
+
+    const select = this._getElement("tcv_section_plane");
+    select.innerHTML = planes
+      .map((_, index) => `<option value="${index}">${index + 1}</option>`)
+      .join("");
+    this.setClipSweepState(this.viewer.getClipSweep());
+  }
+
+  /**
+   * Handler to add a clipping plane in the current viewing direction
+   * @function
+   */
+  addClipPlane = () => {
+    this.viewer.addClipPlane();
+  };
+
+  /**
+   * Handler to start (or stop) picking a planar face for a clipping plane
+   * @function
+   * @param {Event} e - a DOM click event
+   */
+  pickClipPlane = (e) => {
+    const index = planeIndex(e);
+    if (this.viewer.getClipPlanePick() === index) {
+      this.viewer.cancelClipPlanePick();
+    } else {
+      const flip = this._getElement("tcv_clip_pick_flip").checked;
+      this.viewer.pickClipPlane(index, flip);
+    }
+  };
+
+  /**
+   * Highlight the pick button of the clipping plane that waits for a face to be picked
+   * @param {number | null} index - index of the plane, null if no face is being picked
+   */
+  setClipPlanePickState(index) {
+    this.clipSliders.forEach((_, i) => {
+      this._getElement(`tcv_pick_plane${i + 1}`).classList.toggle(
+        "tcv_clip_picking",
+        i === index,
+      );
+    });
+    this.cadView.classList.toggle("tcv_clip_picking_view", index != null);
+  }
+
+  /**
+   * Handler to start (or stop) the sweep of a clipping plane
+   * @function
+   * @param {Event} e - a DOM click event
+   */
+  sweepClipPlane = (e) => {
+    const index = planeIndex(e);
+    if (this.viewer.getClipSweep() === index) {
+      this.viewer.stopClipSweep();
+    } else {
+      this.viewer.startClipSweep(index);
+    }
+  };
+
+  /**
+   * Highlight the sweep button of the clipping plane that is being swept
+   * @param {number | null} index - index of the plane, null if no sweep is running
+   */
+  setClipSweepState(index) {
+    this.clipSliders.forEach((_, i) => {
+      this._getElement(`tcv_sweep_plane${i + 1}`).classList.toggle(
+        "tcv_clip_sweeping",
+        i === index,
+      );
+    });
+  }
+
+  /**
+   * Handler to remove a clipping plane
+   * @function
+   * @param {Event} e - a DOM click event
+   */
+  removeClipPlane = (e) => {
+    this.viewer.removeClipPlane(planeIndex(e));
+  };
+
+  /**
+   * Handler to set the color of a clipping plane
+   * @function
+   * @param {Event} e - a DOM input event
+   */
+  setClipPlaneColor = (e) => {
+    this.viewer.setClipPlaneColor(planeIndex(e), e.target.value);
+  };
+
+  /**
+   * Set the color of a clipping plane in its UI row
+   * @param {number} index - index of the plane
+   * @param {string} color - css color
+   */
+  setClipPlaneColorValue(index, color) {
+    this._getElement(`tcv_clr_plane${index + 1}`).value = color;
+    const label = this.planeLabels[index];
+    label.classList.remove(
+      "tcv_lbl_norm_plane1",
+      "tcv_lbl_norm_plane2",
+      "tcv_lbl_norm_plane3",
+    );
+    label.style.color = color;
+  }
+
+  /**
+   * Checkbox Handler for showing the caps of a clipping plane
+   * @function
+   * @param {Event} e - a DOM change event
+   */
+  setClipCaps = (e) => {
+    this.viewer.setClipCaps(planeIndex(e), !!e.target.checked);
   };
 
+  /**
+   * Check or uncheck the caps checkbox of a clipping plane
+   * @param {number} index - index of the plane
+   * @param {boolean} flag - whether to check or uncheck the checkbox
+   */
+  setClipCapsCheck(index, flag) {
+    this._getElement(`tcv_caps_plane${index + 1}`).checked = flag;
+  }
+
   /**
    * Handler to activate a UI tab (tree / clipping)
    * @function
@@ -1030,6 +1387,7 @@ class Display {
       this.viewer.nestedGroup.setBackVisible(false);
       this.viewer.setLocalClipping(false);
       this.viewer.clipping.setVisible(false);
+      this.viewer.cancelClipPlanePick();
       // copy state since setClipHelpers(false) will set to false
       var lastPlaneState = this.viewer.getClipPlaneHelpers();
       this.viewer.setClipPlaneHelpers(false);
@@ -1054,6 +1412,7 @@ class Display {
       this.viewer.setLocalClipping(false);
       this.viewer.setClipPlaneHelpers(false);
       this.viewer.clipping.setVisible(false);
+      this.viewer.cancelClipPlanePick();
     }
     this.activeTab = tab;
 
@@ -1122,19 +1481,19 @@ class Display {
 
   /**
    * Set minimum and maximum of the sliders
-   * @param {number} index - index of the plane: 0,1,2
    * @param {number} limit - the value for both minimum and maximum value of the slider
    */
   setSliderLimits(limit) {
-    for (var i = 0; i < 3; i++) {
-      this.clipSliders[i].setSlider(limit);
+    this.sliderLimit = limit;
+    for (const slider of this.clipSliders) {
+      slider.setSlider(limit);
     }
   }
 
   /**
    * Refresh clipping plane
    * @function
-   * @param {number} index - index of the plane: 0,1,2
+   * @param {number} index - number of the plane, starting with 1
    * @param {number} value - distance on the clipping normal from the center
    */
   refreshPlane(index, value) {
@@ -1196,7 +1555,7 @@ class Display {
 
   /**
    * Set label text of animation control
-   * @param {string} label - "A" for animation and "E" for Explode control
+   * @param {string} label - "A" for animation, "E" for Explode and "C" for clipping sweep control
    */
   setAnimationLabel(label) {
     var el = this._getElement("tcv_animation_label");
@@ -1236,6 +1595,86 @@ class Display {
     this.propertiesMeasurementPanel.style.display = flag ? "block" : "none";
   };
 
+  /**
+   * Show or hide the angle measurement panel
+   * @param {boolean} flag
+   */
+  showAnglePanel = (flag) => {
+    this.angleMeasurementPanel.style.display = flag ? "block" : "none";
+  };
+
+  /**
+   * Show or hide the polyline measurement panel
+   * @param {boolean} flag
+   */
+  showPolylinePanel = (flag) => {
+    this.polylineMeasurementPanel.style.display = flag ? "block" : "none";
+  };
+
+  /**
+   * Show a progress message in the middle of the cad view
+   * @param {string | null} text - the message, null hides the progress indicator
+   */
+  showLoadProgress = (text) => {
+    this.loadProgress.innerText = text || "";
+    this.loadProgress.style.display = text == null ? "none" : "block";
+  };
+
+  /**
+   * Enable or disable loading of files dropped onto the cad view
+   * @param {boolean} flag
+   */
+  _setupDrop(flag) {
+    for (const [type, fn] of [
+      ["dragover", this.handleDragOver],
+      ["dragleave", this.handleDragLeave],
+      ["drop", this.handleDrop],
+    ]) {
+      if (flag) {
+        this.cadView.addEventListener(type, fn);
+      } else {
+        this.cadView.removeEventListener(type, fn);
+      }
+    }
+  }
+
+  /**
+   * Handler to accept files dragged over the cad view
+   * @function
+   * @param {DragEvent} e - a DOM dragover event
+   */
+  handleDragOver = (e) => {
+    if (!e.dataTransfer.types.includes("Files")) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+    this.cadView.classList.add("tcv_drop_target");
+  };
+
+  /**
+   * Handler for files dragged out of the cad view
+   * @function
+   * @param {DragEvent} e - a DOM dragleave event
+   */
+  handleDragLeave = (e) => {
+    if (!this.cadView.contains(e.relatedTarget)) {
+      this.cadView.classList.remove("tcv_drop_target");
+    }
+  };
+
+  /**
+   * Handler to load the files dropped onto the cad view
+   * @function
+   * @param {DragEvent} e - a DOM drop event
+   */
+  handleDrop = (e) => {
+    this.cadView.classList.remove("tcv_drop_target");
+    if (e.dataTransfer.files.length === 0) return;
+    e.preventDefault();
+    this.viewer.loadFiles(e.dataTransfer.files).catch(() => {
+      // reported by loadFiles
+    });
+  };
+
   /**
    * Show help dialog
    * @function
@@ -0,0 +1,361 @@
+import * as THREE from "three";
+import { GLTFExporter } from "three/examples/jsm/exporters/GLTFExporter.js";
+import { STLExporter } from "three/examples/jsm/exporters/STLExporter.js";
+import { PLYExporter } from "three/examples/jsm/exporters/PLYExporter.js";
+import { mergeVertices } from "three/examples/jsm/utils/BufferGeometryUtils.js";
+import { ObjectGroup } from "./objectgroup.js";
+
+/**
+ * Color of a part of a shape, ignoring highlighting and tinting (see ObjectGroup.highlight)
+ * @param {ObjectGroup} group
+ * @param {string} type - "front", "edges" or "vertices"
+ * @returns {THREE.Color}
+ */
+function shapeColor(group, type) {
+  const highlighted = ["front", "vertices", "edges"].find(
+    (t) => group.types[t] != null,
+  );
+  if (type !== highlighted) {
+    return group.types[type].material.color;
+  }
+  if (group.untintedColor != null) {
+    return group.untintedColor;
+  }
+  return group.originalColor != null
+    ? group.originalColor
+    : group.types[type].material.color;
+}
+
+/**
+ * Plain line segments of fat lines (LineSegments2), keeps the vertex colors
+ * @param {THREE.Mesh} lines - the fat lines
+ * @param {THREE.Color} color - the line color if there are no vertex colors
+ * @returns {THREE.LineSegments}
+ */
+function plainLines(lines, color) {
+  const geometry = lines.geometry;
+  const segments = new THREE.BufferGeometry();
+  const interleave = (start, end) => {
+    const array = new Float32Array(start.count * 6);
+    for (let i = 0; i < start.count; i++) {
+      array.set([start.getX(i), start.getY(i), start.getZ(i)], 6 * i);
+      array.set([end.getX(i), end.getY(i), end.getZ(i)], 6 * i + 3);
+    }
+    return new THREE.BufferAttribute(array, 3);
+  };
+  segments.setAttribute(
+    "position",
+    interleave(
+      geometry.attributes.instanceStart,
+      geometry.attributes.instanceEnd,
+    ),
+  );
+  const vertexColors = geometry.attributes.instanceColorStart != null;
+  if (vertexColors) {
+    segments.setAttribute(
+      "color",
+      interleave(
+        geometry.attributes.instanceColorStart,
+        geometry.attributes.instanceColorEnd,
+      ),
+    );
+  }
+  const material = new THREE.LineBasicMaterial({
+    color: vertexColors ? 0xffffff : color,
+    vertexColors: vertexColors,
+  });
+  const result = new THREE.LineSegments(segments, material);
+  result.name = lines.name;
+  return result;
+}
+
+/**
+ * Copy of the visible faces, edges and vertices of a shape
+ * @param {ObjectGroup} group
+ * @returns {THREE.Object3D[]}
+ */
+function copyShape(group) {
+  const result = [];
+  const front = group.types.front;
+  if (front != null && front.material.visible) {
+    const material = front.material.clone();
+    material.clippingPlanes = null;
+    material.color.copy(shapeColor(group, "front"));
+    material.transparent = material.opacity < 1;
+    if (group.renderback) {
+      material.side = THREE.DoubleSide;
+    }
+    const mesh = new THREE.Mesh(front.geometry, material);
+    mesh.name = front.name;
+    result.push(mesh);
+  }
+  const edges = group.types.edges;
+  if (edges != null && edges.material.visible) {
+    result.push(plainLines(edges, shapeColor(group, "edges")));
+  }
+  const vertices = group.types.vertices;
+  if (vertices != null && vertices.material.visible) {
+    const points = new THREE.Points(
+      vertices.geometry,
+      new THREE.PointsMaterial({
+        color: shapeColor(group, "vertices"),
+        size: vertices.material.size,
+      }),
+    );
+    points.name = vertices.name;
+    result.push(points);
+  }
+  return result;
+}
+
+/**
+ * Plain three.js copy of the visible CAD objects. The hierarchy and the object locations
+ * are kept, the nodes are named by their "/" separated paths. Helpers like stencils,
+ * caps and plane helpers are skipped.
+ * @param {import ("./nestedgroup.js").NestedGroup} nestedGroup
+ * @returns {THREE.Group} the root of the copy
+ */
+function exportScene(nestedGroup) {
+  const nodes = new Set(Object.values(nestedGroup.groups));
+
+  const copy = (group) => {
+    const node = new THREE.Group();
+    node.name = group.name.replaceAll("|", "/");
+    node.position.copy(group.position);
+    node.quaternion.copy(group.quaternion);
+    node.scale.copy(group.scale);
+    if (group instanceof ObjectGroup) {
+      const shapes = copyShape(group);
+      if (shapes.length === 0) return null;
+      node.add(...shapes);
+    } else {
+      for (const child of group.children) {
+        if (nodes.has(child)) {
+          const childNode = copy(child);
+          if (childNode != null) {
+            node.add(childNode);
+          }
+        }
+      }
+    }
+    return node;
+  };
+  return copy(nestedGroup.rootGroup);
+}
+
+/**
+ * Dispose the materials and line geometries created by exportScene
+ * @param {THREE.Group} scene - the result of exportScene
+ */
+function disposeExportScene(scene) {
+  scene.traverse((obj) => {
+    if (obj.material != null) {
+      obj.material.dispose();
+    }
+    if (obj.isLineSegments) {
+      obj.geometry.dispose();
+    }
+  });
+}
+
+/**
+ * Export the visible CAD objects as glTF
+ * @param {import ("./nestedgroup.js").NestedGroup} nestedGroup
+ * @param {boolean} [binary=true] - GLB (true) or glTF JSON (false)
+ * @returns {Promise<ArrayBuffer | object>} the GLB data or the glTF JSON object
+ */
+function exportGLTF(nestedGroup, binary = true) {
+  const scene = exportScene(nestedGroup);
+  return new GLTFExporter()
+    .parseAsync(scene, { binary: binary, onlyVisible: true })
+    .finally(() => disposeExportScene(scene));
+}
+
+/**
+ * A welded triangle mesh of the faces of a part in world coordinates
+ * @typedef {Object} PartMesh
+ * @property {string} name - "/" separated path of the part
+ * @property {THREE.Color} color - color of the faces
+ * @property {number} opacity - opacity of the faces
+ * @property {THREE.BufferGeometry} geometry - indexed geometry with positions only
+ */
+
+/**
+ * Collect the faces of shapes per part and weld them. In exploded mode the faces of
+ * a part are separate shapes ("<part>/faces/faces_<i>") and get merged into their part.
+ * @param {import ("./nestedgroup.js").NestedGroup} nestedGroup
+ * @param {ObjectGroup[] | null} [groups=null] - the shapes to export, null for all visible shapes
+ * @param {number} [tolerance=1e-4] - distance below which vertices get welded
+ * @returns {PartMesh[]}
+ */
+function partMeshes(nestedGroup, groups = null, tolerance = 1e-4) {
+  if (groups == null) {
+    groups = Object.values(nestedGroup.groups).filter(
+      (group) =>
+        group instanceof ObjectGroup &&
+        group.types.front != null &&
+        group.types.front.material.visible,
+    );
+  }
+  nestedGroup.rootGroup.updateMatrixWorld(true);
+
+  const parts = new Map();
+  for (const group of groups) {
+    const front = group.types.front;
+    if (front == null || front.geometry.index == null) continue;
+    const name = group.name
+      .replaceAll("|", "/")
+      .replace(/\/faces\/faces_\d+$/, "");
+    if (!parts.has(name)) {
+      parts.set(name, {
+        name: name,
+        color: shapeColor(group, "front").clone(),
+        opacity: front.material.opacity,
+        positions: [],
+      });
+    }
+    const position = front.geometry.attributes.position;
+    const index = front.geometry.index;
+    const matrix = front.matrixWorld;
+    const v = new THREE.Vector3();
+    const positions = parts.get(name).positions;
+    for (let i = 0; i < index.count; i++) {
+      v.fromBufferAttribute(position, index.getX(i)).applyMatrix4(matrix);
+      positions.push(v.x, v.y, v.z);
+    }
+  }
+
+  return Array.from(parts.values(), (part) => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute(
+      "position",
+      new THREE.Float32BufferAttribute(part.positions, 3),
+    );
+    return {
+      name: part.name,
+      color: part.color,
+      opacity: part.opacity,
+      geometry: mergeVertices(geometry, tolerance),
+    };
+  });
+}
+
+/**
+ * Dispose the geometries of part meshes
+ * @param {PartMesh[]} parts
+ */
+function disposePartMeshes(parts) {
+  for (const part of parts) {
+    part.geometry.dispose();
+  }
+}
+
+/**
+ * Three.js group of part meshes for the three.js exporters
+ * @param {PartMesh[]} parts
+ * @param {boolean} [vertexColors=false] - add the part colors as vertex colors to copies of the
+ *                                         geometries, the caller disposes the copies
+ * @returns {THREE.Group}
+ */
+function partGroup(parts, vertexColors = false) {
+  const group = new THREE.Group();
+  for (const part of parts) {
+    var geometry = part.geometry;
+    if (vertexColors) {
+      // the part meshes stay unchanged for further exports
+      geometry = geometry.clone();
+      const count = geometry.attributes.position.count;
+      const colors = new Float32Array(3 * count);
+      for (let i = 0; i < count; i++) {
+        part.color.toArray(colors, 3 * i);
+      }
+      geometry.setAttribute(
+        "color",
+        new THREE.Float32BufferAttribute(colors, 3),
+      );
+    }
+    const mesh = new THREE.Mesh(geometry);
+    mesh.name = part.name;
+    group.add(mesh);
+  }
+  return group;
+}
+
+/**
+ * Export part meshes as STL
+ * @param {PartMesh[]} parts
+ * @param {boolean} [binary=true] - binary (true) or ASCII (false) STL
+ * @returns {DataView | string}
+ */
+function exportSTL(parts, binary = true) {
+  return new STLExporter().parse(partGroup(parts), { binary: binary });
+}
+
+/**
+ * Export part meshes as PLY with the part colors as vertex colors
+ * @param {PartMesh[]} parts
+ * @param {boolean} [binary=false] - binary (true) or ASCII (false) PLY
+ * @returns {ArrayBuffer | string}
+ */
+function exportPLY(parts, binary = false) {
+  const group = partGroup(parts, true);
+  const result = new PLYExporter().parse(group, null, {
+    binary: binary,
+    littleEndian: true,
+    excludeAttributes: ["normal"],
+  });
+  for (const mesh of group.children) {
+    mesh.geometry.dispose();
+  }
+  return result;
+}
+
+/**
+ * Export part meshes as OBJ with one group per part and a material library with the part colors
+ * @param {PartMesh[]} parts
+ * @param {string} [mtlName="model.mtl"] - file name of the material library referenced by the OBJ
+ * @returns {{obj: string, mtl: string}}
+ */
+function exportOBJ(parts, mtlName = "model.mtl") {
+  const obj = [`mtllib ${mtlName}`];
+  const mtl = [];
+  const f = (v) => parseFloat(v.toFixed(6));
+  var offset = 1;
+  parts.forEach((part, i) => {
+    const name = `material_${i}`;
+    const { r, g, b } = part.color.getRGB({}, THREE.SRGBColorSpace);
+    mtl.push(
+      `newmtl ${name}`,
+      `Kd ${f(r)} ${f(g)} ${f(b)}`,
+      `d ${f(part.opacity)}`,
+      "",
+    );
+
+    obj.push(`g ${part.name}`, `usemtl ${name}`);
+    const position = part.geometry.attributes.position;
+    for (let j = 0; j < position.count; j++) {
+      obj.push(
+        `v ${f(position.getX(j))} ${f(position.getY(j))} ${f(position.getZ(j))}`,
+      );
+    }
+    const index = part.geometry.index;
+    for (let j = 0; j < index.count; j += 3) {
+      obj.push(
+        `f ${index.getX(j) + offset} ${index.getX(j + 1) + offset} ${index.getX(j + 2) + offset}`,
+      );
+    }
+    offset += position.count;
+  });
+  return { obj: obj.join("\n") + "\n", mtl: mtl.join("\n") };
+}
+
+export {
+  exportScene,
+  disposeExportScene,
+  exportGLTF,
+  partMeshes,
+  disposePartMeshes,
+  exportSTL,
+  exportPLY,
+  exportOBJ,
+};
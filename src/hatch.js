@@ -0,0 +1,91 @@
+import * as THREE from "three";
+
+const hatchVertexHead = /* glsl */ `
+varying vec3 vHatchPosition;
+`;
+
+const hatchVertex = /* glsl */ `
+vHatchPosition = (modelMatrix * vec4(transformed, 1.0)).xyz;
+`;
+
+const hatchFragmentHead = /* glsl */ `
+uniform bool hatch;
+uniform float hatchAngle;
+uniform float hatchSpacing;
+uniform float hatchWidth;
+uniform vec3 hatchNormal;
+varying vec3 vHatchPosition;
+
+// coverage of the hatch lines, the lines are fixed in world space and have a fixed width in pixels
+float hatchLines() {
+  vec3 n = normalize(hatchNormal);
+  vec3 a = abs(n.x) < 0.9 ? vec3(1.0, 0.0, 0.0) : vec3(0.0, 1.0, 0.0);
+  vec3 u = normalize(cross(n, a));
+  vec3 v = cross(n, u);
+  vec2 p = vec2(dot(vHatchPosition, u), dot(vHatchPosition, v));
+  float d = dot(p, vec2(cos(hatchAngle), sin(hatchAngle))) / hatchSpacing;
+  float dist = abs(fract(d + 0.5) - 0.5);
+  float fw = max(fwidth(d), 1e-6);
+  return 1.0 - smoothstep(0.5 * hatchWidth * fw, (0.5 * hatchWidth + 1.0) * fw, dist);
+}
+`;
+
+const hatchFragment = /* glsl */ `
+if (hatch) {
+  diffuseColor.rgb *= 1.0 - 0.75 * hatchLines();
+}
+`;
+
+// angle offsets (degrees) and spacing factors to tell neighbouring parts apart
+const hatchAngles = [0, 90];
+const hatchSpacings = [1, 1, 0.6, 0.6, 1.6, 1.6];
+
+/**
+ * Add an ISO style hatch pattern to a MeshStandardMaterial. The pattern is switched off
+ * until the uniform hatch is set to true.
+ * @param {THREE.MeshStandardMaterial} material - the material to patch
+ * @returns {object} the uniforms hatch, hatchAngle (radians), hatchSpacing (world units),
+ *                   hatchWidth (pixels) and hatchNormal (normal of the hatched plane)
+ */
+function addHatching(material) {
+  const uniforms = {
+    hatch: { value: false },
+    hatchAngle: { value: Math.PI / 4 },
+    hatchSpacing: { value: 1.0 },
+    hatchWidth: { value: 1.0 },
+    hatchNormal: { value: new THREE.Vector3(0, 0, 1) },
+  };
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, uniforms);
+    shader.vertexShader = shader.vertexShader
+      .replace("#include <common>", `#include <common>\n${hatchVertexHead}`)
+      .replace(
+        "#include <begin_vertex>",
+        `#include <begin_vertex>\n${hatchVertex}`,
+      );
+    shader.fragmentShader = shader.fragmentShader
+      .replace("#include <common>", `#include <common>\n${hatchFragmentHead}`)
+      .replace(
+        "#include <color_fragment>",
+        `#include <color_fragment>\n${hatchFragment}`,
+      );
+  };
+  material.customProgramCacheKey = () => "hatch";
+  material.userData.hatch = uniforms;
+  return uniforms;
+}
+
+/**
+ * Hatch style of the solid at index, derived from the global style
+ * @param {object} style - {angle: degrees, spacing: world units}
+ * @param {number} index - index of the solid
+ * @returns {object} {angle, spacing}
+ */
+function variedHatchStyle(style, index) {
+  return {
+    angle: style.angle + hatchAngles[index % hatchAngles.length],
+    spacing: style.spacing * hatchSpacings[index % hatchSpacings.length],
+  };
+}
+
+export { addHatching, variedHatchStyle };
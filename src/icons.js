@@ -54,6 +54,7 @@ import dark_explode from "../icons/dark/explode.svg";
 import dark_distance from "../icons/dark/distance.svg";
 import dark_properties from "../icons/dark/properties.svg";
 import dark_angle from "../icons/dark/angle.svg";
+import dark_polyline from "../icons/dark/polyline.svg";
 import dark_select from "../icons/dark/select.svg";
 import dark_transparent from "../icons/dark/transparent.svg";
 import dark_blackedges from "../icons/dark/black_edges.svg";
@@ -66,6 +67,7 @@ import light_explode from "../icons/light/explode.svg";
 import light_distance from "../icons/light/distance.svg";
 import light_properties from "../icons/light/properties.svg";
 import light_angle from "../icons/light/angle.svg";
+import light_polyline from "../icons/light/polyline.svg";
 import light_select from "../icons/light/select.svg";
 import light_transparent from "../icons/light/transparent.svg";
 import light_blackedges from "../icons/light/black_edges.svg";
@@ -108,6 +110,7 @@ const icons = {
   distance: { light: light_distance, dark: dark_distance },
   properties: { light: light_properties, dark: dark_properties },
   angle: { light: light_angle, dark: dark_angle },
+  polyline: { light: light_polyline, dark: dark_polyline },
   select: { light: light_select, dark: dark_select },
   transparent: { light: light_transparent, dark: dark_transparent },
   blackedges: { light: light_blackedges, dark: dark_blackedges },
@@ -0,0 +1,510 @@
+import * as THREE from "three";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import { STLLoader } from "three/examples/jsm/loaders/STLLoader.js";
+import { OBJLoader } from "three/examples/jsm/loaders/OBJLoader.js";
+import { MTLLoader } from "three/examples/jsm/loaders/MTLLoader.js";
+import { ThreeMFLoader } from "three/examples/jsm/loaders/3MFLoader.js";
+import { GeomTypes } from "./raycast.js";
+
+const formats = {
+  stl: "stl",
+  obj: "obj",
+  gltf: "gltf",
+  glb: "gltf",
+  "3mf": "3mf",
+};
+
+const defaultColor = "#e8b024";
+
+/**
+ * Mesh format of a file name
+ * @param {string} filename - file name or format, e.g. "part.stl" or "glb"
+ * @returns {string | null} "stl", "obj", "gltf", "3mf" or null if not supported
+ */
+function formatFromName(filename) {
+  const ext = filename.split(".").pop().toLowerCase();
+  return formats[ext] || null;
+}
+
+/**
+ * Convert a triangle mesh into a Shape. Faces are the regions of triangles whose normals
+ * differ by less than the feature angle across their common edges, edges are the chains of
+ * face boundaries and vertices the corners of the edge chains.
+ * @param {THREE.BufferGeometry} geometry - the triangle mesh
+ * @param {number} [featureAngle=30] - angle in degrees between triangles that separates faces
+ * @param {boolean} [flip=false] - reverse the orientation of the triangles
+ * @returns {{shape: import ("./types.js").Shape, closed: boolean}} the shape and whether the mesh is closed
+ */
+function meshToShape(geometry, featureAngle = 30, flip = false) {
+  const position = geometry.attributes.position;
+  const index = geometry.index;
+  const cosFeature = Math.cos(THREE.MathUtils.degToRad(featureAngle));
+
+  // weld the vertices
+  const box = new THREE.Box3().setFromBufferAttribute(position);
+  const tolerance = Math.max(
+    1e-6 * box.getSize(new THREE.Vector3()).length(),
+    1e-12,
+  );
+  const ids = new Map();
+  const points = [];
+  const welded = new Uint32Array(position.count);
+  for (let i = 0; i < position.count; i++) {
+    const x = position.getX(i);
+    const y = position.getY(i);
+    const z = position.getZ(i);
+    const key = `${Math.round(x / tolerance)},${Math.round(y / tolerance)},${Math.round(z / tolerance)}`;
+    var id = ids.get(key);
+    if (id === undefined) {
+      id = points.length / 3;
+      ids.set(key, id);
+      points.push(x, y, z);
+    }
+    welded[i] = id;
+  }
+  const nv = points.length / 3;
+  const point = (v, target = new THREE.Vector3()) =>
+    target.fromArray(points, 3 * v);
+
+  // triangles of welded vertices with their unit normals, degenerated triangles are dropped
+  const count = index != null ? index.count : position.count;
+  const corner = (i) => welded[index != null ? index.getX(i) : i];
+  const triangles = [];
+  const areaNormals = [];
+  const unitNormals = [];
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+  for (let i = 0; i + 2 < count; i += 3) {
+    const t = flip
+      ? [corner(i), corner(i + 2), corner(i + 1)]
+      : [corner(i), corner(i + 1), corner(i + 2)];
+    if (t[0] === t[1] || t[1] === t[2] || t[0] === t[2]) continue;
+    point(t[0], a);
+    point(t[1], b);
+    point(t[2], c);
+    const n = c.sub(b).cross(a.sub(b));
+    const length = n.length();
+    if (length === 0) continue;
+    triangles.push(...t);
+    areaNormals.push(n.x, n.y, n.z);
+    unitNormals.push(n.x / length, n.y / length, n.z / length);
+  }
+  const nt = triangles.length / 3;
+  const dot = (s, t) =>
+    unitNormals[3 * s] * unitNormals[3 * t] +
+    unitNormals[3 * s + 1] * unitNormals[3 * t + 1] +
+    unitNormals[3 * s + 2] * unitNormals[3 * t + 2];
+
+  // triangles per edge
+  const edgeKey = (v, w) => (v < w ? v * nv + w : w * nv + v);
+  const edgeTriangles = new Map();
+  for (let t = 0; t < nt; t++) {
+    for (let k = 0; k < 3; k++) {
+      const key = edgeKey(
+        triangles[3 * t + k],
+        triangles[3 * t + ((k + 1) % 3)],
+      );
+      const list = edgeTriangles.get(key);
+      if (list === undefined) {
+        edgeTriangles.set(key, [t]);
+      } else {
+        list.push(t);
+      }
+    }
+  }
+
+  // grow the faces over smooth manifold edges
+  const face = new Int32Array(nt).fill(-1);
+  const faceTriangles = [];
+  for (let t = 0; t < nt; t++) {
+    if (face[t] >= 0) continue;
+    const f = faceTriangles.length;
+    const list = [t];
+    face[t] = f;
+    for (let i = 0; i < list.length; i++) {
+      const s = list[i];
+      for (let k = 0; k < 3; k++) {
+        const neighbours = edgeTriangles.get(
+          edgeKey(triangles[3 * s + k], triangles[3 * s + ((k + 1) % 3)]),
+        );
+        if (neighbours.length !== 2) continue;
+        const o = neighbours[0] === s ? neighbours[1] : neighbours[0];
+        if (face[o] < 0 && dot(s, o) >= cosFeature) {
+          face[o] = f;
+          list.push(o);
+        }
+      }
+    }
+    faceTriangles.push(list);
+  }
+
+  // vertices, smoothed normals and triangles per face
+  const vertices = [];
+  const normals = [];
+  const faceIndices = [];
+  const trianglesPerFace = [];
+  const faceTypes = [];
+  const plane = GeomTypes.face.indexOf("plane");
+  const other = GeomTypes.face.indexOf("other");
+  for (const list of faceTriangles) {
+    const local = new Map();
+    for (const t of list) {
+      for (let k = 0; k < 3; k++) {
+        const v = triangles[3 * t + k];
+        var o = local.get(v);
+        if (o === undefined) {
+          o = vertices.length / 3;
+          local.set(v, o);
+          vertices.push(points[3 * v], points[3 * v + 1], points[3 * v + 2]);
+          normals.push(0, 0, 0);
+        }
+        for (let j = 0; j < 3; j++) {
+          normals[3 * o + j] += areaNormals[3 * t + j];
+        }
+        faceIndices.push(o);
+      }
+    }
+    trianglesPerFace.push(list.length);
+    faceTypes.push(
+      list.every((t) => dot(t, list[0]) > 1 - 1e-6) ? plane : other,
+    );
+  }
+  const normal = new THREE.Vector3();
+  for (let i = 0; i < normals.length; i += 3) {
+    normal.fromArray(normals, i).normalize().toArray(normals, i);
+  }
+
+  // edges are the face boundaries, including the open borders of the mesh
+  var closed = true;
+  const edgeEnds = [];
+  for (const [key, list] of edgeTriangles) {
+    if (list.length !== 2) {
+      closed = false;
+    }
+    if (list.length !== 2 || face[list[0]] !== face[list[1]]) {
+      const v = Math.floor(key / nv);
+      edgeEnds.push(v, key - v * nv);
+    }
+  }
+  const adjacency = new Map();
+  for (let e = 0; e < edgeEnds.length / 2; e++) {
+    for (const v of [edgeEnds[2 * e], edgeEnds[2 * e + 1]]) {
+      if (!adjacency.has(v)) {
+        adjacency.set(v, []);
+      }
+      adjacency.get(v).push(e);
+    }
+  }
+  const otherEnd = (e, v) =>
+    edgeEnds[2 * e] === v ? edgeEnds[2 * e + 1] : edgeEnds[2 * e];
+
+  // corners are branch points, open ends and sharp turns of the edge chains
+  const corners = [];
+  const isCorner = new Uint8Array(nv);
+  const d1 = new THREE.Vector3();
+  const d2 = new THREE.Vector3();
+  for (const [v, list] of adjacency) {
+    var sharp = list.length !== 2;
+    if (!sharp) {
+      point(v, a);
+      d1.subVectors(a, point(otherEnd(list[0], v), b)).normalize();
+      d2.subVectors(point(otherEnd(list[1], v), b), a).normalize();
+      sharp = d1.dot(d2) < cosFeature;
+    }
+    if (sharp) {
+      isCorner[v] = 1;
+      corners.push(v);
+    }
+  }
+
+  const used = new Uint8Array(edgeEnds.length / 2);
+  const walk = (start, e) => {
+    const chain = [start];
+    var v = start;
+    while (e !== undefined) {
+      used[e] = 1;
+      v = otherEnd(e, v);
+      chain.push(v);
+      if (isCorner[v]) break;
+      e = adjacency.get(v).find((f) => !used[f]);
+    }
+    return chain;
+  };
+  const chains = [];
+  for (const v of corners) {
+    for (const e of adjacency.get(v)) {
+      if (!used[e]) {
+        chains.push(walk(v, e));
+      }
+    }
+  }
+  // remaining closed loops without corners
+  for (let e = 0; e < used.length; e++) {
+    if (!used[e]) {
+      chains.push(walk(edgeEnds[2 * e], e));
+    }
+  }
+
+  const edges = [];
+  const segmentsPerEdge = [];
+  const edgeTypes = [];
+  const line = GeomTypes.edge.indexOf("line");
+  const otherEdge = GeomTypes.edge.indexOf("other");
+  for (const chain of chains) {
+    for (let i = 0; i < chain.length - 1; i++) {
+      edges.push(
+        ...point(chain[i]).toArray(),
+        ...point(chain[i + 1]).toArray(),
+      );
+    }
+    segmentsPerEdge.push(chain.length - 1);
+    const axis = new THREE.Line3(
+      point(chain[0]),
+      point(chain[chain.length - 1]),
+    );
+    const straight =
+      chain.length === 2 ||
+      (axis.distance() > tolerance &&
+        chain.every(
+          (v) =>
+            axis.closestPointToPoint(point(v, b), false, a).distanceTo(b) <
+            10 * tolerance,
+        ));
+    edgeTypes.push(straight ? line : otherEdge);
+  }
+
+  return {
+    shape: {
+      vertices: new Float32Array(vertices),
+      normals: new Float32Array(normals),
+      triangles: new Uint32Array(faceIndices),
+      edges: new Float32Array(edges),
+      obj_vertices: new Float32Array(
+        corners.flatMap((v) => point(v).toArray()),
+      ),
+      face_types: new Uint32Array(faceTypes),
+      edge_types: new Uint32Array(edgeTypes),
+      triangles_per_face: new Uint32Array(trianglesPerFace),
+      segments_per_edge: new Uint32Array(segmentsPerEdge),
+    },
+    closed: closed,
+  };
+}
+
+/**
+ * Convert a three.js object tree into Shapes. Groups become assemblies with their location,
+ * meshes become parts, scales and shears get baked into the vertices of the meshes.
+ * @param {THREE.Object3D} root - the loaded object tree
+ * @param {string} name - name of the root group
+ * @param {number} [featureAngle=30] - angle in degrees between triangles that separates faces
+ * @returns {import ("./types.js").Shapes}
+ */
+function objectToShapes(root, name, featureAngle = 30) {
+  root.updateMatrixWorld(true);
+
+  const uniqueName = (names, name) => {
+    var result = (name || "").replaceAll("/", "_") || "unnamed";
+    if (names.has(result)) {
+      var i = 2;
+      while (names.has(`${result}_${i}`)) i++;
+      result = `${result}_${i}`;
+    }
+    names.add(result);
+    return result;
+  };
+
+  // split a matrix into a rigid location and the remaining (scaling) transformation
+  const split = (matrix) => {
+    const p = new THREE.Vector3();
+    const q = new THREE.Quaternion();
+    matrix.decompose(p, q, new THREE.Vector3());
+    const rigid = new THREE.Matrix4().compose(p, q, new THREE.Vector3(1, 1, 1));
+    return {
+      loc: [p.toArray(), q.toArray()],
+      residual: rigid.invert().multiply(matrix),
+    };
+  };
+
+  const hasMeshes = (node) => {
+    var result = false;
+    node.traverse((obj) => {
+      result = result || obj.isMesh === true;
+    });
+    return result;
+  };
+
+  const identityLoc = () => [
+    [0, 0, 0],
+    [0, 0, 0, 1],
+  ];
+
+  const part = (mesh, id, name, loc, residual) => {
+    const material = Array.isArray(mesh.material)
+      ? mesh.material[0]
+      : mesh.material;
+    var geometry = mesh.geometry;
+    if (!residual.equals(new THREE.Matrix4())) {
+      geometry = geometry.clone().applyMatrix4(residual);
+    }
+    const { shape, closed } = meshToShape(
+      geometry,
+      featureAngle,
+      residual.determinant() < 0,
+    );
+    if (geometry !== mesh.geometry) {
+      geometry.dispose();
+    }
+    return {
+      id: id,
+      type: "shapes",
+      subtype: closed ? "solid" : "faces",
+      name: name,
+      shape: shape,
+      state: [1, 1],
+      color:
+        material != null && material.color != null
+          ? `#${material.color.getHexString()}`
+          : defaultColor,
+      alpha: material != null && material.transparent ? material.opacity : 1.0,
+      texture: null,
+      loc: loc,
+      renderback: !closed,
+      accuracy: null,
+      bb: null,
+    };
+  };
+
+  const convert = (node, parentId, names, parentResidual) => {
+    const { loc, residual } = split(
+      parentResidual.clone().multiply(node.matrix),
+    );
+    const name = uniqueName(names, node.name);
+    const id = `${parentId}/${name}`;
+    const children = node.children.filter(hasMeshes);
+    if (node.isMesh && children.length === 0) {
+      return part(node, id, name, loc, residual);
+    }
+    const childNames = new Set();
+    const parts = [];
+    if (node.isMesh) {
+      const meshName = uniqueName(childNames, `${name}_mesh`);
+      parts.push(
+        part(node, `${id}/${meshName}`, meshName, identityLoc(), residual),
+      );
+    }
+    for (const child of children) {
+      parts.push(convert(child, id, childNames, residual));
+    }
+    return { version: 3, name: name, id: id, loc: loc, parts: parts };
+  };
+
+  var shapes;
+  if (root.isMesh || !hasMeshes(root)) {
+    root.name = root.name || name;
+    shapes = {
+      version: 3,
+      name: name,
+      id: `/${name}`,
+      loc: identityLoc(),
+      parts: hasMeshes(root)
+        ? [convert(root, `/${name}`, new Set(), new THREE.Matrix4())]
+        : [],
+    };
+  } else {
+    root.name = name;
+    shapes = convert(root, "", new Set(), new THREE.Matrix4());
+  }
+  const bbox = new THREE.Box3().setFromObject(root);
+  if (!bbox.isEmpty()) {
+    shapes.bb = {
+      xmin: bbox.min.x,
+      xmax: bbox.max.x,
+      ymin: bbox.min.y,
+      ymax: bbox.max.y,
+      zmin: bbox.min.z,
+      zmax: bbox.max.z,
+    };
+  }
+  return shapes;
+}
+
+/**
+ * Load a mesh file into a three.js object tree
+ * @param {ArrayBuffer | string} data - content of the file
+ * @param {string} format - "stl", "obj", "gltf" or "3mf"
+ * @param {string | null} mtl - content of the OBJ material library
+ * @returns {Promise<THREE.Object3D>}
+ */
+function loadObject(data, format, mtl) {
+  const text = () =>
+    typeof data === "string" ? data : new TextDecoder().decode(data);
+  switch (format) {
+    case "stl":
+      return Promise.resolve(
+        new THREE.Mesh(
+          new STLLoader().parse(data),
+          new THREE.MeshStandardMaterial({ color: defaultColor }),
+        ),
+      );
+    case "obj": {
+      const loader = new OBJLoader();
+      if (mtl != null) {
+        const materials = new MTLLoader().parse(mtl, "");
+        materials.preload();
+        loader.setMaterials(materials);
+      }
+      return Promise.resolve(loader.parse(text()));
+    }
+    case "gltf":
+      return new GLTFLoader().parseAsync(data, "").then((gltf) => {
+        // glTF is y-up, the viewer z-up
+        const root = new THREE.Group();
+        gltf.scene.rotation.x = Math.PI / 2;
+        root.add(gltf.scene);
+        return root;
+      });
+    case "3mf":
+      return Promise.resolve(new ThreeMFLoader().parse(data));
+    default:
+      return Promise.reject(new Error(`Unsupported mesh format: ${format}`));
+  }
+}
+
+/**
+ * Options of importModel
+ * @typedef {Object} ImportOptions
+ * @property {string} [name] - name of the root group, default: the file name without extension
+ * @property {number} [featureAngle = 30] - angle in degrees between triangles that separates faces
+ * @property {string} [mtl] - content of the material library of an OBJ file
+ */
+
+/**
+ * Convert a glTF/GLB, STL, OBJ or 3MF file into Shapes that can be rendered by the viewer
+ * @param {ArrayBuffer | string} data - content of the file
+ * @param {string} filename - file name or format, the format is taken from the extension
+ * @param {ImportOptions} [options={}] - import options
+ * @returns {Promise<import ("./types.js").Shapes>}
+ */
+function importModel(data, filename, options = {}) {
+  const format = formatFromName(filename);
+  if (format == null) {
+    return Promise.reject(new Error(`Unsupported mesh format: ${filename}`));
+  }
+  const name =
+    options.name ||
+    filename
+      .split("/")
+      .pop()
+      .replace(/\.[^.]*$/, "") ||
+    "Model";
+  return loadObject(data, format, options.mtl).then((root) =>
+    objectToShapes(
+      root,
+      name,
+      options.featureAngle != null ? options.featureAngle : 30,
+    ),
+  );
+}
+
+export { importModel, formatFromName, meshToShape, objectToShapes };
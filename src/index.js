@@ -6,5 +6,16 @@ import "../css/tools.css";
 import { Viewer } from "./viewer.js";
 import { Display } from "./display.js";
 import { Timer } from "./timer.js";
+import { importModel } from "./import.js";
+import { diffShapes } from "./diff.js";
+import { encodeShapes, decodeShapes } from "./binary.js";
 
-export { Viewer, Display, Timer };
+export {
+  Viewer,
+  Display,
+  Timer,
+  importModel,
+  diffShapes,
+  encodeShapes,
+  decodeShapes,
+};
@@ -59,6 +59,8 @@ class NestedGroup {
     this.groups = {};
 
     this.clipPlanes = null;
+    this.clipIntersection = false;
+    this.polygonOffset = 1;
   }
 
   dispose() {
@@ -148,6 +150,10 @@ class NestedGroup {
       edges.name = name;
     }
     group.addType(edges, "edges");
+    if (edgeList.segments_per_edge != null) {
+      group.segmentsPerEdge = edgeList.segments_per_edge;
+      group.edgeTypes = edgeList.edge_types;
+    }
 
     this.groups[path] = group;
     group.name = path.replaceAll("/", this.delim);
@@ -285,6 +291,16 @@ class NestedGroup {
       );
       shapeGeometry.setIndex(new THREE.BufferAttribute(triangles, 1));
       group.shapeGeometry = shapeGeometry;
+      if (shape.triangles_per_face != null) {
+        group.trianglesPerFace = shape.triangles_per_face;
+      }
+      if (shape.segments_per_edge != null) {
+        group.segmentsPerEdge = shape.segments_per_edge;
+        group.edgeTypes = shape.edge_types;
+      }
+      if (shape.obj_vertices != null) {
+        group.objVertices = flatten(shape.obj_vertices);
+      }
 
       // see https://stackoverflow.com/a/37651610
       // "A common draw configuration you see is to draw all the opaque object with depth testing on,
@@ -369,57 +385,76 @@ class NestedGroup {
     return group;
   }
 
-  renderLoop(shapes) {
-    const _render = (shape, texture, width, height) => {
-      var mesh;
-      switch (shape.type) {
-        case "edges":
-          mesh = this.renderEdges(
-            shape.shape,
-            shape.width,
-            shape.color,
-            shape.id,
-            shape.name,
-            shape.state[1],
-            { topo: "edge", geomtype: shape.geomtype },
-          );
-          break;
-        case "vertices":
-          mesh = this.renderVertices(
-            shape.shape,
-            shape.size,
-            shape.color,
-            shape.id,
-            shape.name,
-            shape.state[1],
-            { topo: "vertex", geomtype: null },
-          );
-          break;
-        default:
-          mesh = this.renderShape(
-            shape.shape,
-            shape.color,
-            shape.alpha,
-            shape.renderback == null ? false : shape.renderback,
-            shape.exploded,
-            shape.id,
-            shape.name,
-            shape.state,
-            { topo: "face", geomtype: shape.geomtype },
-            shape.subtype,
-            texture,
-            width,
-            height,
-          );
-      }
-      // support object locations
-      if (shape.loc != null) {
-        mesh.position.set(...shape.loc[0]);
-        mesh.quaternion.set(...shape.loc[1]);
+  /**
+   * Render a part of the Shapes object, either a leaf with a shape or a group with parts
+   * @param {object} part - the part
+   * @returns {THREE.Group} the rendered group
+   */
+  renderPart(part) {
+    if (part.parts) {
+      return this.renderLoop(part);
+    }
+    var mesh;
+    switch (part.type) {
+      case "edges":
+        mesh = this.renderEdges(
+          part.shape,
+          part.width,
+          part.color,
+          part.id,
+          part.name,
+          part.state[1],
+          { topo: "edge", geomtype: part.geomtype },
+        );
+        break;
+      case "vertices":
+        mesh = this.renderVertices(
+          part.shape,
+          part.size,
+          part.color,
+          part.id,
+          part.name,
+          part.state[1],
+          { topo: "vertex", geomtype: null },
+        );
+        break;
+      default: {
+        const texture = part.texture;
+        mesh = this.renderShape(
+          part.shape,
+          part.color,
+          part.alpha,
+          part.renderback == null ? false : part.renderback,
+          part.exploded,
+          part.id,
+          part.name,
+          part.state,
+          { topo: "face", geomtype: part.geomtype },
+          part.subtype,
+          texture != null ? texture.image : null,
+          texture != null ? texture.width : null,
+          texture != null ? texture.height : null,
+        );
       }
-      return mesh;
-    };
+    }
+    // support object locations
+    if (part.loc != null) {
+      mesh.position.set(...part.loc[0]);
+      mesh.quaternion.set(...part.loc[1]);
+    }
+    if (part.accuracy != null) {
+      mesh.accuracy = part.accuracy;
+    }
+    this.groups[part.id] = mesh;
+    return mesh;
+  }
 
+  /**
+   * Render a group and its parts step by step, pauses after every rendered shape
+   * @param {object} shapes - the group
+   * @returns {Generator<undefined, THREE.Group>} returns the rendered group when done
+   */
+  *_renderSteps(shapes) {
     var group = new THREE.Group();
     if (shapes.loc == null) {
       shapes.loc = [
@@ -435,25 +470,128 @@ class NestedGroup {
 
     for (var shape of shapes.parts) {
       if (shape.parts) {
-        group.add(this.renderLoop(shape));
+        group.add(yield* this._renderSteps(shape));
       } else {
-        const has_texture = shape.texture != null;
-        var texture = has_texture ? shape.texture.image : null;
-        var width = has_texture ? shape.texture.width : null;
-        var height = has_texture ? shape.texture.height : null;
-        const objectGroup = _render(shape, texture, width, height);
-        this.groups[shape.id] = objectGroup;
-        group.add(objectGroup);
+        group.add(this.renderPart(shape));
+        yield;
       }
     }
     return group;
   }
 
+  renderLoop(shapes) {
+    const steps = this._renderSteps(shapes);
+    var step = steps.next();
+    while (!step.done) {
+      step = steps.next();
+    }
+    return step.value;
+  }
+
   render() {
     this.rootGroup = this.renderLoop(this.shapes);
     return this.rootGroup;
   }
 
+  /**
+   * Render the shapes in time slices to keep the page responsive
+   * @param {function} [onProgress=null] - called after every time slice with the number of rendered
+   *        and of all shapes, the rendering stops with the error if it throws
+   * @param {number} [timeSlice=20] - milliseconds of rendering between two time slices
+   * @returns {Promise<THREE.Group>} the root group
+   */
+  renderAsync(onProgress = null, timeSlice = 20) {
+    const count = (shapes) =>
+      shapes.parts.reduce(
+        (sum, part) => sum + (part.parts ? count(part) : 1),
+        0,
+      );
+    const total = count(this.shapes);
+    const steps = this._renderSteps(this.shapes);
+    var done = 0;
+
+    return new Promise((resolve, reject) => {
+      const slice = () => {
+        try {
+          const end = performance.now() + timeSlice;
+          var step = steps.next();
+          while (!step.done) {
+            done++;
+            if (performance.now() > end) break;
+            step = steps.next();
+          }
+          if (onProgress != null) {
+            onProgress(done, total);
+          }
+          if (step.done) {
+            this.rootGroup = step.value;
+            resolve(this.rootGroup);
+          } else {
+            setTimeout(slice, 0);
+          }
+        } catch (error) {
+          reject(error);
+        }
+      };
+      slice();
+    });
+  }
+
+  /**
+   * The object groups at or below a path
+   * @param {string} id - path of a part or a group
+   * @returns {ObjectGroup[]}
+   */
+  objectGroups(id) {
+    return Object.keys(this.groups)
+      .filter((path) => path === id || path.startsWith(`${id}/`))
+      .map((path) => this.groups[path])
+      .filter((group) => group instanceof ObjectGroup);
+  }
+
+  /**
+   * Render a part and add it to a group, the new object groups get the current material,
+   * transparency and clipping settings
+   * @param {string} parentId - path of the group
+   * @param {object} part - the part with ids below parentId
+   * @returns {THREE.Group} the rendered part
+   */
+  addPart(parentId, part) {
+    const group = this.renderPart(part);
+    this.groups[parentId].add(group);
+    for (const objectGroup of this.objectGroups(part.id)) {
+      objectGroup.setTransparent(this.transparent);
+      objectGroup.setBlackEdges(this.blackEdges);
+      objectGroup.setMetalness(this.metalness);
+      objectGroup.setRoughness(this.roughness);
+      objectGroup.setBackVisible(this.backVisible);
+      objectGroup.setPolygonOffset(this.polygonOffset);
+      if (this.clipPlanes != null) {
+        objectGroup.setClipPlanes(this.clipPlanes);
+      }
+      objectGroup.setClipIntersection(this.clipIntersection);
+    }
+    this.bbox = null;
+    return group;
+  }
+
+  /**
+   * Remove a part or group from the rendered objects, the caller disposes it
+   * @param {string} id - path of the part or group
+   * @returns {THREE.Group} the removed part
+   */
+  removePart(id) {
+    const group = this.groups[id];
+    group.removeFromParent();
+    for (const path of Object.keys(this.groups)) {
+      if (path === id || path.startsWith(`${id}/`)) {
+        delete this.groups[path];
+      }
+    }
+    this.bbox = null;
+    return group;
+  }
+
   boundingBox() {
     if (this.bbox == null) {
       this.bbox = new BoundingBox();
@@ -527,6 +665,7 @@ class NestedGroup {
   }
 
   setClipIntersection(flag) {
+    this.clipIntersection = flag;
     this._traverse("setClipIntersection", flag);
   }
 
@@ -536,6 +675,7 @@ class NestedGroup {
   }
 
   setPolygonOffset(offset) {
+    this.polygonOffset = offset;
     this._traverse("setPolygonOffset", offset);
   }
 
@@ -18,9 +18,18 @@ class ObjectGroup extends THREE.Group {
     this.shapeInfo = shapeInfo;
     this.subtype = subtype;
     this.renderback = renderback;
+    this.accuracy = null; // tessellation accuracy, if provided by the shape
+    this.trianglesPerFace = null; // to map triangles to faces of compact shapes
+    this.segmentsPerEdge = null; // to map edge segments to edges of compact shapes
+    this.edgeTypes = null; // geometry types of the edges of compact shapes
+    this.objVertices = null; // vertices of compact shapes, flat list of coordinates
+    this.snapCandidates = null; // see snap.js, created on demand
+    this.clipPlanes = null;
+    this.clipExcluded = false; // excluded objects ignore the clipping planes
     this.types = { front: null, back: null, edges: null, vertices: null };
     this.isSelected = false;
     this.originalColor = null;
+    this.untintedColor = null; // original color while the object is tinted
     this.originalBackColor = null;
     this.originalWidth = null;
     this.vertexFocusSize = 8; // Size of the points when highlighted
@@ -133,6 +142,28 @@ class ObjectGroup extends THREE.Group {
     }
   }
 
+  /**
+   * Tint the faces (or edges, vertices) with a marker color, the highlighting restores the tint
+   * @param {THREE.Color | null} color - the tint, null restores the original color
+   */
+  setTint(color) {
+    const object = this.types.front || this.types.vertices || this.types.edges;
+    if (object == null || (color == null && this.untintedColor == null)) {
+      return;
+    }
+    if (this.untintedColor == null) {
+      this.untintedColor = this.originalColor.clone();
+    }
+    this.originalColor = (color == null ? this.untintedColor : color).clone();
+    if (color == null) {
+      this.untintedColor = null;
+    }
+    if (!this.isSelected) {
+      object.material.color = this.originalColor.clone();
+      object.material.needsUpdate = true;
+    }
+  }
+
   clearHighlights() {
     this.highlight(false);
     this.isSelected = false;
@@ -218,8 +249,8 @@ class ObjectGroup extends THREE.Group {
     if (this.types.front) {
       this.types.front.material.visible = flag;
     }
-    for (var t of ["clipping-0", "clipping-1", "clipping-2"]) {
-      if (this.types[t]) {
+    for (var t in this.types) {
+      if (t.startsWith("clipping")) {
         this.types[t].children[0].material.visible = flag;
         this.types[t].children[1].material.visible = flag;
       }
@@ -272,6 +303,10 @@ class ObjectGroup extends THREE.Group {
   }
 
   setClipPlanes(planes) {
+    this.clipPlanes = planes;
+    if (this.clipExcluded) {
+      planes = null;
+    }
     if (this.types.back) {
       this.types.back.material.clippingPlanes = planes;
     }
@@ -287,6 +322,11 @@ class ObjectGroup extends THREE.Group {
     this.updateMaterials(true);
   }
 
+  setClipExcluded(flag) {
+    this.clipExcluded = flag;
+    this.setClipPlanes(this.clipPlanes);
+  }
+
   setPolygonOffset(offset) {
     if (this.types.back) {
       this.types.back.material.polygonOffsetUnits = offset;
@@ -9,7 +9,7 @@ export const TopoFilter = {
   solid: "solid",
 };
 
-const GeomTypes = {
+export const GeomTypes = {
   face: [
     "plane",
     "cylinder",
@@ -40,6 +40,7 @@ export class PickedObject {
   constructor(objectGroup, fromSolid) {
     this.obj = objectGroup;
     this.fromSolid = fromSolid;
+    this.surfacePick = null; // set by the viewer if surface picking is on
   }
 
   /**
@@ -132,6 +133,39 @@ class Raycaster {
     return validObjs;
   }
 
+  /**
+   * Retrieve the nearest visible intersection of the ray from the mouse with a shape.
+   * For faces the normal (world space, pointing to the camera) and the triangle index are provided.
+   * @param {function} [isClipped=null] - skips intersections at points for which it returns true
+   * @returns {{point: THREE.Vector3, normal: THREE.Vector3 | null, objectGroup: ObjectGroup, faceIndex: number | null} | null}
+   */
+  getSurfaceHit(isClipped = null) {
+    for (const intersection of this.getIntersectedObjs()) {
+      const objectGroup = intersection.object.parent;
+      if (objectGroup == null || !objectGroup.shapeInfo) continue; // clipping plane
+      if (isClipped != null && isClipped(intersection.point)) continue;
+
+      var normal = null;
+      var faceIndex = null;
+      if (intersection.object.isMesh && intersection.face != null) {
+        normal = intersection.face.normal
+          .clone()
+          .transformDirection(intersection.object.matrixWorld);
+        if (normal.dot(this.raycaster.ray.direction) > 0) {
+          normal.negate();
+        }
+        faceIndex = intersection.faceIndex;
+      }
+      return {
+        point: intersection.point.clone(),
+        normal: normal,
+        objectGroup: objectGroup,
+        faceIndex: faceIndex,
+      };
+    }
+    return null;
+  }
+
   /**
    * Retrieve all the valid intersected objects by a ray caster from the mouse.
    * The objects are sorted by their distance from the ray. (The closest first)
@@ -0,0 +1,384 @@
+import * as THREE from "three";
+import { LineSegments2 } from "three/examples/jsm/lines/LineSegments2.js";
+import { LineSegmentsGeometry } from "./patches.js";
+import { LineMaterial } from "three/examples/jsm/lines/LineMaterial.js";
+import { ObjectGroup } from "./objectgroup.js";
+
+const outlineColors = { light: 0x000000, dark: 0xffffff };
+
+/**
+ * Intersection point of a triangle edge with a plane. The edge is interpolated
+ * in a canonical order, so that edges shared by two triangles give identical points.
+ */
+function edgePoint(p1, d1, p2, d2) {
+  if (
+    p1.x > p2.x ||
+    (p1.x === p2.x && (p1.y > p2.y || (p1.y === p2.y && p1.z > p2.z)))
+  ) {
+    [p1, d1, p2, d2] = [p2, d2, p1, d1];
+  }
+  return p1.clone().lerp(p2, d1 / (d1 - d2));
+}
+
+/**
+ * Clip a segment to the half space of a plane
+ * @param {THREE.Vector3[]} segment - start and end point
+ * @param {THREE.Plane} plane
+ * @param {number} sign - 1 keeps the positive side of the plane, -1 the negative side
+ * @returns {THREE.Vector3[] | null} null if the segment is completely clipped
+ */
+function clipSegment(segment, plane, sign) {
+  var [p, q] = segment;
+  const dp = sign * plane.distanceToPoint(p);
+  const dq = sign * plane.distanceToPoint(q);
+  if (dp < 0 && dq < 0) return null;
+  if (dp < 0) {
+    p = p.clone().lerp(q, dp / (dp - dq));
+  } else if (dq < 0) {
+    q = q.clone().lerp(p, dq / (dq - dp));
+  }
+  return [p, q];
+}
+
+/**
+ * Chain segments with common end points to polylines
+ * @param {THREE.Vector3[][]} segments - list of [start, end]
+ * @param {number} tolerance - points closer than the tolerance are identical
+ * @returns {{points: THREE.Vector3[], closed: boolean}[]}
+ */
+function chainSegments(segments, tolerance) {
+  const key = (p) =>
+    `${Math.round(p.x / tolerance)},${Math.round(p.y / tolerance)},${Math.round(p.z / tolerance)}`;
+
+  const ends = new Map();
+  segments.forEach((segment, i) => {
+    for (let j = 0; j < 2; j++) {
+      const k = key(segment[j]);
+      if (!ends.has(k)) ends.set(k, []);
+      ends.get(k).push([i, j]);
+    }
+  });
+
+  const used = new Array(segments.length).fill(false);
+  // find an unused segment at the end point p and return its other end point
+  const next = (p) => {
+    for (const [i, j] of ends.get(key(p))) {
+      if (!used[i]) {
+        used[i] = true;
+        return segments[i][1 - j];
+      }
+    }
+    return null;
+  };
+
+  const polylines = [];
+  for (let i = 0; i < segments.length; i++) {
+    if (used[i]) continue;
+    used[i] = true;
+    const points = [segments[i][0], segments[i][1]];
+    for (let p = next(points[points.length - 1]); p != null; p = next(p)) {
+      points.push(p);
+    }
+    for (let p = next(points[0]); p != null; p = next(p)) {
+      points.unshift(p);
+    }
+    const closed =
+      points.length > 3 && key(points[0]) === key(points[points.length - 1]);
+    if (closed) points.pop();
+    polylines.push({ points: points, closed: closed });
+  }
+  return polylines;
+}
+
+class SectionOutlines extends THREE.Group {
+  /**
+   * The intersection polylines of the visible solids with the clipping planes
+   * @param {import ("./nestedgroup.js").NestedGroup} nestedGroup - the clipped shapes
+   * @param {THREE.Plane[]} clipPlanes - the clipping planes
+   * @param {number[]} center - center of the shapes
+   * @param {number} size - size of the shapes
+   * @param {number} width - width of the canvas
+   * @param {number} height - height of the canvas
+   * @param {string} theme - "light" or "dark"
+   */
+  constructor(nestedGroup, clipPlanes, center, size, width, height, theme) {
+    super();
+    this.name = "SectionOutlines";
+    this.nestedGroup = nestedGroup;
+    this.clipPlanes = clipPlanes;
+    this.center = new THREE.Vector3(...center);
+    this.tolerance = size * 1e-7;
+
+    this.material = new LineMaterial({
+      color: outlineColors[theme],
+      linewidth: 2,
+    });
+    this.material.resolution.set(width, height);
+
+    this.enabled = false;
+    this.active = false;
+    this.needsUpdate = true;
+    this.visible = false;
+  }
+
+  /**
+   * Show or hide the section outlines
+   * @param {boolean} flag
+   */
+  setEnabled(flag) {
+    this.enabled = flag;
+    this.needsUpdate = true;
+    this.visible = this.enabled && this.active;
+  }
+
+  /**
+   * The outlines are only shown while clipping is active
+   * @param {boolean} flag
+   */
+  setActive(flag) {
+    this.active = flag;
+    this.visible = this.enabled && this.active;
+  }
+
+  /**
+   * Compute the world coordinate polylines of the section of the visible solids with a clipping plane,
+   * solids excluded from clipping are skipped.
+   * The polylines are clipped by the other planes like the clipping caps.
+   * @param {number} index - index of the clipping plane
+   * @param {boolean} intersection - whether intersection clipping is used
+   * @returns {{id: string, points: THREE.Vector3[], closed: boolean}[]}
+   */
+  computePolylines(index, intersection) {
+    const plane = this.clipPlanes[index];
+    const otherPlanes = this.clipPlanes.filter((_, j) => j !== index);
+    const sign = intersection ? -1 : 1;
+
+    const solids = new Map();
+    for (const group of Object.values(this.nestedGroup.groups)) {
+      if (
+        !(group instanceof ObjectGroup) ||
+        group.subtype !== "solid" ||
+        group.clipExcluded ||
+        group.shapeGeometry == null ||
+        group.types.front == null ||
+        !group.types.front.material.visible
+      ) {
+        continue;
+      }
+      // faces of exploded solids belong to the solid
+      const id = (
+        group.shapeInfo ? group.parent.parent.name : group.name
+      ).replaceAll("|", "/");
+      if (!solids.has(id)) solids.set(id, []);
+      const segments = solids.get(id);
+
+      const obj = group.types.front;
+      obj.updateWorldMatrix(true, false);
+      const position = group.shapeGeometry.attributes.position;
+      const index = group.shapeGeometry.index;
+      const vertices = [];
+      const distances = [];
+      for (let i = 0; i < position.count; i++) {
+        const v = new THREE.Vector3()
+          .fromBufferAttribute(position, i)
+          .applyMatrix4(obj.matrixWorld);
+        vertices.push(v);
+        distances.push(plane.distanceToPoint(v));
+      }
+
+      const count = index ? index.count : position.count;
+      const vertexIndex = (i) => (index ? index.getX(i) : i);
+      for (let i = 0; i + 2 < count; i += 3) {
+        const t = [vertexIndex(i), vertexIndex(i + 1), vertexIndex(i + 2)];
+        const above = t.map((k) => distances[k] > 0);
+        if (above[0] === above[1] && above[1] === above[2]) continue;
+
+        var segment = [];
+        for (let j = 0; j < 3; j++) {
+          const k1 = t[j];
+          const k2 = t[(j + 1) % 3];
+          if (above[j] !== above[(j + 1) % 3]) {
+            segment.push(
+              edgePoint(
+                vertices[k1],
+                distances[k1],
+                vertices[k2],
+                distances[k2],
+              ),
+            );
+          }
+        }
+        for (const otherPlane of otherPlanes) {
+          if (segment == null) break;
+          segment = clipSegment(segment, otherPlane, sign);
+        }
+        if (segment != null && segment[0].distanceTo(segment[1]) > 0) {
+          segments.push(segment);
+        }
+      }
+    }
+
+    const result = [];
+    for (const [id, segments] of solids) {
+      for (const polyline of chainSegments(segments, this.tolerance)) {
+        result.push({ id: id, ...polyline });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Recompute the outlines if needed
+   * @param {boolean} intersection - whether intersection clipping is used
+   */
+  update(intersection) {
+    if (!this.visible || !this.needsUpdate) return;
+
+    this.clearOutlines();
+    for (let i = 0; i < this.clipPlanes.length; i++) {
+      const positions = [];
+      for (const polyline of this.computePolylines(i, intersection)) {
+        const points = polyline.points;
+        const n = polyline.closed ? points.length : points.length - 1;
+        for (let j = 0; j < n; j++) {
+          positions.push(
+            ...points[j].toArray(),
+            ...points[(j + 1) % points.length].toArray(),
+          );
+        }
+      }
+      if (positions.length == 0) continue;
+
+      const geometry = new LineSegmentsGeometry();
+      geometry.setPositions(positions);
+      const lines = new LineSegments2(geometry, this.material);
+      lines.renderOrder = 999;
+      this.add(lines);
+    }
+    this.needsUpdate = false;
+  }
+
+  clearOutlines() {
+    for (const child of this.children) {
+      child.geometry.dispose();
+    }
+    this.clear();
+  }
+
+  /**
+   * Get the section of a clipping plane as 2D polylines. The plane is seen from the clipped side,
+   * u is the horizontal and v the vertical axis of the 2D coordinate system.
+   * @param {number} index - index of the clipping plane
+   * @param {boolean} intersection - whether intersection clipping is used
+   * @returns {{normal: number[], origin: number[], u: number[], v: number[], polylines: {id: string, closed: boolean, points: number[][]}[]}}
+   */
+  getSection(index, intersection) {
+    const plane = this.clipPlanes[index];
+    const normal = plane.normal.clone().normalize();
+    const origin = plane.projectPoint(this.center, new THREE.Vector3());
+    const up =
+      Math.abs(normal.z) < 0.9
+        ? new THREE.Vector3(0, 0, 1)
+        : new THREE.Vector3(0, 1, 0);
+    const v = up.sub(normal.clone().multiplyScalar(up.dot(normal))).normalize();
+    const u = new THREE.Vector3().crossVectors(normal, v);
+
+    const polylines = this.computePolylines(index, intersection).map((p) => ({
+      id: p.id,
+      closed: p.closed,
+      points: p.points.map((point) => {
+        const d = point.clone().sub(origin);
+        return [d.dot(u), d.dot(v)];
+      }),
+    }));
+    return {
+      normal: normal.toArray(),
+      origin: origin.toArray(),
+      u: u.toArray(),
+      v: v.toArray(),
+      polylines: polylines,
+    };
+  }
+
+  dispose() {
+    this.clearOutlines();
+    this.material.dispose();
+    this.nestedGroup = null;
+    this.clipPlanes = null;
+  }
+}
+
+function escapeXml(s) {
+  return s
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Convert a section to an SVG document, one group per solid
+ * @param {object} section - the section as returned by SectionOutlines.getSection
+ * @returns {string}
+ */
+function sectionToSVG(section) {
+  const box = new THREE.Box2();
+  for (const polyline of section.polylines) {
+    for (const [x, y] of polyline.points) {
+      box.expandByPoint(new THREE.Vector2(x, y));
+    }
+  }
+  if (box.isEmpty()) box.set(new THREE.Vector2(), new THREE.Vector2());
+  const size = box.getSize(new THREE.Vector2());
+  const margin = 0.05 * Math.max(size.x, size.y, 1e-3);
+  box.expandByScalar(margin);
+  box.getSize(size);
+
+  const f = (n) => Number(n.toFixed(6));
+  const stroke = "black";
+  const groups = new Map();
+  for (const polyline of section.polylines) {
+    const d =
+      polyline.points
+        .map(([x, y], i) => `${i == 0 ? "M" : "L"}${f(x)},${f(-y)}`)
+        .join(" ") + (polyline.closed ? " Z" : "");
+    if (!groups.has(polyline.id)) groups.set(polyline.id, []);
+    groups.get(polyline.id).push(`    <path d="${d}"/>`);
+  }
+
+  const lines = [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${f(box.min.x)} ${f(-box.max.y)} ${f(size.x)} ${f(size.y)}">`,
+    `  <g fill="none" stroke="${stroke}" stroke-width="1" vector-effect="non-scaling-stroke">`,
+  ];
+  for (const [id, paths] of groups) {
+    lines.push(`  <g id="${escapeXml(id)}">`, ...paths, "  </g>");
+  }
+  lines.push("  </g>", "</svg>", "");
+  return lines.join("\n");
+}
+
+/**
+ * Convert a section to a DXF (R12) document with 2D polylines, one layer per solid
+ * @param {object} section - the section as returned by SectionOutlines.getSection
+ * @returns {string}
+ */
+function sectionToDXF(section) {
+  const layer = (id) =>
+    id.replace(/^\//, "").replace(/[<>/\\":;?*|=,`\s]/g, "_") || "0";
+  const lines = ["0", "SECTION", "2", "ENTITIES"];
+  for (const polyline of section.polylines) {
+    const l = layer(polyline.id);
+    lines.push("0", "POLYLINE", "8", l, "66", "1", "70");
+    lines.push(polyline.closed ? "1" : "0");
+    lines.push("10", "0.0", "20", "0.0", "30", "0.0");
+    for (const [x, y] of polyline.points) {
+      lines.push("0", "VERTEX", "8", l, "10", `${x}`, "20", `${y}`);
+      lines.push("30", "0.0");
+    }
+    lines.push("0", "SEQEND", "8", l);
+  }
+  lines.push("0", "ENDSEC", "0", "EOF", "");
+  return lines.join("\n");
+}
+
+export { SectionOutlines, sectionToSVG, sectionToDXF };
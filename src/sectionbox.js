@@ -0,0 +1,245 @@
+import * as THREE from "three";
+
+const handleGeometry = new THREE.SphereGeometry(1, 16, 12);
+
+const handleMaterial = new THREE.MeshBasicMaterial({
+  opacity: 0.8,
+  transparent: true,
+  depthTest: false,
+  depthWrite: false,
+  toneMapped: false,
+});
+
+/**
+ * Extents of a box along three orthonormal axes, initialized from a bounding box
+ * @param {THREE.Box3} bbox - the bounding box
+ * @param {THREE.Vector3[]} axes - three orthonormal axes
+ * @param {number} padding - distance added on each side
+ * @returns {{min: number[], max: number[]}}
+ */
+function boxExtents(bbox, axes, padding) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  const corner = new THREE.Vector3();
+  for (let i = 0; i < 8; i++) {
+    corner.set(
+      i & 1 ? bbox.max.x : bbox.min.x,
+      i & 2 ? bbox.max.y : bbox.min.y,
+      i & 4 ? bbox.max.z : bbox.min.z,
+    );
+    axes.forEach((axis, k) => {
+      const d = corner.dot(axis);
+      min[k] = Math.min(min[k], d - padding);
+      max[k] = Math.max(max[k], d + padding);
+    });
+  }
+  return { min: min, max: max };
+}
+
+class SectionBox extends THREE.Group {
+  /**
+   * Drag handles on the six faces of the section box. Handles 0, 1, 2 move the
+   * maximum faces along the axes, handles 3, 4, 5 the minimum faces.
+   * @param {import ("./display.js").Display} display - the display instance
+   * @param {number} size - size of the scene, scales the handles
+   */
+  constructor(display, size) {
+    super();
+    this.name = "SectionBox";
+    this.display = display;
+    this.handleSize = size / 100;
+
+    this.axes = [
+      new THREE.Vector3(1, 0, 0),
+      new THREE.Vector3(0, 1, 0),
+      new THREE.Vector3(0, 0, 1),
+    ];
+    this.min = [0, 0, 0];
+    this.max = [0, 0, 0];
+
+    this.enabled = false;
+    this.active = false;
+    this.dragged = null;
+    this.raycaster = new THREE.Raycaster();
+
+    for (let i = 0; i < 6; i++) {
+      const handle = new THREE.Mesh(handleGeometry, handleMaterial.clone());
+      handle.name = `SectionBoxHandle-${i}`;
+      handle.index = i;
+      handle.renderOrder = 999;
+      handle.scale.setScalar(this.handleSize);
+      this.add(handle);
+    }
+    this.visible = false;
+  }
+
+  /**
+   * Set axes and extents of the box and move the handles to the face centers
+   * @param {THREE.Vector3[]} axes - three orthonormal axes
+   * @param {number[]} min - minimum of the box along each axis
+   * @param {number[]} max - maximum of the box along each axis
+   */
+  setBox(axes, min, max) {
+    this.axes = axes.map((axis) => axis.clone());
+    this.min = [...min];
+    this.max = [...max];
+    for (const handle of this.children) {
+      const k = handle.index % 3;
+      handle.position.set(0, 0, 0);
+      for (let j = 0; j < 3; j++) {
+        const t =
+          j !== k
+            ? (this.min[j] + this.max[j]) / 2
+            : handle.index < 3
+              ? this.max[j]
+              : this.min[j];
+        handle.position.addScaledVector(this.axes[j], t);
+      }
+    }
+  }
+
+  /**
+   * @param {number[]} colors - color of each handle as hex value
+   */
+  setColors(colors) {
+    colors.forEach((color, i) => this.children[i].material.color.set(color));
+  }
+
+  /**
+   * Enable or disable the section box
+   * @param {boolean} flag
+   */
+  setEnabled(flag) {
+    this.enabled = flag;
+    this._updateVisibility();
+  }
+
+  /**
+   * Set whether the clipping is active, i.e. whether the clipping tab is selected
+   * @param {boolean} flag
+   */
+  setActive(flag) {
+    this.active = flag;
+    this._updateVisibility();
+  }
+
+  _updateVisibility() {
+    const visible = this.enabled && this.active;
+    if (visible === this.visible) return;
+    const cadView = this.display.cadView;
+    if (visible) {
+      cadView.addEventListener("mousedown", this.onMouseDown, true);
+    } else {
+      this._stop();
+      cadView.removeEventListener("mousedown", this.onMouseDown, true);
+    }
+    this.visible = visible;
+  }
+
+  /**
+   * Mouse position relative to the canvas
+   * @param {MouseEvent} e
+   * @returns {THREE.Vector2}
+   */
+  _position(e) {
+    const rect =
+      this.display.viewer.renderer.domElement.getBoundingClientRect();
+    return new THREE.Vector2(e.clientX - rect.left, e.clientY - rect.top);
+  }
+
+  /**
+   * Project a world point to pixels of the canvas
+   * @param {THREE.Vector3} p
+   * @returns {THREE.Vector2}
+   */
+  _toScreen(p) {
+    const viewer = this.display.viewer;
+    const ndc = p.clone().project(viewer.camera.getCamera());
+    return new THREE.Vector2(
+      ((ndc.x + 1) / 2) * viewer.cadWidth,
+      ((1 - ndc.y) / 2) * viewer.height,
+    );
+  }
+
+  /**
+   * Start dragging a handle, the camera controls and the raycaster must not get the events
+   * @param {MouseEvent} e
+   */
+  onMouseDown = (e) => {
+    if (e.button != THREE.MOUSE.LEFT) return;
+    const viewer = this.display.viewer;
+    const p = this._position(e);
+    this.raycaster.setFromCamera(
+      new THREE.Vector2(
+        (p.x / viewer.cadWidth) * 2 - 1,
+        -(p.y / viewer.height) * 2 + 1,
+      ),
+      viewer.camera.getCamera(),
+    );
+    const hits = this.raycaster.intersectObjects(this.children, false);
+    if (hits.length === 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    const handle = hits[0].object;
+    const k = handle.index % 3;
+    // screen direction of one handle size along the axis
+    const screenStep = this._toScreen(
+      handle.position.clone().addScaledVector(this.axes[k], this.handleSize),
+    ).sub(this._toScreen(handle.position));
+    if (screenStep.lengthSq() < 1e-6) return;
+
+    this.dragged = {
+      handle: handle,
+      start: p,
+      value: handle.index < 3 ? this.max[k] : this.min[k],
+      screenStep: screenStep,
+    };
+    handle.scale.setScalar(1.5 * this.handleSize);
+    viewer.update(viewer.updateMarker);
+    window.addEventListener("mousemove", this.onMouseMove, true);
+    window.addEventListener("mouseup", this.onMouseUp, true);
+  };
+
+  onMouseMove = (e) => {
+    e.stopPropagation();
+    const { handle, start, value, screenStep } = this.dragged;
+    const k = handle.index % 3;
+    const delta = this._position(e).sub(start);
+    const t =
+      value + (delta.dot(screenStep) / screenStep.lengthSq()) * this.handleSize;
+    const min = [...this.min];
+    const max = [...this.max];
+    if (handle.index < 3) {
+      max[k] = Math.max(t, min[k] + this.handleSize);
+    } else {
+      min[k] = Math.min(t, max[k] - this.handleSize);
+    }
+    this.display.viewer.setClipSectionBoxExtents(min, max);
+  };
+
+  onMouseUp = (e) => {
+    e.stopPropagation();
+    this._stop();
+    this.display.viewer.update(this.display.viewer.updateMarker);
+  };
+
+  _stop() {
+    window.removeEventListener("mousemove", this.onMouseMove, true);
+    window.removeEventListener("mouseup", this.onMouseUp, true);
+    if (this.dragged != null) {
+      this.dragged.handle.scale.setScalar(this.handleSize);
+      this.dragged = null;
+    }
+  }
+
+  dispose() {
+    this.setEnabled(false);
+    for (const handle of this.children) {
+      handle.material.dispose();
+    }
+    this.display = null;
+  }
+}
+
+export { SectionBox, boxExtents };
@@ -0,0 +1,412 @@
+/**
+ * Preparation of Shapes objects for rendering: conversion of the shape arrays into typed arrays
+ * and decomposition of the parts into faces, edges and vertices for the exploded view.
+ * The function is also the source code of the web worker, hence it must not reference anything
+ * outside of its own body.
+ * @returns {{prepareShapes: function, transferables: function}}
+ */
+function shapesPreparation() {
+  const identity = () => [
+    [0, 0, 0],
+    [0, 0, 0, 1],
+  ];
+
+  function flatten(arr, depth) {
+    return Array.isArray(arr) ? arr.flat(depth) : arr;
+  }
+
+  function convertArrays(shape) {
+    const convert = (key, ArrayType, depth) => {
+      if (shape[key] != null && !(shape[key] instanceof ArrayType)) {
+        shape[key] = new ArrayType(flatten(shape[key], depth));
+      }
+    };
+    convert("triangles", Uint32Array, 0);
+    convert("edges", Float32Array, 3);
+    convert("vertices", Float32Array, 0);
+    convert("normals", Float32Array, 2);
+    convert("obj_vertices", Float32Array, 0);
+    convert("face_types", Uint32Array, 0);
+    convert("edge_types", Uint32Array, 0);
+    convert("triangles_per_face", Uint32Array, 0);
+    convert("segments_per_edge", Uint32Array, 0);
+  }
+
+  function isEmpty(shape) {
+    return ["triangles", "edges", "obj_vertices"].every(
+      (key) => shape[key] == null || shape[key].length === 0,
+    );
+  }
+
+  function decompose(part, edgeColor) {
+    const shape = part.shape;
+    var j, current, new_part, new_shape;
+
+    part.parts = [];
+
+    if (part.type == "shapes") {
+      // decompose faces
+      new_part = {
+        parts: [],
+        loc: identity(),
+        name: "faces",
+        id: `${part.id}/faces`,
+      };
+      var triangles;
+      const vertices = shape.vertices;
+      const normals = shape.normals;
+      const num = shape.triangles_per_face
+        ? shape.triangles_per_face.length
+        : shape.triangles.length;
+      current = 0;
+      for (j = 0; j < num; j++) {
+        if (shape.triangles_per_face) {
+          triangles = shape.triangles.subarray(
+            current,
+            current + 3 * shape.triangles_per_face[j],
+          );
+          current += 3 * shape.triangles_per_face[j];
+        } else {
+          triangles = shape.triangles[j];
+        }
+
+        var vecs = new Float32Array(triangles.length * 3);
+        var norms = new Float32Array(triangles.length * 3);
+        var indices = new Uint32Array(triangles.length);
+        for (var i = 0; i < triangles.length; i++) {
+          var s = triangles[i];
+          vecs[3 * i] = vertices[3 * s];
+          vecs[3 * i + 1] = vertices[3 * s + 1];
+          vecs[3 * i + 2] = vertices[3 * s + 2];
+          norms[3 * i] = normals[3 * s];
+          norms[3 * i + 1] = normals[3 * s + 1];
+          norms[3 * i + 2] = normals[3 * s + 2];
+          indices[i] = i;
+        }
+        new_shape = {
+          loc: identity(),
+          name: `faces_${j}`,
+          id: `${part.id}/faces/faces_${j}`,
+          type: "shapes",
+          color: part.color,
+          alpha: part.alpha,
+          renderback: true,
+          state: [1, 3],
+          accuracy: part.accuracy,
+          bb: {},
+          geomtype: shape.face_types[j],
+          subtype: part.subtype,
+          exploded: true,
+          shape: {
+            triangles: indices,
+            vertices: vecs,
+            normals: norms,
+            edges: [],
+          },
+        };
+        if (part.texture) {
+          new_shape.texture = part.texture;
+        }
+        new_part.parts.push(new_shape);
+      }
+
+      part.parts.push(new_part);
+    }
+
+    if (part.type == "shapes" || part.type == "edges") {
+      // decompose edges
+      new_part = {
+        parts: [],
+        loc: identity(),
+        name: "edges",
+        id: `${part.id}/edges`,
+      };
+      const multiColor =
+        Array.isArray(part.color) && part.color.length == shape.edges.length;
+      var color;
+
+      const num = shape.segments_per_edge
+        ? shape.segments_per_edge.length
+        : shape.edges.length;
+      current = 0;
+      var edge;
+      for (j = 0; j < num; j++) {
+        if (shape.segments_per_edge) {
+          edge = shape.edges.subarray(
+            current,
+            current + 6 * shape.segments_per_edge[j],
+          );
+          current += 6 * shape.segments_per_edge[j];
+        } else {
+          edge = shape.edges[j];
+        }
+        color = multiColor ? part.color[j] : part.color;
+        new_shape = {
+          loc: identity(),
+          name: `edges_${j}`,
+          id: `${part.id}/edges/edges_${j}`,
+          type: "edges",
+          color: part.type == "shapes" ? edgeColor : color,
+          state: [3, 1],
+          width: part.type == "shapes" ? 1 : part.width,
+          accuracy: part.accuracy,
+          bb: {},
+          geomtype: shape.edge_types[j],
+          shape: { edges: edge },
+        };
+        new_part.parts.push(new_shape);
+      }
+      if (new_part.parts.length > 0) {
+        part.parts.push(new_part);
+      }
+    }
+
+    // decompose vertices
+    new_part = {
+      parts: [],
+      loc: identity(),
+      name: "vertices",
+      id: `${part.id}/vertices`,
+    };
+    const vertices = shape.obj_vertices;
+    for (j = 0; j < vertices.length / 3; j++) {
+      new_shape = {
+        loc: identity(),
+        name: `vertices_${j}`,
+        id: `${part.id}/vertices/vertices_${j}`,
+        type: "vertices",
+        color:
+          part.type == "shapes" || part.type == "edges"
+            ? edgeColor
+            : part.color,
+        state: [3, 1],
+        size: part.type == "shapes" || part.type == "edges" ? 4 : part.size,
+        bb: {},
+        shape: {
+          obj_vertices: [
+            vertices[3 * j],
+            vertices[3 * j + 1],
+            vertices[3 * j + 2],
+          ],
+        },
+      };
+      new_part.parts.push(new_shape);
+    }
+    if (new_part.parts.length > 0) {
+      part.parts.push(new_part);
+    }
+    delete part.shape;
+    delete part.color;
+    delete part.alpha;
+    delete part.accuracy;
+    delete part.renderBack;
+
+    return part;
+  }
+
+  /**
+   * Convert the shape arrays into typed arrays and, for the exploded view, decompose the parts.
+   * Only protocol versions 2 and 3 get prepared, the Shapes object gets changed in place.
+   * @param {object} shapes - the Shapes object
+   * @param {boolean} exploded - decompose the parts into faces, edges and vertices
+   * @param {string} edgeColor - color of the decomposed edges and vertices of solids
+   * @returns {object} the prepared Shapes object
+   */
+  function prepareShapes(shapes, exploded, edgeColor) {
+    if (shapes.version == 2 || shapes.version == 3) {
+      shapes.parts = shapes.parts.map((part) => {
+        if (part.shape != null) {
+          convertArrays(part.shape);
+        }
+        if (part.parts != null) {
+          return prepareShapes(part, exploded, edgeColor);
+        }
+        // parts without geometry (e.g. placeholders of streamed parts) stay undecomposed
+        return exploded && !isEmpty(part.shape)
+          ? decompose(part, edgeColor)
+          : part;
+      });
+    }
+    return shapes;
+  }
+
+  /**
+   * The buffers of all typed arrays of a Shapes object
+   * @param {object} shapes - the Shapes object
+   * @returns {ArrayBuffer[]} the buffers without duplicates
+   */
+  function transferables(shapes) {
+    const buffers = new Set();
+    const collect = (part) => {
+      if (part.parts != null) {
+        part.parts.forEach(collect);
+      }
+      if (part.shape != null) {
+        for (const value of Object.values(part.shape)) {
+          if (ArrayBuffer.isView(value)) {
+            buffers.add(value.buffer);
+          }
+        }
+      }
+    };
+    collect(shapes);
+    return Array.from(buffers);
+  }
+
+  return { prepareShapes: prepareShapes, transferables: transferables };
+}
+
+const { prepareShapes } = shapesPreparation();
+
+const workerSource = `
+const { prepareShapes, transferables } = (${shapesPreparation.toString()})();
+self.onmessage = (event) => {
+  const { id, shapes, exploded, edgeColor } = event.data;
+  try {
+    const result = prepareShapes(shapes, exploded, edgeColor);
+    self.postMessage({ id: id, shapes: result }, transferables(result));
+  } catch (error) {
+    self.postMessage({ id: id, error: error.message });
+  }
+};
+`;
+
+/**
+ * Prepares Shapes objects in a web worker. Without web worker support (or if the worker
+ * cannot be started, e.g. due to a content security policy) the Shapes objects get
+ * prepared on the main thread.
+ */
+class ShapesWorker {
+  constructor() {
+    this.worker = null;
+    this.url = null;
+    this.failed = typeof Worker === "undefined";
+    this.requests = new Map();
+    this.nextId = 0;
+  }
+
+  /**
+   * Start the worker if needed
+   * @returns {boolean} whether the worker is running
+   */
+  _start() {
+    if (this.worker != null) return true;
+    if (this.failed) return false;
+    try {
+      this.url = URL.createObjectURL(
+        new Blob([workerSource], { type: "text/javascript" }),
+      );
+      this.worker = new Worker(this.url);
+    } catch (error) {
+      console.warn(
+        `three-cad-viewer: Web worker not available (${error.message})`,
+      );
+      this._stop();
+      this.failed = true;
+      return false;
+    }
+    this.worker.addEventListener("message", this.handleMessage);
+    this.worker.addEventListener("error", this.handleError);
+    return true;
+  }
+
+  /**
+   * Terminate the worker
+   */
+  _stop() {
+    if (this.worker != null) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    if (this.url != null) {
+      URL.revokeObjectURL(this.url);
+      this.url = null;
+    }
+  }
+
+  /**
+   * Prepare shapes on the main thread
+   * @param {object} request - {shapes, exploded, edgeColor}
+   * @returns {object} the prepared copy of the shapes
+   */
+  _prepareLocally(request) {
+    return prepareShapes(
+      structuredClone(request.shapes),
+      request.exploded,
+      request.edgeColor,
+    );
+  }
+
+  handleMessage = (event) => {
+    const { id, shapes, error } = event.data;
+    const request = this.requests.get(id);
+    if (request == null) return;
+    this.requests.delete(id);
+    if (error != null) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(shapes);
+    }
+  };
+
+  handleError = (event) => {
+    // the worker could not be loaded, continue on the main thread
+    console.warn(
+      `three-cad-viewer: Web worker failed (${event.message}), using main thread`,
+    );
+    event.preventDefault();
+    this._stop();
+    this.failed = true;
+    const requests = Array.from(this.requests.values());
+    this.requests.clear();
+    for (const request of requests) {
+      try {
+        request.resolve(this._prepareLocally(request));
+      } catch (error) {
+        request.reject(error);
+      }
+    }
+  };
+
+  /**
+   * Convert the shape arrays into typed arrays and, for the exploded view, decompose the parts.
+   * The given Shapes object is not changed.
+   * @param {object} shapes - the Shapes object
+   * @param {boolean} exploded - decompose the parts into faces, edges and vertices
+   * @param {string} edgeColor - color of the decomposed edges and vertices of solids
+   * @returns {Promise<object>} the prepared copy of the Shapes object
+   */
+  prepare(shapes, exploded, edgeColor) {
+    const request = {
+      shapes: shapes,
+      exploded: exploded,
+      edgeColor: edgeColor,
+    };
+    if (!this._start()) {
+      return Promise.resolve(request).then((r) => this._prepareLocally(r));
+    }
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      this.requests.set(id, { ...request, resolve: resolve, reject: reject });
+      this.worker.postMessage({
+        id: id,
+        shapes: shapes,
+        exploded: exploded,
+        edgeColor: edgeColor,
+      });
+    });
+  }
+
+  /**
+   * Terminate the worker and reject the pending requests
+   */
+  dispose() {
+    this._stop();
+    for (const request of this.requests.values()) {
+      request.reject(new Error("Shapes worker disposed"));
+    }
+    this.requests.clear();
+  }
+}
+
+export { ShapesWorker, prepareShapes };
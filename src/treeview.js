@@ -10,6 +10,31 @@ const States = {
 
 var Counter = 0;
 
+/**
+ * Combined state of a node from the states of its children.
+ *
+ * @param {boolean[][]} states - Whether a child with state (index) exists for each icon.
+ * @returns {number[]} - The state for each icon.
+ */
+function calcState(states) {
+  var result = [-1, -1];
+  for (let s of [0, 1]) {
+    if (
+      states[States.mixed][s] ||
+      (states[States.selected][s] && states[States.unselected][s])
+    ) {
+      result[s] = States.mixed;
+    } else if (states[States.selected][s]) {
+      result[s] = States.selected;
+    } else if (states[States.unselected][s]) {
+      result[s] = States.unselected;
+    } else if (states[States.disabled][s]) {
+      result[s] = States.disabled;
+    }
+  }
+  return result;
+}
+
 /**
  * A tree viewer component with lazy loading of large trees.
  */
@@ -30,6 +55,8 @@ class TreeView {
     updateHandler,
     notificationHandler,
     colorGetter,
+    clipExcludedGetter,
+    clipExclusionHandler,
     theme,
     linkIcons,
     debug = false,
@@ -62,8 +89,11 @@ class TreeView {
     this.updateHandler = updateHandler;
     this.notificationHandler = notificationHandler;
     this.colorGetter = colorGetter;
+    this.clipExcludedGetter = clipExcludedGetter;
+    this.clipExclusionHandler = clipExclusionHandler;
     this.theme = theme;
     this.linkIcons = linkIcons;
+    this.badges = {};
     this.debug = debug;
   }
 
@@ -92,83 +122,137 @@ class TreeView {
    * @returns {Object} - The root node of the tree structure.
    */
   buildTreeStructure(data) {
-    const build = (data, path, level) => {
-      var result = [-1, -1];
-      const calcState = (states) => {
-        for (let s of [0, 1]) {
-          if (
-            states[States.mixed][s] ||
-            (states[States.selected][s] && states[States.unselected][s])
-          ) {
-            result[s] = States.mixed;
-          } else if (states[States.selected][s]) {
-            result[s] = States.selected;
-          } else if (states[States.unselected][s]) {
-            result[s] = States.unselected;
-          } else if (states[States.disabled][s]) {
-            result[s] = States.disabled;
-          }
-        }
-        return result;
-      };
+    const root = this.buildNodes(data, null, 0)[0];
+    return root[Object.keys(root)[0]];
+  }
+
+  /**
+   * Builds the nodes for the children of a tree data object.
+   *
+   * @param {Object} data - The tree data, leaves are state arrays.
+   * @param {string|null} path - The path of the parent node, null for the root.
+   * @param {number} level - The level of the nodes.
+   * @returns {Array} - The nodes by name and their combined state.
+   */
+  buildNodes(data, path, level) {
+    const tree = {};
 
-      const tree = {};
+    if (this.maxLevel < level) {
+      this.maxLevel = level;
+    }
+
+    var trackStates = [
+      [false, false],
+      [false, false],
+      [false, false],
+      [false, false],
+    ];
 
-      if (this.maxLevel < level) {
-        this.maxLevel = level;
+    for (const key in data) {
+      var currentPath = "";
+
+      if (path == null) {
+        currentPath = key;
+      } else {
+        currentPath = `${path}/${key}`;
       }
+      let childStates;
+      const value = data[key];
+      if (Array.isArray(value)) {
+        childStates = value;
+        trackStates[value[0]][0] = true;
+        trackStates[value[1]][1] = true;
+        tree[key] = {
+          name: key,
+          state: childStates,
+          path: currentPath,
+          rendered: false,
+          level: level,
+        };
+      } else {
+        let children;
+        [children, childStates] = this.buildNodes(
+          value,
+          currentPath,
+          level + 1,
+        );
+        trackStates[childStates[0]][0] = true;
+        trackStates[childStates[1]][1] = true;
+        tree[key] = {
+          name: key,
+          state: childStates,
+          path: currentPath,
+          rendered: false,
+          level: level,
+          children,
+          expanded: false,
+        };
+      }
+    }
 
-      var trackStates = [
-        [false, false],
-        [false, false],
-        [false, false],
-        [false, false],
-      ];
+    return [tree, calcState(trackStates)];
+  }
 
-      for (const key in data) {
-        var currentPath = "";
+  /**
+   * Rebuilds the children of a node from the tree data, e.g. after parts were added,
+   * replaced or removed. Keeps the expanded nodes and updates the states of the ancestors.
+   *
+   * @param {string} path - The path of the node.
+   */
+  rebuildNode(path) {
+    const node = this.findNodeByPath(path);
+    if (node == null || node.children == null) {
+      console.error(`Group not found: ${path}`);
+      return;
+    }
+    const parts = path.split("/").filter(Boolean);
+    var data = this.tree;
+    for (const part of parts) {
+      data = data[part];
+    }
 
-        if (path == null) {
-          currentPath = key;
-        } else {
-          currentPath = `${path}/${key}`;
-        }
-        let childStates;
-        const value = data[key];
-        if (Array.isArray(value)) {
-          childStates = value;
-          trackStates[value[0]][0] = true;
-          trackStates[value[1]][1] = true;
-          tree[key] = {
-            name: key,
-            state: childStates,
-            path: currentPath,
-            rendered: false,
-            level: level,
-          };
-        } else {
-          let children;
-          [children, childStates] = build(value, currentPath, level + 1);
-          trackStates[childStates[0]][0] = true;
-          trackStates[childStates[1]][1] = true;
-          tree[key] = {
-            name: key,
-            state: childStates,
-            path: currentPath,
-            rendered: false,
-            level: level,
-            children,
-            expanded: false,
-          };
+    const expanded = new Set();
+    this.traverse(node, (n) => {
+      if (n.expanded && n !== node) expanded.add(n.path);
+    });
+    [node.children, node.state] = this.buildNodes(
+      data,
+      node.path,
+      node.level + 1,
+    );
+    this.traverse(node, (n) => {
+      if (expanded.has(n.path)) n.expanded = true;
+    });
+
+    let current = node;
+    while (current) {
+      if (current !== node) {
+        const trackStates = [
+          [false, false],
+          [false, false],
+          [false, false],
+          [false, false],
+        ];
+        for (const child of Object.values(current.children)) {
+          trackStates[child.state[0]][0] = true;
+          trackStates[child.state[1]][1] = true;
         }
+        current.state = calcState(trackStates);
       }
+      this.updateIconInDOM(current, 0);
+      this.updateIconInDOM(current, 1);
+      current = this.getParent(current);
+    }
 
-      const newState = calcState(trackStates);
-
-      return [tree, newState];
-    };
-    const root = build(data, null, 0)[0];
-    return root[Object.keys(root)[0]];
+    // the placeholders of the new children get created by update
+    const nodeElement = this.getDomNode(this.getNodePath(node));
+    if (nodeElement != null) {
+      const childrenContainer = nodeElement.querySelector(".tv-children");
+      if (childrenContainer != null) {
+        childrenContainer.innerHTML = "";
+      }
+    }
+    this.update();
   }
 
   /************************************************************************************
@@ -449,6 +533,17 @@ class TreeView {
       this.handleLabelClick(node, e);
     };
 
+    label.oncontextmenu = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.clipExclusionHandler(this.getNodePath(node));
+    };
+    label.classList.toggle(
+      "tv-node-label-clip-excluded",
+      this.clipExcludedGetter(this.getNodePath(node)),
+    );
+    this.renderBadge(label, this.getNodePath(node));
+
     nodeContent.appendChild(label);
 
     let childrenContainer = null;
@@ -461,6 +556,41 @@ class TreeView {
     return childrenContainer;
   }
 
+  /**
+   * Renders the badge of a node into its label.
+   *
+   * @param {HTMLElement} label - The label element of the node.
+   * @param {string} path - The path of the node.
+   */
+  renderBadge(label, path) {
+    const old = label.querySelector(".tv-badge");
+    if (old != null) {
+      label.removeChild(old);
+    }
+    const badge = this.badges[path];
+    if (badge != null) {
+      const span = document.createElement("span");
+      span.className = `tv-badge ${badge.className}`;
+      span.innerText = badge.text;
+      label.appendChild(span);
+    }
+  }
+
+  /**
+   * Sets the badges of the nodes, e.g. to mark changed parts.
+   *
+   * @param {Object} badges - The badges by node path, each with text and className.
+   */
+  setBadges(badges) {
+    this.badges = badges;
+    for (const nodeElement of this.container.querySelectorAll("[data-path]")) {
+      const label = nodeElement.querySelector(".tv-node-label");
+      if (label) {
+        this.renderBadge(label, nodeElement.dataset.path);
+      }
+    }
+  }
+
   /************************************************************************************
    *  DOM functions
    ************************************************************************************/
@@ -553,6 +683,21 @@ class TreeView {
     }
   }
 
+  /**
+   * Marks the labels of all rendered nodes that are excluded from clipping.
+   */
+  updateClipExcluded() {
+    for (const nodeElement of this.container.querySelectorAll("[data-path]")) {
+      const label = nodeElement.querySelector(".tv-node-label");
+      if (label) {
+        label.classList.toggle(
+          "tv-node-label-clip-excluded",
+          this.clipExcludedGetter(nodeElement.dataset.path),
+        );
+      }
+    }
+  }
+
   /************************************************************************************
    *  Tree handling functions
    ************************************************************************************/
@@ -14,7 +14,8 @@
  * @property {boolean} [axes0] - axes and grid centered at origin: {axes0: false}
  * @property {boolean} [ortho] - orthographic or perspective camera: {ortho: false}
  * @property {string} [grid] - visibility of grids as 3-dim array of boolean for grid xy, xz, yz: {"grid": [false, true, false]}
- * @property {string} [lastPick] - last object double clicked, see example below
+ * @property {string} [lastPick] - last object double clicked, see example below.
+ *   With surfacePicking, lastPick.surfacePoint holds {point, normal, faceId, snap, snapId, hitPoint}.
  * @example
  * {
  *   "camera_zoom": 0.5},
@@ -71,6 +72,7 @@
  * @property {Object} [lastPick] - last object double clicked
  * @property {Object} lastPick.new - new object info, see example below
  * @property {Object} lastPick.old - old object info, see example below
+ * @property {Object} [part_location] - location of a part changed by updateLocation, {part_location:{new:{path, loc}, old:{path, loc}}}
  * @example
  * {
  *   "camera_zoom": {
@@ -136,6 +138,10 @@
  * @property {number} [height = 600] - height of CAD canvas.
  * @property {number} [treeWidth = 250] - width of tree navigation.
  * @property {string} [theme = "light"] - theme ["light", "dark"]
+ * @property {number} [measurementTimeout = 5000] - time in ms the measure tools wait for a backend response.
+ * @property {boolean} [surfacePicking = false] - add the picked surface point (snapped to vertices, edge midpoints and circle centers) to lastPick.
+ * @property {number} [snapTolerance = 10] - snap tolerance of surface picking in pixels.
+ * @property {boolean} [dropFiles = false] - load Shapes (.json or binary .tcvb) and mesh files (glTF/GLB, STL, OBJ with MTL, 3MF) dropped onto the cad view.
  * @example
  * options = {
  *   "theme": "light",
@@ -173,6 +179,9 @@
  * @property {boolean} [blackEdges = false] - show edges in black and not in edgeColor.
  * @property {boolean} [clipIntersection = false] - use intersection clipping
  * @property {boolean} [clipPlaneHelpers = false] - show clipping planes
+ * @property {boolean} [clipSectionOutlines = false] - show the outlines of the sections of solids with the clipping planes
+ * @property {boolean} [clipHatch = false] - show the clipping caps with a hatch pattern
+ * @property {object} [clipHatchStyle = null] - hatch style {angle: degrees, spacing: world units, width: pixels}
  * @property {number[][]} [clipNormal = [[-1,0,0], [0,-1,0], [0,0,-1]] - normal directions for clipping
  * @property {number} [ticks = 10] - hint for the number of grid ticks.
  * @property {number} [rotateSpeed = 1.0] - rotation speed.
@@ -243,6 +252,7 @@
  * @property {Vector3[]} obj_vertices - flattened list of 3-dim vertices of the CAD object.
  * @property {number[]} edge_types - OCP types of the edges.
  * @property {number[]} face_types - OCP types of the faces.
+ * @property {number[]} [triangles_per_face] - number of triangles per face, used to get the face id of a picked surface point.
  * @example
  * shape: {
  *    vertices: [
@@ -286,6 +296,8 @@
 
 /**
  * Hierachical/groupd objects of type Shape.
+ * Viewer.render converts the shape arrays and creates the THREE objects synchronously on the main thread,
+ * large Shapes objects should be rendered with Viewer.renderAsync to keep the page responsive.
  * @typedef {Object} Shapes
  * @property {number} version - protocol version.
  * @property {string} name - group name.
@@ -300,6 +312,7 @@
  * @property {number} [alpha] - object alpha transparency between 0 and 1, if "shape" != null.
  * @property {boolean} [renderback] - whether to render the back of the face or not, if "shape" != null.
  * @property {Texture} [texture] - The encoded png file (only works for faces)
+ * @property {number} [accuracy] - tessellation accuracy, used to qualify measurements calculated in the viewer, if "shape" != null.
  * @property {map} [bb] - bounding box as map with xmin, xmax, ymin, ymax, zmin, zmax, if "shape" != null.
  * @example
  * shapes = {
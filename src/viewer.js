@@ -8,23 +8,40 @@ import { OrientationMarker } from "./orientation.js";
 import { TreeView } from "./treeview.js";
 import { Timer } from "./timer.js";
 import { Clipping } from "./clipping.js";
-import { Animation } from "./animation.js";
-import { Info } from "./info.js";
+import { boxExtents } from "./sectionbox.js";
+import { sectionToSVG, sectionToDXF } from "./section.js";
+import { Animation, ValueTarget } from "./animation.js";
 import {
-  clone,
-  isEqual,
-  KeyMapper,
-  scaleLight,
-  flatten,
-  deepDispose,
-} from "./utils.js";
+  exportGLTF,
+  partMeshes,
+  disposePartMeshes,
+  exportSTL,
+  exportPLY,
+  exportOBJ,
+} from "./export.js";
+import { importModel, formatFromName } from "./import.js";
+import { diffShapes, leafParts } from "./diff.js";
+import { decodeShapes, isBinaryShapes } from "./binary.js";
+import { ShapesWorker, prepareShapes } from "./shapesworker.js";
+import { Info } from "./info.js";
+import { clone, isEqual, KeyMapper, scaleLight, deepDispose } from "./utils.js";
 import { Controls } from "./controls.js";
 import { Camera } from "./camera.js";
 import { BoundingBox, BoxHelper } from "./bbox.js";
 import { Tools } from "./cad_tools/tools.js";
+import { pickSurfacePoint, planarFace } from "./cad_tools/snap.js";
 import { version } from "./_version.js";
 import { PickedObject, Raycaster, TopoFilter } from "./raycast.js";
 
+// colors and tree badges of the diff kinds
+const diffColors = {
+  added: 0x2ca02c,
+  removed: 0xd62728,
+  changed: 0xff7f0e,
+  moved: 0x1f77b4,
+};
+const diffLetters = { added: "A", changed: "C", moved: "M" };
+
 class Viewer {
   /**
    * Create Viewer.
@@ -67,7 +84,11 @@ class Viewer {
     this.controls = null;
     this.orientationMarker = null;
     this.treeview = null;
-    this.cadTools = new Tools(this, options.measurementDebug);
+    this.cadTools = new Tools(
+      this,
+      options.measurementDebug,
+      this.measurementTimeout,
+    );
     this.newTreeBehavior = options.newTreeBehavior;
 
     this.ready = false;
@@ -80,6 +101,25 @@ class Viewer {
       [0, -1, 0],
       [0, 0, -1],
     ];
+    this.clipSectionBox = false;
+    this.savedClipPlanes = null;
+    this.savedClipIntersection = false;
+    this.sectionBoxUpdate = false;
+    this.clipPlanePick = null;
+    this.clipSweep = null;
+    this.sectionAnimationTime = null; // animation time of the section outlines
+    this.diff = null;
+    this.diffPreviousShapes = null;
+    this.diffGhosts = null;
+    this.diffGhost = false;
+    this.clipExcludedPaths = [];
+    this.shapesWorker = null;
+    this.shapesRevision = 0;
+    this.explodedShapes = null;
+    this.explodeRequest = null;
+    this.streamPending = null;
+    this.streamTotal = 0;
+    this.streamFrame = null;
 
     this.camera_distance = 0;
 
@@ -110,6 +150,7 @@ class Viewer {
     // Since we cannot directly pick a solid this is the solution
     this.lastObject = null;
     this.lastSelection = null;
+    this.lastSurfacePick = null;
     this.lastPosition = null;
     this.bboxNeedsUpdate = false;
 
@@ -154,6 +195,10 @@ class Viewer {
     this.measureTools = true;
     this.selectTool = true;
     this.measurementDebug = true;
+    this.measurementTimeout = 5000;
+    this.surfacePicking = false;
+    this.snapTolerance = 10;
+    this.dropFiles = false;
 
     for (var option in options) {
       if (this[option] == null) {
@@ -218,6 +263,8 @@ class Viewer {
     this.clipIntersection = false;
     this.clipPlaneHelpers = false;
     this.clipObjectColors = false;
+    this.clipSectionOutlines = false;
+    this.clipHatch = false;
     this.clipNormal0 = [-1, 0, 0];
     this.clipNormal1 = [0, -1, 0];
     this.clipNormal2 = [0, 0, -1];
@@ -272,6 +319,8 @@ class Viewer {
     console.log("- clipIntersection", this.clipIntersection);
     console.log("- clipPlaneHelpers", this.clipPlaneHelpers);
     console.log("- clipObjectColors", this.clipObjectColors);
+    console.log("- clipSectionOutlines", this.clipSectionOutlines);
+    console.log("- clipHatch", this.clipHatch);
     console.log("- clipNormal0", this.clipNormal0);
     console.log("- clipNormal1", this.clipNormal1);
     console.log("- clipNormal2", this.clipNormal2);
@@ -298,11 +347,11 @@ class Viewer {
   // - - - - - - - - - - - - - - - - - - - - - - - -
 
   /**
-   * Render tessellated shapes of a CAD object.
+   * Create the nested group for tessellated shapes of a CAD object, without rendering it.
    * @param {Shapes} shapes - The Shapes object representing the tessellated CAD object.
-   * @returns {THREE.Group} A nested THREE.Group object.
+   * @returns {NestedGroup} The nested group.
    */
-  _renderTessellatedShapes(shapes) {
+  _createNestedGroup(shapes) {
     const nestedGroup = new NestedGroup(
       shapes,
       this.cadWidth,
@@ -320,6 +369,16 @@ class Viewer {
         new THREE.Vector3(shapes.bb.xmax, shapes.bb.ymax, shapes.bb.zmax),
       );
     }
+    return nestedGroup;
+  }
+
+  /**
+   * Render tessellated shapes of a CAD object.
+   * @param {Shapes} shapes - The Shapes object representing the tessellated CAD object.
+   * @returns {NestedGroup} The rendered nested group.
+   */
+  _renderTessellatedShapes(shapes) {
+    const nestedGroup = this._createNestedGroup(shapes);
     nestedGroup.render();
     return nestedGroup;
   }
@@ -347,189 +406,12 @@ class Viewer {
   }
 
   /**
-   * Decompose a CAD object into faces, edges and vertices.
-   * @param {Shapes} shapes - The Shapes object.
-   * @returns {Shapes} A decomposed Shapes object.
+   * Decompose all parts of a Shapes object into faces, edges and vertices.
+   * @param {Shapes} shapes - The Shapes object, gets changed in place.
+   * @returns {Shapes} The decomposed Shapes object.
    */
-  _decompose(part) {
-    const shape = part.shape;
-    var j;
-
-    part.parts = [];
-
-    if (part.type == "shapes") {
-      // decompose faces
-      var new_part = {
-        parts: [],
-        loc: [
-          [0, 0, 0],
-          [0, 0, 0, 1],
-        ],
-        name: "faces",
-        id: `${part.id}/faces`,
-      };
-      var triangles;
-      const vertices = shape.vertices;
-      const normals = shape.normals;
-      const num = shape.triangles_per_face
-        ? shape.triangles_per_face.length
-        : shape.triangles.length;
-      var current = 0;
-      for (j = 0; j < num; j++) {
-        if (shape.triangles_per_face) {
-          triangles = shape.triangles.subarray(
-            current,
-            current + 3 * shape.triangles_per_face[j],
-          );
-          current += 3 * shape.triangles_per_face[j];
-        } else {
-          triangles = shape.triangles[j];
-        }
-
-        var vecs = new Float32Array(triangles.length * 3);
-        var norms = new Float32Array(triangles.length * 3);
-        for (var i = 0; i < triangles.length; i++) {
-          var s = triangles[i];
-          vecs[3 * i] = vertices[3 * s];
-          vecs[3 * i + 1] = vertices[3 * s + 1];
-          vecs[3 * i + 2] = vertices[3 * s + 2];
-          norms[3 * i] = normals[3 * s];
-          norms[3 * i + 1] = normals[3 * s + 1];
-          norms[3 * i + 2] = normals[3 * s + 2];
-        }
-        var new_shape = {
-          loc: [
-            [0, 0, 0],
-            [0, 0, 0, 1],
-          ],
-          name: `faces_${j}`,
-          id: `${part.id}/faces/faces_${j}`,
-          type: "shapes",
-          color: part.color,
-          alpha: part.alpha,
-          renderback: true,
-          state: [1, 3],
-          accuracy: part.accuracy,
-          bb: {},
-          geomtype: shape.face_types[j],
-          subtype: part.subtype,
-          exploded: true,
-          shape: {
-            triangles: [...Array(triangles.length).keys()],
-            vertices: vecs,
-            normals: norms,
-            edges: [],
-          },
-        };
-        if (part.texture) {
-          new_shape.texture = part.texture;
-        }
-        new_part.parts.push(new_shape);
-      }
-
-      part.parts.push(new_part);
-    }
-
-    if (part.type == "shapes" || part.type == "edges") {
-      // decompose edges
-      new_part = {
-        parts: [],
-        loc: [
-          [0, 0, 0],
-          [0, 0, 0, 1],
-        ],
-        name: "edges",
-        id: `${part.id}/edges`,
-      };
-      const multiColor =
-        Array.isArray(part.color) && part.color.length == shape.edges.length;
-      var color;
-
-      const num = shape.segments_per_edge
-        ? shape.segments_per_edge.length
-        : shape.edges.length;
-      current = 0;
-      var edge;
-      for (j = 0; j < num; j++) {
-        if (shape.segments_per_edge) {
-          edge = shape.edges.subarray(
-            current,
-            current + 6 * shape.segments_per_edge[j],
-          );
-          current += 6 * shape.segments_per_edge[j];
-        } else {
-          edge = shape.edges[j];
-        }
-        color = multiColor ? part.color[j] : part.color;
-        new_shape = {
-          loc: [
-            [0, 0, 0],
-            [0, 0, 0, 1],
-          ],
-          name: `edges_${j}`,
-          id: `${part.id}/edges/edges_${j}`,
-          type: "edges",
-          color: part.type == "shapes" ? this.edgeColor : color,
-          state: [3, 1],
-          width: part.type == "shapes" ? 1 : part.width,
-          bb: {},
-          geomtype: shape.edge_types[j],
-          shape: { edges: edge },
-        };
-        new_part.parts.push(new_shape);
-      }
-      if (new_part.parts.length > 0) {
-        part.parts.push(new_part);
-      }
-    }
-
-    // decompose vertices
-    new_part = {
-      parts: [],
-      loc: [
-        [0, 0, 0],
-        [0, 0, 0, 1],
-      ],
-      name: "vertices",
-      id: `${part.id}/vertices`,
-    };
-    var vertices = shape.obj_vertices;
-    for (j = 0; j < vertices.length / 3; j++) {
-      new_shape = {
-        loc: [
-          [0, 0, 0],
-          [0, 0, 0, 1],
-        ],
-        name: `vertices_${j}`,
-        id: `${part.id}/vertices/vertices_${j}`,
-        type: "vertices",
-        color:
-          part.type == "shapes" || part.type == "edges"
-            ? this.edgeColor
-            : part.color,
-        state: [3, 1],
-        size: part.type == "shapes" || part.type == "edges" ? 4 : part.size,
-        bb: {},
-        shape: {
-          obj_vertices: [
-            vertices[3 * j],
-            vertices[3 * j + 1],
-            vertices[3 * j + 2],
-          ],
-        },
-      };
-      new_part.parts.push(new_shape);
-    }
-    if (new_part.parts.length > 0) {
-      part.parts.push(new_part);
-    }
-    delete part.shape;
-    delete part.color;
-    delete part.alpha;
-    delete part.accuracy;
-    delete part.renderBack;
-
-    return part;
+  _explodeShapes(shapes) {
+    return prepareShapes(shapes, true, this.edgeColor);
   }
 
   /**
@@ -539,66 +421,17 @@ class Viewer {
    * @returns {THREE.Group} A nested THREE.Group object.
    */
   renderTessellatedShapes(exploded, shapes) {
-    const _convertArrays = (shape) => {
-      if (shape.triangles != null && !(shape.triangles instanceof Uint32Array))
-        shape.triangles = new Uint32Array(shape.triangles);
-      if (shape.edges != null && !(shape.edges instanceof Float32Array))
-        shape.edges = new Float32Array(flatten(shape.edges, 3));
-      if (shape.vertices != null && !(shape.vertices instanceof Float32Array))
-        shape.vertices = new Float32Array(shape.vertices);
-      if (shape.normals != null && !(shape.normals instanceof Float32Array))
-        shape.normals = new Float32Array(flatten(shape.normals, 2));
-      if (
-        shape.obj_vertices != null &&
-        !(shape.obj_vertices instanceof Float32Array)
-      )
-        shape.obj_vertices = new Float32Array(shape.obj_vertices);
-      if (
-        shape.face_types != null &&
-        !(shape.face_types instanceof Uint32Array)
-      )
-        shape.face_types = new Uint32Array(shape.face_types);
-      if (
-        shape.edge_types != null &&
-        !(shape.edge_types instanceof Uint32Array)
-      )
-        shape.edge_types = new Uint32Array(shape.edge_types);
-      if (
-        shape.triangles_per_face != null &&
-        !(shape.triangles_per_face instanceof Uint32Array)
-      )
-        shape.triangles_per_face = new Uint32Array(shape.triangles_per_face);
-      if (
-        shape.segments_per_edge != null &&
-        !(shape.segments_per_edge instanceof Uint32Array)
-      )
-        shape.segments_per_edge = new Uint32Array(shape.segments_per_edge);
-    };
-    const _render = (shapes) => {
-      var part;
-      if (shapes.version == 2 || shapes.version == 3) {
-        var i, tmp;
-        let parts = [];
-        for (i = 0; i < shapes.parts.length; i++) {
-          part = shapes.parts[i];
-          if (part.shape != null) {
-            _convertArrays(part.shape);
-          }
-          if (part.parts != null) {
-            tmp = _render(part);
-            parts.push(tmp);
-          } else {
-            parts.push(this._decompose(part));
-          }
-        }
-        shapes.parts = parts;
-      }
-      return shapes;
-    };
-
     var exploded_shapes;
-    if (exploded) {
-      exploded_shapes = _render(structuredClone(shapes));
+    if (
+      exploded &&
+      this.explodedShapes != null &&
+      this.explodedShapes.edgeColor === this.edgeColor
+    ) {
+      // decomposed in the background by renderAsync
+      exploded_shapes = this.explodedShapes.shapes;
+      this.explodedShapes = null;
+    } else if (exploded) {
+      exploded_shapes = this._explodeShapes(structuredClone(shapes));
     } else {
       exploded_shapes = structuredClone(shapes);
     }
@@ -636,8 +469,11 @@ class Viewer {
    * Initialize the animation.
    * @param {number} duration - overall duration of the anmiation.
    * @param {number} speed - speed of the animation.
+   * @param {string} [label="A"] - label of the animation control.
+   * @param {boolean} [repeat=true] - repeat (true) or ping pong (false) the animation.
+   * @param {THREE.Object3D} [root=null] - root of the animated objects, null for the CAD objects.
    */
-  initAnimation(duration, speed, label = "A", repeat = true) {
+  initAnimation(duration, speed, label = "A", repeat = true, root = null) {
     if (this.animation == null || this.animation.tracks.lenght == 0) {
       console.error("Animation does not have tracks");
       return;
@@ -649,7 +485,7 @@ class Viewer {
 
     this.display.showAnimationControl(true);
     this.clipAction = this.animation.animate(
-      this.nestedGroup.rootGroup,
+      root == null ? this.nestedGroup.rootGroup : root,
       duration,
       speed,
       repeat,
@@ -739,6 +575,16 @@ class Viewer {
         this.handleRaycast();
       }
 
+      if (this.clipping != null) {
+        // animated objects have moved since the outlines were computed
+        const time = this.animation ? this.animation.getTime() : null;
+        if (time !== this.sectionAnimationTime) {
+          this.sectionAnimationTime = time;
+          this.clipping.sectionOutlines.needsUpdate = true;
+        }
+        this.clipping.sectionOutlines.update(this.clipIntersection);
+      }
+
       this.renderer.setViewport(0, 0, this.cadWidth, this.height);
       this.renderer.render(this.scene, this.camera.getCamera());
       this.cadTools.update();
@@ -858,6 +704,10 @@ class Viewer {
     this.compactTree = null;
     deepDispose(this.cadTools);
     this.cadTools = null;
+    if (this.shapesWorker != null) {
+      this.shapesWorker.dispose();
+      this.shapesWorker = null;
+    }
     this.clipAction = null;
     this.treeview.dispose();
     this.treeview = null;
@@ -869,6 +719,7 @@ class Viewer {
     this.clipNormal2 = null;
     this.display = null;
     this.renderOptions = null;
+    this.viewerOptions = null;
     this.mouse = null;
     this.tree = null;
     this.info = null;
@@ -907,8 +758,9 @@ class Viewer {
       // clear render canvas
       this.renderer.clear();
 
-      // deselect measurement tools
+      // deselect measurement tools and remove annotations of the old shapes
       if (this.cadTools) {
+        this.cadTools.annotations.clear();
         this.cadTools.disable();
         if (this.display.currentButton != null) {
           this.display.toolbarButtons[this.display.currentButton].set(false);
@@ -916,6 +768,12 @@ class Viewer {
         }
       }
 
+      // the diff ghosts get disposed with the scene
+      this.diff = null;
+      this.diffPreviousShapes = null;
+      this.diffGhosts = null;
+      this.diffGhost = false;
+
       // dispose scene
       deepDispose(this.scene);
 
@@ -923,6 +781,7 @@ class Viewer {
 
       deepDispose(this.clipping);
       this.clipping = null;
+      this.clipExcludedPaths = [];
 
       // clear tree view
       this.display.clearCadTree();
@@ -944,6 +803,19 @@ class Viewer {
       this.shapes = null;
     }
 
+    // cancel pending asynchronous renderings and streams
+    this.shapesRevision++;
+    this.explodedShapes = null;
+    this.explodeRequest = null;
+    this.streamPending = null;
+    if (this.streamFrame != null) {
+      cancelAnimationFrame(this.streamFrame);
+      this.streamFrame = null;
+    }
+    if (this.display != null) {
+      this.display.showLoadProgress(null);
+    }
+
     if (this.expandedNestedGroup != null) {
       deepDispose(this.expandedNestedGroup);
       this.expandedNestedGroup = null;
@@ -971,7 +843,20 @@ class Viewer {
    */
   syncTreeStates = (compactTree, expandedTree, exploded, path) => {
     if (Array.isArray(compactTree)) {
-      if (exploded) {
+      if (Array.isArray(expandedTree)) {
+        // undecomposed part, e.g. the placeholder of a streamed part
+        const [source, target, nestedGroup] = exploded
+          ? [compactTree, expandedTree, this.expandedNestedGroup]
+          : [expandedTree, compactTree, this.compactNestedGroup];
+        const objectGroup = nestedGroup.groups[path];
+        objectGroup.setShapeVisible(source[0] == 1);
+        objectGroup.setEdgesVisible(source[1] == 1);
+        for (var j of [0, 1]) {
+          if (target[j] != 3) {
+            target[j] = source[j];
+          }
+        }
+      } else if (exploded) {
         for (var t in expandedTree) {
           for (var l in expandedTree[t]) {
             const id = `${path}/${t}/${l}`;
@@ -1043,6 +928,21 @@ class Viewer {
    * @param expanded - whether to render the exploded or compact version
    */
   toggleGroup(expanded) {
+    if (
+      expanded &&
+      this.expandedNestedGroup == null &&
+      (this.explodedShapes == null ||
+        this.explodedShapes.edgeColor !== this.edgeColor)
+    ) {
+      this._toggleExplodedAsync();
+      return;
+    }
+    if (this.explodeRequest != null) {
+      // a pending decomposition must not switch the view any more
+      this.explodeRequest = null;
+      this.display.showLoadProgress(null);
+    }
+
     var timer = new Timer("toggleGroup", this.timeit);
     var _config = () => {
       this.nestedGroup.setTransparent(this.transparent);
@@ -1091,6 +991,7 @@ class Viewer {
 
     this.tree = expanded ? this.expandedTree : this.compactTree;
     this.scene.children[0] = this.nestedGroup.rootGroup;
+    this._applyClipExclusions();
     timer.split("added shapes to scene");
 
     deepDispose(this.treeview);
@@ -1102,11 +1003,16 @@ class Viewer {
       this.update,
       this.notifyStates,
       this.getNodeColor,
+      this.getClipExcluded,
+      this.toggleClipExcluded,
       this.theme,
       this.newTreeBehavior,
       false,
     );
 
+    this.treeview.badges = this._diffBadges();
+    this._applyDiffColors(true);
+
     this.display.clearCadTree();
     const t = this.treeview.create();
     timer.split("created tree");
@@ -1117,6 +1023,44 @@ class Viewer {
     timer.stop();
   }
 
+  /**
+   * Prepare the exploded shapes in the shapes worker and switch to the exploded view afterwards.
+   * Until then the compact view stays and a progress indicator is shown.
+   */
+  _toggleExplodedAsync() {
+    const request = { revision: this.shapesRevision, stale: false };
+    const edgeColor = this.edgeColor;
+    this.explodeRequest = request;
+    this.display.showLoadProgress("Preparing exploded shapes");
+
+    this._prepareShapes(this.shapes, true)
+      .then((exploded) => {
+        if (request !== this.explodeRequest) return;
+        if (request.stale || request.revision !== this.shapesRevision) {
+          // parts changed in the meantime
+          this._toggleExplodedAsync();
+          return;
+        }
+        this.display.showLoadProgress(null);
+        this.explodedShapes = { shapes: exploded, edgeColor: edgeColor };
+        this.toggleGroup(true);
+        if (this.raycaster != null) {
+          this.raycaster.group = this.scene.children.slice(0, 1);
+        }
+        this.clearSelection();
+        this.toggleTab(true);
+        this.update(this.updateMarker, false);
+      })
+      .catch((error) => {
+        if (request !== this.explodeRequest) return;
+        this.explodeRequest = null;
+        this.display.showLoadProgress(null);
+        console.warn(
+          `three-cad-viewer: Cannot prepare exploded shapes (${error.message})`,
+        );
+      });
+  }
+
   /**
    * Toggle tab and ensure collaps is treated correctly
    * Needs to be called in sync with toggleGroup!
@@ -1150,14 +1094,22 @@ class Viewer {
   }
 
   /**
-   * Render a CAD object and build the navigation tree
-   * @param {Shapes} shapes - the Shapes object representing the tessellated CAD object
+   * Render a CAD object and build the navigation tree.
+   * The rendering is synchronous: the shape arrays get converted and the THREE objects get created
+   * on the main thread, which blocks the page for large models. Use renderAsync for those.
+   * Only the exploded shapes for the measure and select tools get prepared in the shapes worker.
+   * @param {Shapes | ArrayBuffer | ArrayBufferView} shapes - the Shapes object representing the tessellated CAD object
+   *        or a binary Shapes container (see binary.js)
    * @param {RenderOptions} renderOptions - the render options
    * @param {ViewerOptions} viewerOptions - the viewer options
    */
   render(shapes, renderOptions, viewerOptions) {
+    if (isBinaryShapes(shapes)) {
+      shapes = decodeShapes(shapes);
+    }
     this.shapes = shapes;
     this.renderOptions = renderOptions;
+    this.viewerOptions = viewerOptions;
     this.setViewerDefaults(viewerOptions);
 
     this.animation.cleanBackup();
@@ -1330,9 +1282,19 @@ class Viewer {
       this.nestedGroup,
       this.display,
       this.theme,
+      this.cadWidth,
+      this.height,
+    );
+    this.clipNormals = this.clipping.clipPlanes.map((plane) =>
+      plane.normal.toArray(),
     );
+    this.clipSectionBox = false;
+    this.savedClipPlanes = null;
+    this.cancelClipPlanePick(false);
+    this.clipSweep = null;
 
-    this.display.setSliderLimits(this.gridSize / 2, this.bbox.center());
+    this.display.setSliderLimits(this.gridSize / 2);
+    this._createClipPlaneRows();
 
     this.setClipNormal(0, viewerOptions.clipNormal0, null, true);
     this.setClipNormal(1, viewerOptions.clipNormal1, null, true);
@@ -1357,7 +1319,13 @@ class Viewer {
 
     this.setClipIntersection(viewerOptions.clipIntersection, true);
     this.setClipObjectColorCaps(viewerOptions.clipObjectColors, true);
+    this.setClipSectionOutlines(viewerOptions.clipSectionOutlines, true);
+    if (viewerOptions.clipHatchStyle != null) {
+      this.setClipHatchStyle(viewerOptions.clipHatchStyle, true);
+    }
+    this.setClipHatch(viewerOptions.clipHatch, true);
     this.setClipPlaneHelpersCheck(viewerOptions.clipPlaneHelpers, true);
+    this.display.setClipSectionBoxCheck(false);
 
     this.scene.add(this.clipping);
     this.nestedGroup.setClipPlanes(this.clipping.clipPlanes);
@@ -1441,166 +1409,1132 @@ class Viewer {
     timer.stop();
   }
 
-  // - - - - - - - - - - - - - - - - - - - - - - - -
-  // Event handlers
-  // - - - - - - - - - - - - - - - - - - - - - - - -
-
   /**
-   * Move the camera to a given locations
-   * @function
-   * @param {relative} [relative=false] - flag whether the position is a relative (e.g. [1,1,1] for iso) or absolute point.
-   * @param {number[]} position - the camera position as 3 dim array [x,y,z]
-   * @param {number[]} [quaternion=null] - the camera rotation expressed by a quaternion array [x,y,z,w].
-   * @param {number} [zoom=null] - zoom value.
-   * @param {boolean} [notify=true] - whether to send notification or not.
+   * Prepare shapes in the shapes worker (see shapesworker.js)
+   * @param {Shapes} shapes - the Shapes object, stays unchanged
+   * @param {boolean} exploded - decompose the parts into faces, edges and vertices
+   * @returns {Promise<Shapes>} the prepared copy of the shapes
    */
-  setCamera = (
-    relative,
-    position,
-    quaternion = null,
-    zoom = null,
-    notify = true,
-  ) => {
-    this.camera.setupCamera(
-      relative,
-      new THREE.Vector3(...position),
-      quaternion != null ? new THREE.Quaternion(...quaternion) : null,
-      zoom,
-      notify,
-    );
-    this.update(true, notify);
-  };
+  _prepareShapes(shapes, exploded) {
+    if (this.shapesWorker == null) {
+      this.shapesWorker = new ShapesWorker();
+    }
+    return this.shapesWorker.prepare(shapes, exploded, this.edgeColor);
+  }
 
   /**
-   * Move the camera to one of the preset locations
-   * @function
-   * @param {string} dir - can be "iso", "top", "bottom", "front", "rear", "left", "right"
-   * @param {number} [zoom=null] - zoom value
-   * @param {boolean} [notify=true] - whether to send notification or not.
+   * Render a CAD object like render, but prepare the shape arrays in a web worker and create
+   * the THREE objects in time slices, so that the page stays responsive for large models.
+   * The exploded shapes get prepared in the background afterwards.
+   * Calling clear during the rendering cancels it.
+   * @param {Shapes | ArrayBuffer | ArrayBufferView} shapes - the Shapes object representing the tessellated CAD object
+   *        or a binary Shapes container (see binary.js)
+   * @param {RenderOptions} renderOptions - the render options
+   * @param {ViewerOptions} viewerOptions - the viewer options
+   * @param {function} [onProgress=null] - called with the number of rendered and of all shapes while
+   *        the nested group gets populated
+   * @returns {Promise<Shapes>} the rendered shapes
    */
-  presetCamera = (dir, zoom = null, notify = true) => {
-    this.camera.target = new THREE.Vector3(...this.bbox.center());
-    this.camera.presetCamera(dir, zoom, notify);
-    this.controls.setTarget(this.camera.target);
-    this.update(true, notify);
-  };
+  renderAsync(shapes, renderOptions, viewerOptions, onProgress = null) {
+    const revision = this.shapesRevision;
+    const timer = new Timer("renderAsync", this.timeit);
+    const checkRevision = () => {
+      if (revision !== this.shapesRevision) {
+        throw new Error("Rendering cancelled");
+      }
+    };
 
-  /**
-   * Get camera type.
-   * @returns {string} "ortho" or "perspective".
-   **/
-  getCameraType() {
-    return this.camera.ortho ? "ortho" : "perspective";
+    this.setRenderDefaults(renderOptions);
+    this.setViewerDefaults(viewerOptions);
+    this.display.showLoadProgress("Preparing shapes");
+
+    var prepared, nestedGroup;
+    return Promise.resolve(shapes)
+      .then((data) => {
+        const source = isBinaryShapes(data) ? decodeShapes(data) : data;
+        return this._prepareShapes(source, false);
+      })
+      .then((result) => {
+        checkRevision();
+        timer.split("prepared shapes");
+        prepared = result;
+        nestedGroup = this._createNestedGroup(prepared);
+        return nestedGroup.renderAsync((done, total) => {
+          checkRevision();
+          this.display.showLoadProgress(
+            `Rendering shapes ${Math.round((100 * done) / total)}%`,
+          );
+          if (onProgress != null) {
+            onProgress(done, total);
+          }
+        });
+      })
+      .then(() => {
+        checkRevision();
+        timer.split("rendered compact shapes");
+        this.display.showLoadProgress(null);
+        this.compactNestedGroup = nestedGroup;
+        this.compactTree = this._getTree(prepared);
+        this.render(prepared, renderOptions, viewerOptions);
+        timer.stop();
+
+        const edgeColor = this.edgeColor;
+        this._prepareShapes(prepared, true)
+          .then((exploded) => {
+            if (
+              revision === this.shapesRevision &&
+              this.expandedNestedGroup == null
+            ) {
+              this.explodedShapes = { shapes: exploded, edgeColor: edgeColor };
+            }
+          })
+          .catch((error) => {
+            // toggleGroup prepares the exploded shapes again when needed
+            console.warn(
+              `three-cad-viewer: Cannot prepare exploded shapes (${error.message})`,
+            );
+          });
+        return prepared;
+      })
+      .catch((error) => {
+        if (nestedGroup != null && nestedGroup !== this.compactNestedGroup) {
+          deepDispose(nestedGroup);
+        }
+        if (revision === this.shapesRevision) {
+          this.display.showLoadProgress(null);
+        }
+        throw error;
+      });
   }
 
+  // - - - - - - - - - - - - - - - - - - - - - - - -
+  // Incremental updates
+  // - - - - - - - - - - - - - - - - - - - - - - - -
+
   /**
-   * Set camera mode to OrthographicCamera or PersepctiveCamera (see also setOrtho)
-   * @param {boolean} flag - whether the camery should be orthographic or persepctive
-   * @param {boolean} [notify=true] - whether to send notification or not.
+   * Find a part or group of the rendered Shapes object.
+   * @param {string} path - path of the part or group, e.g. "/Group/part"
+   * @returns {{parent: Shapes, index: number} | null} the parent group and the index of the part in it
    */
-  switchCamera(flag, notify = true) {
-    this.ortho = flag;
-    this.camera.switchCamera(flag, notify);
-    this.controls.setCamera(this.camera.getCamera());
-    this.display.setOrthoCheck(flag);
-
-    this.checkChanges({ ortho: flag }, notify);
-    this.update(true, notify);
+  _findPart(path) {
+    const find = (group) => {
+      for (let i = 0; i < group.parts.length; i++) {
+        const part = group.parts[i];
+        if (part.id === path) {
+          return { parent: group, index: i };
+        }
+        if (part.parts != null && path.startsWith(`${part.id}/`)) {
+          return find(part);
+        }
+      }
+      return null;
+    };
+    return find(this.shapes);
   }
 
   /**
-   * TODO: Doesn't work as expected. Needs to be fixed.
-   *
-   * Set camera mode to OrthographicCamera or PersepctiveCamera (see also setOrtho)
-   * @param {number} distance - if provided, new camera distance
-   * @param {boolean} [notify=true] - whether to send notification or not.
+   * Find a group of the rendered Shapes object.
+   * @param {string} path - path of the group, e.g. "/Group"
+   * @returns {Shapes} the group
    */
-  recenterCamera(notify = true) {
-    const camera = this.camera.getCamera();
-
-    const center = new THREE.Vector3();
-    const c = this.bbox.center();
-    center.fromArray(c);
-
-    const target = new THREE.Vector3();
-    const t = this.controls.target;
-    target.fromArray(t);
-
-    this.camera.camera_distance = 5 * this.bb_radius;
-    camera.position.sub(target).add(center);
-    this.controls.controls.target = center;
-
-    let cameraDir = new THREE.Vector3();
-    camera.getWorldDirection(cameraDir);
-
-    let p = center
-      .clone()
-      .add(cameraDir.normalize().multiplyScalar(-this.camera.camera_distance));
-    camera.position.set(p.x, p.y, p.z);
-
-    this.update(true, notify);
+  _findGroup(path) {
+    var group = this.shapes;
+    if (path !== this.shapes.id) {
+      const found = this._findPart(path);
+      group = found == null ? null : found.parent.parts[found.index];
+    }
+    if (group == null || group.parts == null) {
+      throw new Error(`Group not found: ${path}`);
+    }
+    return group;
   }
 
   /**
-   * Centers the camera view on all visible objects in the scene.
-   * Calculates a bounding box that encompasses all visible ObjectGroup instances
-   * and sets the camera target to the center of that bounding box.
-   *
-   * @param {boolean} [notify=true] - Whether to notify listeners of the camera update
+   * Set the ids of a new part and its children and the default states of its leaves.
+   * @param {Shapes} part - the part or group
+   * @param {string} parentId - path of the parent group
    */
-  centerVisibleObjects(notify = true) {
-    const groups = this.nestedGroup.groups;
-
-    var bbox = new BoundingBox();
-    for (var path in groups) {
-      var obj = groups[path];
-      if (obj instanceof ObjectGroup) {
-        if (obj.getVisibility()) {
-          console.log(path);
-          bbox.expandByObject(obj);
-        }
+  _setPartIds(part, parentId) {
+    part.id = `${parentId}/${part.name}`;
+    if (part.parts != null) {
+      for (const child of part.parts) {
+        this._setPartIds(child, part.id);
       }
+    } else if (part.state == null) {
+      part.state = part.type === "shapes" ? [1, 1] : [3, 1];
     }
-    const target = new THREE.Vector3(...bbox.center());
-    this.setCameraTarget(target);
-    this.update(true, notify);
   }
 
   /**
-   * Reset zoom to 1.0
-   * @function
-   */
-  resize = () => {
-    this.camera.setZoom(1.0);
-    this.camera.updateProjectionMatrix();
-    this.update(true);
-  };
-
-  /**
-   * Reset the view to the initial camera and controls settings
-   * @function
+   * The data of a node of a navigation tree.
+   * @param {NavTree} tree - the navigation tree
+   * @param {string} path - path of the node, e.g. "/Group/part"
+   * @returns {NavTree} the children of a group or the states of a leaf
    */
-  reset = () => {
-    this.controls.reset();
-    this.update(true);
-  };
+  _treeData(tree, path) {
+    var data = tree;
+    for (const name of path.split("/").filter(Boolean)) {
+      data = data[name];
+    }
+    return data;
+  }
 
   /**
-   * Enbable/disable local clipping
-   * @param {boolean} flag - whether to enable local clipping
+   * Add, replace or remove a child of a navigation tree node, keeping the order of the children.
+   * @param {NavTree} data - the children of a group
+   * @param {string | null} oldName - the name of the child to replace or remove, null to add
+   * @param {string | null} newName - the name of the new child, null to remove
+   * @param {NavTree | number[]} value - the new child
    */
-  setLocalClipping(flag) {
-    this.renderer.localClippingEnabled = flag;
-    this.update(this.updateMarker);
+  _setTreeEntry(data, oldName, newName, value) {
+    const entries = Object.entries(data);
+    for (const [name] of entries) {
+      delete data[name];
+    }
+    for (const [name, child] of entries) {
+      if (name !== oldName) {
+        data[name] = child;
+      } else if (newName != null) {
+        data[newName] = value;
+      }
+    }
+    if (oldName == null) {
+      data[newName] = value;
+    }
   }
 
   /**
-   * Sets the visibility state of an object in the viewer.
-   *
-   * @param {string} path - The path of the object.
-   * @param {number} state - The visibility state (0 or 1).
-   * @param {number} iconNumber - The icon number.
-   * @param {boolean} [notify=true] - Whether to notify the changes.
+   * Render a part into the compact and, if it exists, the exploded nested group and
+   * add it to their navigation trees.
+   * @param {string} parentId - path of the parent group
+   * @param {Shapes} part - the part or group with ids set
+   * @param {string | null} oldName - name of a replaced part, null to add the part
+   */
+  _insertPart(parentId, part, oldName) {
+    const variants = [
+      [this.compactNestedGroup, this.compactTree, false],
+      [this.expandedNestedGroup, this.expandedTree, true],
+    ];
+    for (const [nestedGroup, tree, exploded] of variants) {
+      if (nestedGroup == null) continue;
+      var clone = structuredClone(part);
+      if (exploded) {
+        clone = this._explodeShapes({
+          version: this.shapes.version,
+          parts: [clone],
+        }).parts[0];
+      }
+      nestedGroup.addPart(parentId, clone);
+      if (nestedGroup === this.compactNestedGroup && this.clipping != null) {
+        this.clipping.addSolids(nestedGroup.objectGroups(part.id));
+      }
+      this._setTreeEntry(
+        this._treeData(tree, parentId),
+        oldName,
+        part.name,
+        clone.parts != null ? this._getTree(clone)[clone.name] : clone.state,
+      );
+    }
+    if (this.expandedNestedGroup != null) {
+      // the states of the exploded faces, edges and vertices follow the part
+      this.syncTreeStates(
+        this._treeData(this.compactTree, part.id),
+        this._treeData(this.expandedTree, part.id),
+        true,
+        part.id,
+      );
+    }
+  }
+
+  /**
+   * Remove a part from the nested groups and dispose it.
+   * @param {string} path - path of the part or group
+   */
+  _deletePart(path) {
+    for (const nestedGroup of [
+      this.compactNestedGroup,
+      this.expandedNestedGroup,
+    ]) {
+      if (nestedGroup == null) continue;
+      if (nestedGroup === this.compactNestedGroup && this.clipping != null) {
+        this.clipping.removeSolids(nestedGroup.objectGroups(path));
+      }
+      deepDispose(nestedGroup.removePart(path));
+    }
+    if (
+      this.lastBbox != null &&
+      (this.lastBbox.id === path || this.lastBbox.id.startsWith(`${path}/`))
+    ) {
+      this.scene.remove(this.lastBbox.bbox);
+      this.lastBbox = null;
+    }
+  }
+
+  /**
+   * Update the bounding box of the CAD object from the rendered objects.
+   * @returns {boolean} whether the bounding box is not empty
+   */
+  _updateBoundingBox() {
+    const bbox = this.nestedGroup.boundingBox();
+    if (bbox.isEmpty()) {
+      return false;
+    }
+    this.bbox.copy(bbox);
+    this.shapes.bb = {
+      xmin: bbox.min.x,
+      ymin: bbox.min.y,
+      zmin: bbox.min.z,
+      xmax: bbox.max.x,
+      ymax: bbox.max.y,
+      zmax: bbox.max.z,
+    };
+    const center = new THREE.Vector3();
+    this.bbox.getCenter(center);
+    this.bb_max = this.bbox.max_dist_from_center();
+    this.bb_radius = Math.max(
+      this.bbox.boundingSphere().radius,
+      center.length(),
+    );
+    return true;
+  }
+
+  /**
+   * Update bounding box, tree view, clipping and notifications after parts were changed.
+   * @param {string | null} parentId - path of the group with changed children, null if only locations changed
+   * @param {boolean} notify - whether to send notification or not.
+   */
+  _partsChanged(parentId, notify) {
+    // a decomposition prepared in the background misses the changes
+    this.shapesRevision++;
+    this.explodedShapes = null;
+
+    this._updateBoundingBox();
+    if (this.lastBbox != null) {
+      this.lastBbox.needsUpdate = true;
+    }
+    if (this.clipping != null) {
+      this.clipping.sectionOutlines.needsUpdate = true;
+    }
+    if (parentId != null) {
+      this.treeview.rebuildNode(parentId);
+      this._applyClipExclusions();
+      this.checkChanges({ states: this.getStates() }, notify);
+    }
+    this.update(this.updateMarker);
+  }
+
+  /**
+   * Add a part to a group without rendering the whole CAD object again.
+   * Camera, clipping and tool state are kept.
+   * @param {string} path - path of the group, e.g. "/Group"
+   * @param {Shapes} part - the part or group in the Shapes format, ids get set from path and names
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   */
+  addPart(path, part, notify = true) {
+    const group = this._findGroup(path);
+    if (group.parts.some((child) => child.name === part.name)) {
+      throw new Error(`Part exists: ${path}/${part.name}`);
+    }
+    this._setPartIds(part, path);
+    group.parts.push(part);
+    this._insertPart(path, part, null);
+    this._partsChanged(path, notify);
+  }
+
+  /**
+   * Replace a part or group without rendering the whole CAD object again.
+   * Camera, clipping and tool state are kept.
+   * @param {string} path - path of the part or group, e.g. "/Group/part"
+   * @param {Shapes} part - the new part or group in the Shapes format, keeps the old name if it has none
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   */
+  replacePart(path, part, notify = true) {
+    const found = this._findPart(path);
+    if (found == null) {
+      throw new Error(`Part not found: ${path}`);
+    }
+    const { parent, index } = found;
+    const oldName = parent.parts[index].name;
+    if (part.name == null) {
+      part.name = oldName;
+    } else if (
+      part.name !== oldName &&
+      parent.parts.some((child) => child.name === part.name)
+    ) {
+      throw new Error(`Part exists: ${parent.id}/${part.name}`);
+    }
+    this._setPartIds(part, parent.id);
+    parent.parts[index] = part;
+    this._deletePart(path);
+    this._insertPart(parent.id, part, oldName);
+    this._partsChanged(parent.id, notify);
+  }
+
+  /**
+   * Remove a part or group without rendering the whole CAD object again.
+   * Camera, clipping and tool state are kept.
+   * @param {string} path - path of the part or group, e.g. "/Group/part"
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   */
+  removePart(path, notify = true) {
+    const found = this._findPart(path);
+    if (found == null) {
+      throw new Error(`Part not found: ${path}`);
+    }
+    const { parent, index } = found;
+    const name = parent.parts[index].name;
+    parent.parts.splice(index, 1);
+    this._deletePart(path);
+    for (const tree of [this.compactTree, this.expandedTree]) {
+      if (tree != null) {
+        this._setTreeEntry(this._treeData(tree, parent.id), name, null, null);
+      }
+    }
+    this.clipExcludedPaths = this.clipExcludedPaths.filter(
+      (p) => p !== path && !p.startsWith(`${path}/`),
+    );
+    this._partsChanged(parent.id, notify);
+  }
+
+  /**
+   * Move a part or group to a new location.
+   * @param {string} path - path of the part or group, e.g. "/Group/part"
+   * @param {number[][]} loc - location as [position, quaternion], e.g. [[x, y, z], [qx, qy, qz, qw]]
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   */
+  updateLocation(path, loc, notify = true) {
+    var part = this.shapes;
+    if (path !== this.shapes.id) {
+      const found = this._findPart(path);
+      if (found == null) {
+        throw new Error(`Part not found: ${path}`);
+      }
+      part = found.parent.parts[found.index];
+    }
+    const nestedGroups = [
+      this.compactNestedGroup,
+      this.expandedNestedGroup,
+    ].filter((nestedGroup) => nestedGroup != null);
+    if (nestedGroups.some((nestedGroup) => nestedGroup.groups[path] == null)) {
+      throw new Error(`Part not found: ${path}`);
+    }
+    part.loc = loc;
+    for (const nestedGroup of nestedGroups) {
+      const group = nestedGroup.groups[path];
+      group.position.set(...loc[0]);
+      group.quaternion.set(...loc[1]);
+      nestedGroup.bbox = null;
+    }
+    this.checkChanges({ part_location: { path: path, loc: loc } }, notify);
+    this._partsChanged(null, notify);
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - -
+  // Streaming
+  // - - - - - - - - - - - - - - - - - - - - - - - -
+
+  /**
+   * Empty shape of a leaf part, the placeholder until its geometry gets streamed.
+   * @param {string} type - "shapes", "edges" or "vertices"
+   * @returns {Shape} the empty shape
+   */
+  _emptyShape(type) {
+    const shape = { obj_vertices: [] };
+    if (type === "shapes" || type === "edges") {
+      shape.edges = [];
+      shape.edge_types = [];
+      shape.segments_per_edge = [];
+    }
+    if (type === "shapes") {
+      shape.vertices = [];
+      shape.normals = [];
+      shape.triangles = [];
+      shape.face_types = [];
+      shape.triangles_per_face = [];
+    }
+    return shape;
+  }
+
+  /**
+   * Show how many of the streamed parts have arrived.
+   */
+  _showStreamProgress() {
+    const received = this.streamTotal - this.streamPending.size;
+    this.display.showLoadProgress(
+      `Streaming shapes ${received}/${this.streamTotal}`,
+    );
+  }
+
+  /**
+   * Replace the placeholder of a streamed leaf part by the part with its geometry.
+   * @param {Shapes} leaf - the leaf part
+   * @param {string} parentId - path of the group of the leaf part
+   * @returns {boolean} whether the tree view of the group needs to be rebuilt
+   */
+  _streamPart(leaf, parentId) {
+    // the node of the compact tree stays, its states are shared with the tree view
+    const compact = this.compactNestedGroup;
+    if (this.clipping != null) {
+      this.clipping.removeSolids(compact.objectGroups(leaf.id));
+    }
+    deepDispose(compact.removePart(leaf.id));
+    compact.addPart(parentId, {
+      ...leaf,
+      state: this._treeData(this.compactTree, leaf.id),
+    });
+    if (this.clipping != null) {
+      this.clipping.addSolids(compact.objectGroups(leaf.id));
+    }
+    if (this.lastBbox != null && this.lastBbox.id === leaf.id) {
+      this.scene.remove(this.lastBbox.bbox);
+      this.lastBbox = null;
+    }
+
+    if (this.expandedNestedGroup == null) {
+      return false;
+    }
+    if (this.nestedGroup !== this.expandedNestedGroup) {
+      // gets rendered again when switching to the exploded view
+      deepDispose(this.expandedNestedGroup);
+      this.expandedNestedGroup = null;
+      this.expandedTree = null;
+      return false;
+    }
+    const exploded = this._explodeShapes({
+      version: this.shapes.version,
+      parts: [structuredClone(leaf)],
+    }).parts[0];
+    deepDispose(this.expandedNestedGroup.removePart(leaf.id));
+    this.expandedNestedGroup.addPart(parentId, exploded);
+    this._setTreeEntry(
+      this._treeData(this.expandedTree, parentId),
+      leaf.name,
+      leaf.name,
+      this._getTree(exploded)[exploded.name],
+    );
+    this.syncTreeStates(
+      this._treeData(this.compactTree, leaf.id),
+      this._treeData(this.expandedTree, leaf.id),
+      true,
+      leaf.id,
+    );
+    return true;
+  }
+
+  /**
+   * Start streaming a CAD object: render its skeleton, i.e. the navigation tree, the groups with
+   * their locations and empty leaf parts. The geometry of the leaf parts gets filled in by
+   * streamParts. Without a bounding box in the skeleton, camera and grid start with a unit box
+   * until endStream or reframe.
+   * @param {Shapes} skeleton - the Shapes object, leaf parts without "shape" get streamed
+   * @param {RenderOptions} renderOptions - the render options
+   * @param {ViewerOptions} viewerOptions - the viewer options
+   */
+  beginStream(skeleton, renderOptions, viewerOptions) {
+    const pending = new Set();
+    const addPlaceholders = (part) => {
+      if (part.parts != null) {
+        part.parts.forEach(addPlaceholders);
+      } else if (part.shape == null) {
+        part.shape = this._emptyShape(part.type);
+        pending.add(part.id);
+      }
+    };
+    addPlaceholders(skeleton);
+    if (skeleton.bb == null) {
+      skeleton.bb = { xmin: -1, ymin: -1, zmin: -1, xmax: 1, ymax: 1, zmax: 1 };
+    }
+    this.render(skeleton, renderOptions, viewerOptions);
+
+    this.streamPending = pending;
+    this.streamTotal = pending.size;
+    this._showStreamProgress();
+  }
+
+  /**
+   * Fill in the geometry of streamed leaf parts, e.g. called for every message of a websocket.
+   * The parts are matched by id and keep the states of their tree nodes.
+   * The view gets updated once per animation frame.
+   * @param {Shapes | Shapes[] | ArrayBuffer | ArrayBufferView} parts - a leaf part, a list of leaf parts
+   *        or a binary Shapes container (see binary.js) with the leaf parts as its parts
+   */
+  streamParts(parts) {
+    if (this.streamPending == null) {
+      throw new Error("No stream is running");
+    }
+    if (isBinaryShapes(parts)) {
+      parts = decodeShapes(parts).parts;
+    } else if (!Array.isArray(parts)) {
+      parts = [parts];
+    }
+
+    // check all ids first, so that a batch gets applied completely or not at all
+    const targets = parts.map((part) => {
+      const found = this._findPart(part.id);
+      const leaf = found == null ? null : found.parent.parts[found.index];
+      if (leaf == null || leaf.parts != null) {
+        throw new Error(`Part not found: ${part.id}`);
+      }
+      return { part: part, leaf: leaf, parentId: found.parent.id };
+    });
+
+    const rebuild = new Set();
+    for (const { part, leaf, parentId } of targets) {
+      Object.assign(leaf, part, { name: leaf.name, state: leaf.state });
+      if (this._streamPart(leaf, parentId)) {
+        rebuild.add(parentId);
+      }
+      this.streamPending.delete(leaf.id);
+    }
+    for (const path of rebuild) {
+      this.treeview.rebuildNode(path);
+    }
+    if (this.clipExcludedPaths.length > 0) {
+      this._applyClipExclusions();
+    }
+    if (this.clipping != null) {
+      this.clipping.sectionOutlines.needsUpdate = true;
+    }
+    this.explodedShapes = null;
+    if (this.explodeRequest != null) {
+      this.explodeRequest.stale = true;
+    }
+    this._showStreamProgress();
+
+    if (this.streamFrame == null) {
+      this.streamFrame = requestAnimationFrame(() => {
+        this.streamFrame = null;
+        this.update(this.updateMarker, false);
+      });
+    }
+  }
+
+  /**
+   * Finish streaming and fit camera, grid and axes to the CAD object (see reframe).
+   * Leaf parts whose geometry did not arrive stay empty.
+   * @param {boolean} [reframe=true] - whether to fit camera, grid and axes to the CAD object
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   */
+  endStream(reframe = true, notify = true) {
+    if (this.streamPending == null) {
+      throw new Error("No stream is running");
+    }
+    if (this.streamPending.size > 0) {
+      this.info.addText(
+        `${this.streamPending.size} of ${this.streamTotal} parts did not arrive`,
+      );
+    }
+    this.streamPending = null;
+    if (this.streamFrame != null) {
+      cancelAnimationFrame(this.streamFrame);
+      this.streamFrame = null;
+    }
+    this.display.showLoadProgress(null);
+    if (reframe) {
+      this.reframe(notify);
+    } else {
+      this._updateBoundingBox();
+      this.update(this.updateMarker, notify);
+    }
+  }
+
+  /**
+   * Render a CAD object while its parts arrive: the skeleton gets shown first (see beginStream),
+   * then the geometry of the parts fills in as it streams (see streamParts). Camera, grid and axes
+   * get fitted to the CAD object at the end. Calling clear during the streaming cancels it.
+   * If the source or streamParts fails, streaming ends without fitting the camera.
+   * @param {Shapes} skeleton - the Shapes object, leaf parts without "shape" get streamed
+   * @param {AsyncIterable | Iterable} source - yields arguments of streamParts
+   * @param {RenderOptions} renderOptions - the render options
+   * @param {ViewerOptions} viewerOptions - the viewer options
+   * @param {function} [onProgress=null] - called with the number of received and of all streamed parts
+   * @param {number} [timeSlice=20] - milliseconds of streaming before the browser gets the chance to paint
+   * @returns {Promise<Shapes>} the complete shapes
+   */
+  renderStream(
+    skeleton,
+    source,
+    renderOptions,
+    viewerOptions,
+    onProgress = null,
+    timeSlice = 20,
+  ) {
+    this.beginStream(skeleton, renderOptions, viewerOptions);
+    // clear and a new stream replace the set of pending parts
+    const pending = this.streamPending;
+    const iterator =
+      source[Symbol.asyncIterator] != null
+        ? source[Symbol.asyncIterator]()
+        : source[Symbol.iterator]();
+    var sliceEnd = performance.now() + timeSlice;
+
+    // stop the source, errors while closing it are of no interest any more
+    const close = () => {
+      if (iterator.return != null) {
+        Promise.resolve()
+          .then(() => iterator.return())
+          .catch(() => {});
+      }
+    };
+
+    // yield to the event loop once per time slice, also for synchronous sources
+    const pause = () => {
+      if (performance.now() < sliceEnd) {
+        return Promise.resolve();
+      }
+      return new Promise((resolve) => setTimeout(resolve, 0)).then(() => {
+        sliceEnd = performance.now() + timeSlice;
+      });
+    };
+
+    const next = () =>
+      Promise.resolve(iterator.next()).then((item) => {
+        if (this.streamPending !== pending) {
+          close();
+          throw new Error("Streaming cancelled");
+        }
+        if (item.done) {
+          this.endStream();
+          return this.shapes;
+        }
+        this.streamParts(item.value);
+        if (onProgress != null) {
+          onProgress(
+            this.streamTotal - this.streamPending.size,
+            this.streamTotal,
+          );
+        }
+        return pause().then(next);
+      });
+    return next().catch((error) => {
+      // leave streaming mode, unless clear or a new stream took it over (cancelled)
+      if (this.streamPending === pending) {
+        close();
+        this.endStream(false);
+      }
+      throw error;
+    });
+  }
+
+  /**
+   * Fit bounding box, camera, grid, axes and clipping slider limits to the CAD object, e.g. after
+   * parts were streamed or added. The view direction is kept, target, distance and zoom are reset.
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   */
+  reframe(notify = true) {
+    this.nestedGroup.bbox = null;
+    if (!this._updateBoundingBox()) return;
+
+    const grid = this.gridHelper;
+    this.scene.remove(grid);
+    this.gridHelper = new Grid(
+      this.display,
+      this.bbox,
+      this.ticks,
+      grid.centerGrid,
+      this.axes0,
+      grid.grid,
+      this.up == "Z",
+      this.theme,
+    );
+    this.gridHelper.computeGrid();
+    this.scene.add(this.gridHelper);
+    deepDispose(grid);
+    this.gridSize = this.gridHelper.size;
+
+    this.scene.remove(this.axesHelper);
+    deepDispose(this.axesHelper);
+    this.axesHelper = new AxesHelper(
+      this.bbox.center(),
+      this.gridSize / 2,
+      2,
+      this.cadWidth,
+      this.height,
+      this.axes0,
+      this.axes,
+      this.theme,
+    );
+    this.scene.add(this.axesHelper);
+    this.display.setSliderLimits(this.gridSize / 2);
+
+    const direction = this.camera
+      .getPosition()
+      .clone()
+      .sub(this.controls.getTarget());
+    this.camera.target = new THREE.Vector3(...this.bbox.center());
+    this.camera.changeDistance(this.bb_radius, this.cadWidth, this.height);
+    this.camera.setupCamera(true, direction, null, this.zoom);
+    this.camera.lookAtTarget();
+    this.controls.setTarget(this.camera.target);
+    this.controls.saveState();
+    this.update(true, notify);
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - -
+  // Model diffing
+  // - - - - - - - - - - - - - - - - - - - - - - - -
+
+  /**
+   * Tint the changed parts with the color of their diff kind (changed > moved > added),
+   * or restore their colors.
+   * @param {boolean} flag - whether to tint or restore
+   */
+  _applyDiffColors(flag) {
+    if (this.diff == null) return;
+    for (const kind of ["added", "moved", "changed"]) {
+      const color = new THREE.Color(diffColors[kind]);
+      for (const id of this.diff[kind]) {
+        for (const nestedGroup of [
+          this.compactNestedGroup,
+          this.expandedNestedGroup,
+        ]) {
+          if (nestedGroup == null) continue;
+          for (const group of nestedGroup.objectGroups(id)) {
+            group.setTint(flag ? color : null);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Badges of the tree nodes of changed parts, their groups get a marker
+   * @returns {Object} the badges by node path
+   */
+  _diffBadges() {
+    const badges = {};
+    if (this.diff == null) return badges;
+    for (const kind of ["added", "changed", "moved"]) {
+      for (const id of this.diff[kind]) {
+        const badge = badges[id];
+        // the color of the first kind wins: added, changed, moved
+        badges[id] = {
+          text: (badge == null ? "" : badge.text) + diffLetters[kind],
+          className: badge == null ? `tv-diff-${kind}` : badge.className,
+        };
+        for (
+          let path = id.substring(0, id.lastIndexOf("/"));
+          path.lastIndexOf("/") > 0 && badges[path] == null;
+          path = path.substring(0, path.lastIndexOf("/"))
+        ) {
+          badges[path] = { text: "•", className: "tv-diff-contains" };
+        }
+      }
+    }
+    return badges;
+  }
+
+  /**
+   * Show the old geometry of removed, changed and moved parts as ghosts or remove the ghosts
+   * @param {boolean} flag - whether to show the ghosts
+   */
+  _updateDiffGhosts(flag) {
+    if (this.diffGhosts != null) {
+      this.scene.remove(this.diffGhosts.rootGroup);
+      deepDispose(this.diffGhosts);
+      this.diffGhosts = null;
+    }
+    if (!flag || this.diff == null) return;
+
+    const oldLeaves = leafParts(this.diffPreviousShapes);
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    const kinds = {};
+    const ghosts = {
+      version: this.shapes.version,
+      name: "DiffGhosts",
+      id: "/DiffGhosts",
+      loc: [
+        [0, 0, 0],
+        [0, 0, 0, 1],
+      ],
+      parts: [],
+    };
+    const done = new Set();
+    for (const kind of ["removed", "changed", "moved"]) {
+      for (const id of this.diff[kind]) {
+        if (done.has(id)) continue;
+        done.add(id);
+        const name = `ghost_${ghosts.parts.length}`;
+        const { part, matrix } = oldLeaves.get(id);
+        matrix.decompose(position, quaternion, scale);
+        ghosts.parts.push({
+          ...part,
+          id: `/DiffGhosts/${name}`,
+          name: name,
+          state: [1, 1],
+          loc: [position.toArray(), quaternion.toArray()],
+        });
+        kinds[`/DiffGhosts/${name}`] = kind;
+      }
+    }
+
+    this.diffGhosts = new NestedGroup(
+      ghosts,
+      this.cadWidth,
+      this.height,
+      this.edgeColor,
+      true,
+      this.defaultOpacity,
+      this.metalness,
+      this.roughness,
+      0,
+    );
+    this.diffGhosts.render();
+    for (const id in kinds) {
+      for (const group of this.diffGhosts.objectGroups(id)) {
+        const color = new THREE.Color(diffColors[kinds[id]]);
+        for (const type of ["front", "edges", "vertices"]) {
+          const object = group.types[type];
+          if (object == null) continue;
+          object.material.color = color.clone();
+          object.material.transparent = true;
+          object.material.opacity = type === "front" ? 0.2 : 0.5;
+          object.material.depthWrite = false;
+        }
+        if (group.types.back != null) {
+          group.types.back.material.visible = false;
+        }
+      }
+    }
+    this.scene.add(this.diffGhosts.rootGroup);
+  }
+
+  /**
+   * Compare the rendered Shapes with a previous version. Parts are matched by id, added,
+   * geometry changed and moved parts get color coded and badged in the navigation tree.
+   * @param {Shapes} previousShapes - the previous version of the rendered Shapes
+   * @param {boolean} [ghost=false] - show the old geometry of removed, changed and moved parts as ghosts
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   * @returns {import ("./diff.js").ShapesDiff} the differences
+   */
+  showDiff(previousShapes, ghost = false, notify = true) {
+    this.clearDiff(false);
+    this.diff = diffShapes(previousShapes, this.shapes);
+    this.diffPreviousShapes = previousShapes;
+
+    this._applyDiffColors(true);
+    this.treeview.setBadges(this._diffBadges());
+    this._updateDiffGhosts(ghost);
+    this.diffGhost = ghost;
+
+    this.info.addHtml(
+      "<b>Changes:</b><br />" +
+        ["added", "removed", "changed", "moved"]
+          .map((kind) => `${this.diff[kind].length} ${kind}`)
+          .join(", "),
+    );
+    this.checkChanges({ diff: this.getDiff() }, notify);
+    this.update(this.updateMarker);
+    return this.getDiff();
+  }
+
+  /**
+   * Get the differences shown by showDiff.
+   * @returns {import ("./diff.js").ShapesDiff | null} the differences or null if no diff is shown
+   */
+  getDiff() {
+    return this.diff == null ? null : structuredClone(this.diff);
+  }
+
+  /**
+   * Get whether the old geometry of the diff is shown as ghosts.
+   * @returns {boolean} ghost value.
+   */
+  getDiffGhost() {
+    return this.diffGhost;
+  }
+
+  /**
+   * Show or hide the old geometry of removed, changed and moved parts of the diff.
+   * @param {boolean} flag - whether to show the ghosts
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   */
+  setDiffGhost(flag, notify = true) {
+    if (this.diff == null) return;
+    this.diffGhost = flag;
+    this._updateDiffGhosts(flag);
+    this.checkChanges({ diff_ghost: flag }, notify);
+    this.update(this.updateMarker);
+  }
+
+  /**
+   * Remove colors, badges and ghosts of the diff.
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   */
+  clearDiff(notify = true) {
+    if (this.diff == null) return;
+    this._applyDiffColors(false);
+    this._updateDiffGhosts(false);
+    this.diff = null;
+    this.diffPreviousShapes = null;
+    this.diffGhost = false;
+    this.treeview.setBadges({});
+    this.checkChanges({ diff: null }, notify);
+    this.update(this.updateMarker);
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - -
+  // Event handlers
+  // - - - - - - - - - - - - - - - - - - - - - - - -
+
+  /**
+   * Move the camera to a given locations
+   * @function
+   * @param {relative} [relative=false] - flag whether the position is a relative (e.g. [1,1,1] for iso) or absolute point.
+   * @param {number[]} position - the camera position as 3 dim array [x,y,z]
+   * @param {number[]} [quaternion=null] - the camera rotation expressed by a quaternion array [x,y,z,w].
+   * @param {number} [zoom=null] - zoom value.
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   */
+  setCamera = (
+    relative,
+    position,
+    quaternion = null,
+    zoom = null,
+    notify = true,
+  ) => {
+    this.camera.setupCamera(
+      relative,
+      new THREE.Vector3(...position),
+      quaternion != null ? new THREE.Quaternion(...quaternion) : null,
+      zoom,
+      notify,
+    );
+    this.update(true, notify);
+  };
+
+  /**
+   * Move the camera to one of the preset locations
+   * @function
+   * @param {string} dir - can be "iso", "top", "bottom", "front", "rear", "left", "right"
+   * @param {number} [zoom=null] - zoom value
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   */
+  presetCamera = (dir, zoom = null, notify = true) => {
+    this.camera.target = new THREE.Vector3(...this.bbox.center());
+    this.camera.presetCamera(dir, zoom, notify);
+    this.controls.setTarget(this.camera.target);
+    this.update(true, notify);
+  };
+
+  /**
+   * Get camera type.
+   * @returns {string} "ortho" or "perspective".
+   **/
+  getCameraType() {
+    return this.camera.ortho ? "ortho" : "perspective";
+  }
+
+  /**
+   * Set camera mode to OrthographicCamera or PersepctiveCamera (see also setOrtho)
+   * @param {boolean} flag - whether the camery should be orthographic or persepctive
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   */
+  switchCamera(flag, notify = true) {
+    this.ortho = flag;
+    this.camera.switchCamera(flag, notify);
+    this.controls.setCamera(this.camera.getCamera());
+    this.display.setOrthoCheck(flag);
+
+    this.checkChanges({ ortho: flag }, notify);
+    this.update(true, notify);
+  }
+
+  /**
+   * TODO: Doesn't work as expected. Needs to be fixed.
+   *
+   * Set camera mode to OrthographicCamera or PersepctiveCamera (see also setOrtho)
+   * @param {number} distance - if provided, new camera distance
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   */
+  recenterCamera(notify = true) {
+    const camera = this.camera.getCamera();
+
+    const center = new THREE.Vector3();
+    const c = this.bbox.center();
+    center.fromArray(c);
+
+    const target = new THREE.Vector3();
+    const t = this.controls.target;
+    target.fromArray(t);
+
+    this.camera.camera_distance = 5 * this.bb_radius;
+    camera.position.sub(target).add(center);
+    this.controls.controls.target = center;
+
+    let cameraDir = new THREE.Vector3();
+    camera.getWorldDirection(cameraDir);
+
+    let p = center
+      .clone()
+      .add(cameraDir.normalize().multiplyScalar(-this.camera.camera_distance));
+    camera.position.set(p.x, p.y, p.z);
+
+    this.update(true, notify);
+  }
+
+  /**
+   * Centers the camera view on all visible objects in the scene.
+   * Calculates a bounding box that encompasses all visible ObjectGroup instances
+   * and sets the camera target to the center of that bounding box.
+   *
+   * @param {boolean} [notify=true] - Whether to notify listeners of the camera update
+   */
+  centerVisibleObjects(notify = true) {
+    const groups = this.nestedGroup.groups;
+
+    var bbox = new BoundingBox();
+    for (var path in groups) {
+      var obj = groups[path];
+      if (obj instanceof ObjectGroup) {
+        if (obj.getVisibility()) {
+          console.log(path);
+          bbox.expandByObject(obj);
+        }
+      }
+    }
+    const target = new THREE.Vector3(...bbox.center());
+    this.setCameraTarget(target);
+    this.update(true, notify);
+  }
+
+  /**
+   * Reset zoom to 1.0
+   * @function
+   */
+  resize = () => {
+    this.camera.setZoom(1.0);
+    this.camera.updateProjectionMatrix();
+    this.update(true);
+  };
+
+  /**
+   * Reset the view to the initial camera and controls settings
+   * @function
+   */
+  reset = () => {
+    this.controls.reset();
+    this.update(true);
+  };
+
+  /**
+   * Enbable/disable local clipping
+   * @param {boolean} flag - whether to enable local clipping
+   */
+  setLocalClipping(flag) {
+    this.renderer.localClippingEnabled = flag;
+    this.update(this.updateMarker);
+  }
+
+  /**
+   * Sets the visibility state of an object in the viewer.
+   *
+   * @param {string} path - The path of the object.
+   * @param {number} state - The visibility state (0 or 1).
+   * @param {number} iconNumber - The icon number.
+   * @param {boolean} [notify=true] - Whether to notify the changes.
    */
   setObject = (path, state, iconNumber, notify = true, update = true) => {
     var objectGroup = this.nestedGroup.groups[path];
@@ -1610,6 +2544,9 @@ class Viewer {
       } else {
         objectGroup.setEdgesVisible(state === 1);
       }
+      if (this.clipping != null) {
+        this.clipping.sectionOutlines.needsUpdate = true;
+      }
       if (notify) {
         const state = {};
         state[path] = this.getState(path);
@@ -1651,11 +2588,14 @@ class Viewer {
   /**
    * Refresh clipping plane
    * @function
-   * @param {number} index - index of the plane: 0,1,2
+   * @param {number} index - index of the plane
    * @param {number} value - distance on the clipping normal from the center
    */
   refreshPlane = (index, value) => {
     this.clipping.setConstant(index, value);
+    if (this.clipSectionBox) {
+      this._updateSectionBox(!this.sectionBoxUpdate);
+    }
     this.update(this.updateMarker);
   };
 
@@ -1726,6 +2666,7 @@ class Viewer {
    * @param {string} - name of object (id = path/name)
    * @param {boolean} - meta key pressed
    * @param {boolean} shift - whether to send notification or not.
+   * @param {import ("./cad_tools/snap.js").SurfacePick | null} surfacePick - picked surface point, if surface picking is on
    */
   handlePick = (
     path,
@@ -1736,6 +2677,7 @@ class Viewer {
     point,
     nodeType = "leaf",
     tree,
+    surfacePick = null,
   ) => {
     const id = `${path}/${name}`;
     const object = this.nestedGroup.groups[id];
@@ -1763,6 +2705,7 @@ class Viewer {
           name: name,
           boundingBox: boundingBox,
           boundingSphere: boundingBox.boundingSphere(),
+          surfacePoint: surfacePick == null ? null : surfacePick.serialize(),
         },
       });
 
@@ -1831,6 +2774,16 @@ class Viewer {
     raycaster.init();
     raycaster.onPointerMove(e);
 
+    var surfacePick = null;
+    if (this.surfacePicking) {
+      surfacePick = pickSurfacePoint(
+        raycaster,
+        this.nestedGroup,
+        this.snapTolerance,
+      );
+      this.lastSurfacePick = surfacePick;
+    }
+
     const validObjs = raycaster.getIntersectedObjs(e);
     if (validObjs.length == 0) {
       return;
@@ -1853,6 +2806,7 @@ class Viewer {
         nearestObj.point,
         null,
         false,
+        surfacePick,
       );
     }
     raycaster.dispose();
@@ -1969,6 +2923,14 @@ class Viewer {
       switch (event.mouse) {
         case "left":
           if (this.lastObject != null) {
+            if (this.surfacePicking) {
+              this.lastSurfacePick = pickSurfacePoint(
+                this.raycaster,
+                this.nestedGroup,
+                this.snapTolerance,
+              );
+              this.lastObject.surfacePick = this.lastSurfacePick;
+            }
             const objs = this.lastObject.objs();
             // one object for a selected vertex, edge and face and multiple faces for a solid
             for (let obj of objs) {
@@ -1992,15 +2954,161 @@ class Viewer {
   };
 
   /**
-   * Handle a backend response sent by the backend
-   * The response is a JSON object sent by the Python backend through VSCode
-   * @param {object} response
+   * Handle a backend response sent by the backend
+   * The response is a JSON object sent by the Python backend through VSCode
+   * @param {object} response
+   */
+  handleBackendResponse = (response) => {
+    if (response.subtype === "tool_response") {
+      this.cadTools.handleResponse(response);
+    }
+  };
+
+  /**
+   * Get the pinned measurement annotations
+   * @returns {object[]} list of {id, type, anchor, matrix, visible, text, data}
+   */
+  getAnnotations() {
+    return this.cadTools.annotations.getAnnotations();
+  }
+
+  /**
+   * Show or hide a pinned measurement annotation
+   * @param {number} id - id of the annotation
+   * @param {boolean} flag - whether to show or hide the annotation
+   */
+  setAnnotationVisible(id, flag) {
+    this.cadTools.annotations.setVisible(id, flag);
+  }
+
+  /**
+   * Delete a pinned measurement annotation
+   * @param {number} id - id of the annotation
+   */
+  removeAnnotation(id) {
+    this.cadTools.annotations.remove(id);
+  }
+
+  /**
+   * Select the shapes in a region of the cad view, the select tool needs to be active.
+   * The current topology filter is respected.
+   * @param {number[][]} polygon - [x, y] pixel coordinates of the lasso, or two corners of a box
+   * @param {boolean} [crossing=false] - also select shapes crossing the region, not only the ones fully inside
+   */
+  selectRegion(polygon, crossing = false) {
+    if (!this.cadTools.selectObject.contextEnabled) {
+      console.error("The select tool is not active");
+      return;
+    }
+    this.cadTools.selectObject.selectRegion(polygon, crossing);
+  }
+
+  /**
+   * Get the named selection sets
+   * @returns {object[]} list of {name, shapes: [{id, topo, geomtype, index}]}
+   */
+  getSelectionSets() {
+    return this.cadTools.selectObject.selectionSets.getSelectionSets();
+  }
+
+  /**
+   * Save the current selection of the select tool as named selection set
+   * @param {string} name - name of the selection set, an existing set gets replaced
+   */
+  saveSelectionSet(name) {
+    this.cadTools.selectObject.saveSelection(name);
+  }
+
+  /**
+   * Add a selection set, e.g. one stored by the backend
+   * @param {string} name - name of the selection set, an existing set gets replaced
+   * @param {object[]} shapes - list of {id, topo, geomtype, index} as returned by getSelectionSets
+   */
+  addSelectionSet(name, shapes) {
+    this.cadTools.selectObject.selectionSets.save(name, shapes);
+  }
+
+  /**
+   * Replace the current selection by a named selection set, the select tool needs to be active
+   * @param {string} name - name of the selection set
+   */
+  restoreSelectionSet(name) {
+    if (!this.cadTools.selectObject.contextEnabled) {
+      console.error("The select tool is not active");
+      return;
+    }
+    this.cadTools.selectObject.restoreSelection(name);
+  }
+
+  /**
+   * Delete a named selection set
+   * @param {string} name - name of the selection set
+   */
+  removeSelectionSet(name) {
+    this.cadTools.selectObject.selectionSets.remove(name);
+  }
+
+  /**
+   * Combine two selection sets into a new selection set
+   * @param {string} operation - "union", "intersection" or "difference"
+   * @param {string} name1 - name of the first selection set
+   * @param {string} name2 - name of the second selection set
+   * @param {string} name - name of the new selection set
+   * @returns {object[]} the shapes of the new selection set
+   */
+  combineSelectionSets(operation, name1, name2, name) {
+    return this.cadTools.selectObject.selectionSets.combine(
+      operation,
+      name1,
+      name2,
+      name,
+    );
+  }
+
+  /**
+   * Get the last picked surface point (double click or selection with the measure tools)
+   * @returns {object | null} {point, normal, faceId, snap, snapId, hitPoint} or null
+   */
+  getLastSurfacePick() {
+    return this.lastSurfacePick == null
+      ? null
+      : this.lastSurfacePick.serialize();
+  }
+
+  /**
+   * Get whether picking returns the surface point under the mouse
+   * @returns {boolean}
    */
-  handleBackendResponse = (response) => {
-    if (response.subtype === "tool_response") {
-      this.cadTools.handleResponse(response);
+  getSurfacePicking() {
+    return this.surfacePicking;
+  }
+
+  /**
+   * Enable or disable surface point picking
+   * @param {boolean} flag - whether to pick surface points
+   */
+  setSurfacePicking(flag) {
+    this.surfacePicking = flag;
+    if (!flag) {
+      this.lastSurfacePick = null;
     }
-  };
+  }
+
+  /**
+   * Get the snap tolerance of surface picking
+   * @returns {number} tolerance in pixels
+   */
+  getSnapTolerance() {
+    return this.snapTolerance;
+  }
+
+  /**
+   * Set the snap tolerance of surface picking
+   * @param {number} tolerance - tolerance in pixels to snap to vertices, edge midpoints and circle centers
+   */
+  setSnapTolerance(tolerance) {
+    this.snapTolerance = tolerance;
+  }
 
   //
   // Getters and Setters
@@ -2554,127 +3662,639 @@ class Viewer {
   };
 
   /**
-   * Get intersection mode.
-   * @returns {boolean} clip intersection value.
+   * Get intersection mode.
+   * @returns {boolean} clip intersection value.
+   **/
+  getClipIntersection() {
+    return this.clipIntersection;
+  }
+
+  /**
+   * Set the clipping mode to intersection mode
+   * @function
+   * @param {boolean} flag - whether to use intersection mode
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   */
+  setClipIntersection = (flag, notify = true) => {
+    if (flag == null) return;
+
+    this.clipIntersection = flag;
+    this.nestedGroup.setClipIntersection(flag);
+    this.display.setClipIntersectionCheck(flag);
+
+    this.clipping.setIntersection(flag);
+    this.checkChanges({ clip_intersection: flag }, notify);
+
+    this.update(this.updateMarker);
+  };
+
+  /**
+   * Get whether the clipping caps color status
+   * @returns {boolean} color caps value (object color (true) or RGB (false)).
+   */
+  getObjectColorCaps = () => {
+    return this.clipping.getObjectColorCaps();
+  };
+
+  /**
+   * Toggle the clipping caps color between object color and RGB
+   * @function
+   * @param {boolean} flag - whether to use intersection mode
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   */
+  setClipObjectColorCaps = (flag, notify = true) => {
+    if (flag == null) return;
+    this.clipping.setObjectColorCaps(flag);
+    this.display.setClipObjectColorsCheck(flag);
+    this.checkChanges({ clip_object_colors: flag }, notify);
+    this.update(this.updateMarker);
+  };
+
+  /**
+   * Get whether the section outlines are shown
+   * @returns {boolean} section outlines value.
+   */
+  getClipSectionOutlines = () => {
+    return this.clipSectionOutlines;
+  };
+
+  /**
+   * Show/hide the outlines of the sections of the solids with the clipping planes
+   * @function
+   * @param {boolean} flag - whether to show the section outlines
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   */
+  setClipSectionOutlines = (flag, notify = true) => {
+    if (flag == null) return;
+    this.clipSectionOutlines = flag;
+    this.clipping.sectionOutlines.setEnabled(flag);
+    this.display.setClipSectionOutlinesCheck(flag);
+    this.checkChanges({ clip_section_outlines: flag }, notify);
+    this.update(this.updateMarker);
+  };
+
+  /**
+   * Get whether the clipping caps are hatched
+   * @returns {boolean} hatch value.
+   */
+  getClipHatch = () => {
+    return this.clipHatch;
+  };
+
+  /**
+   * Show the clipping caps with an ISO style hatch pattern or flat colored
+   * @function
+   * @param {boolean} flag - whether to hatch the caps
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   */
+  setClipHatch = (flag, notify = true) => {
+    if (flag == null) return;
+    this.clipHatch = flag;
+    this.clipping.setHatch(flag);
+    this.display.setClipHatchCheck(flag);
+    this.checkChanges({ clip_hatch: flag }, notify);
+    this.update(this.updateMarker);
+  };
+
+  /**
+   * Get the global hatch style of the clipping caps
+   * @returns {object} {angle: degrees, spacing: world units, width: pixels}
+   */
+  getClipHatchStyle() {
+    return { ...this.clipping.hatchStyle };
+  }
+
+  /**
+   * Set the global hatch style of the clipping caps. Neighbouring solids get
+   * the hatch rotated by 90 degrees and with other spacings.
+   * @function
+   * @param {object} style - {angle: degrees, spacing: world units, width: pixels}, missing keys are kept
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   */
+  setClipHatchStyle = (style, notify = true) => {
+    if (style == null) return;
+    this.clipping.setHatchStyle(style);
+    this.checkChanges({ clip_hatch_style: this.getClipHatchStyle() }, notify);
+    this.update(this.updateMarker);
+  };
+
+  /**
+   * Get the hatch style overrides of objects
+   * @returns {object} map of object path to {hatch, angle, spacing}
+   */
+  getClipObjectHatchStyles() {
+    return this.clipping.getObjectHatchStyles();
+  }
+
+  /**
+   * Override the hatch style of the caps of a node and all objects below it.
+   * The most specific override of an object wins.
+   * @function
+   * @param {string} id - path of the node, e.g. "/Group/part"
+   * @param {object | null} style - {hatch: boolean, angle: degrees, spacing: world units},
+   *                                missing keys are taken from the global style, null removes the override
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   */
+  setClipObjectHatchStyle = (id, style, notify = true) => {
+    this.clipping.setObjectHatchStyle(id, style);
+    this.checkChanges(
+      { clip_hatch_objects: this.getClipObjectHatchStyles() },
+      notify,
+    );
+    this.update(this.updateMarker);
+  };
+
+  /**
+   * Get the section of the visible solids with a clipping plane as 2D polylines.
+   * The plane is seen from the clipped side with u as horizontal and v as vertical axis.
+   * @param {number} index - index of the clipping plane
+   * @returns {object} {normal, origin, u, v, polylines: [{id, closed, points: [[x, y], ...]}]}
+   */
+  getClipSection(index) {
+    return this.clipping.sectionOutlines.getSection(
+      index,
+      this.clipIntersection,
+    );
+  }
+
+  /**
+   * Export the section of the visible solids with a clipping plane as SVG
+   * @param {number} index - index of the clipping plane
+   * @returns {string} the SVG document
+   */
+  exportClipSectionSVG(index) {
+    return sectionToSVG(this.getClipSection(index));
+  }
+
+  /**
+   * Export the section of the visible solids with a clipping plane as DXF (R12)
+   * @param {number} index - index of the clipping plane
+   * @returns {string} the DXF document
+   */
+  exportClipSectionDXF(index) {
+    return sectionToDXF(this.getClipSection(index));
+  }
+
+  /**
+   * Get clipping plane state.
+   * @returns {boolean} clip plane visibility value.
+   **/
+  getClipPlaneHelpers() {
+    return this.clipPlaneHelpers;
+  }
+
+  /**
+   * Set clip plane helpers check box
+   * @function
+   * @param {boolean} flag - whether to show clip plane helpers
+   */
+  setClipPlaneHelpersCheck(flag) {
+    if (flag == null) return;
+
+    this.display.setClipPlaneHelpersCheck(flag);
+  }
+
+  /**
+   * Show/hide clip plane helpers
+   * @function
+   * @param {boolean} flag - whether to show clip plane helpers
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   */
+  setClipPlaneHelpers = (flag, notify = true) => {
+    if (flag == null) return;
+
+    this.clipPlaneHelpers = flag;
+    this.clipping.planeHelpers.visible = flag;
+    this.display.setClipPlaneHelpersCheck(flag);
+
+    this.checkChanges({ clip_planes: flag }, notify);
+
+    this.update(this.updateMarker);
+  };
+
+  /**
+   * Create the UI rows of the clipping planes
+   * @param {number[]} [values=[]] - slider values to restore, missing values stay at the limit
+   */
+  _createClipPlaneRows(values = []) {
+    const axisColors = this.clipping.clipPlanes
+      .slice(0, 3)
+      .map((_, i) => this.clipping.defaultColor(i));
+    this.display.createClipPlaneRows(
+      this.clipping.clipPlanes.map((_, i) => ({
+        normal: this.clipNormals[i],
+        color: this.clipping.colors[i],
+        caps: this.clipping.capsVisible[i],
+        axis: axisColors.indexOf(this.clipping.colors[i]),
+      })),
+    );
+    values.forEach((value, i) => {
+      if (i < this.display.clipSliders.length) {
+        this.display.clipSliders[i].setValue(value, false);
+      }
+    });
+  }
+
+  /**
+   * Get the number of clipping planes
+   * @returns {number} number of clipping planes.
+   **/
+  getClipPlaneCount() {
+    return this.clipping.clipPlanes.length;
+  }
+
+  /**
+   * Get all clipping planes
+   * @returns {{normal: number[], value: number, color: number, caps: boolean}[]} the clipping planes.
+   **/
+  getClipPlanes() {
+    return this.clipping.clipPlanes.map((_, i) => ({
+      normal: this.clipNormals[i],
+      value: this.getClipSlider(i),
+      color: this.clipping.colors[i],
+      caps: this.clipping.capsVisible[i],
+    }));
+  }
+
+  /**
+   * Add a clipping plane
+   * @function
+   * @param {number[]} [normal=null] - 3 dim array representing the normal, null for the viewing direction
+   * @param {number} [value=null] - value of the slider, if given
+   * @param {number | string} [color=null] - color of the plane helper and the caps, null for the default color
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   * @returns {number} index of the new clipping plane
+   */
+  addClipPlane(normal = null, value = null, color = null, notify = true) {
+    if (this.clipSectionBox) {
+      throw new Error("Clipping planes are fixed in section box mode");
+    }
+    if (normal == null) {
+      normal = this._getViewDirection();
+    }
+    const normal1 = new THREE.Vector3(...normal).normalize();
+    const index = this.clipping.addPlane(
+      normal1,
+      color == null ? null : new THREE.Color(color).getHex(),
+    );
+    this.clipNormals.push(normal1.toArray());
+    this._createClipPlaneRows(
+      this.display.clipSliders.map((slider) => slider.getValue()),
+    );
+    this.setClipNormal(index, normal1.toArray(), value, notify);
+
+    this.checkChanges({ clip_plane_list: this.getClipPlanes() }, notify);
+    return index;
+  }
+
+  /**
+   * Remove a clipping plane, the planes after it move down by one index
+   * @function
+   * @param {number} index - index of the clipping plane
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   */
+  removeClipPlane(index, notify = true) {
+    if (this.clipSectionBox) {
+      throw new Error("Clipping planes are fixed in section box mode");
+    }
+    if (index < 0 || index >= this.clipping.clipPlanes.length) {
+      throw new Error(`Unknown clipping plane: ${index}`);
+    }
+    const values = this.display.clipSliders
+      .map((slider) => slider.getValue())
+      .filter((_, i) => i !== index);
+    this.cancelClipPlanePick(notify);
+    this.stopClipSweep(notify);
+    this.clipping.removePlane(index);
+    this.clipNormals.splice(index, 1);
+    this._createClipPlaneRows(values);
+    this.nestedGroup.setClipPlanes(this.clipping.clipPlanes);
+
+    this.checkChanges({ clip_plane_list: this.getClipPlanes() }, notify);
+    this.update(this.updateMarker);
+  }
+
+  /**
+   * Replace all clipping planes
+   * @param {{normal: number[], value: number, color: number, caps: boolean}[]} planes - the new planes
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   */
+  _replaceClipPlanes(planes, notify = true) {
+    this.cancelClipPlanePick(notify);
+    this.stopClipSweep(notify);
+    for (let i = this.clipping.clipPlanes.length - 1; i >= 0; i--) {
+      this.clipping.removePlane(i);
+    }
+    this.clipNormals = [];
+    planes.forEach((plane, i) => {
+      const normal = new THREE.Vector3(...plane.normal).normalize();
+      this.clipping.addPlane(normal, plane.color);
+      this.clipping.setCapsVisible(i, plane.caps);
+      this.clipNormals.push(normal.toArray());
+    });
+    this._createClipPlaneRows(planes.map((plane) => plane.value));
+    this.nestedGroup.setClipPlanes(this.clipping.clipPlanes);
+
+    this.checkChanges({ clip_plane_list: this.getClipPlanes() }, notify);
+  }
+
+  /**
+   * Get whether the section box mode is enabled
+   * @returns {boolean} section box value.
+   **/
+  getClipSectionBox() {
+    return this.clipSectionBox;
+  }
+
+  /**
+   * Enable/disable the section box mode: six clipping planes clip everything outside of a box.
+   * Enabling initializes the box from the bounding box, disabling restores the previous clipping planes.
+   * @function
+   * @param {boolean} flag - whether to use a section box
+   * @param {boolean} [viewAligned=false] - align the box to the camera instead of the world axes
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   */
+  setClipSectionBox = (flag, viewAligned = false, notify = true) => {
+    if (flag == null) return;
+    const sectionBox = this.clipping.sectionBox;
+
+    if (flag) {
+      if (!this.clipSectionBox) {
+        this.savedClipPlanes = this.getClipPlanes();
+        this.savedClipIntersection = this.clipIntersection;
+      }
+      const axes = [
+        new THREE.Vector3(1, 0, 0),
+        new THREE.Vector3(0, 1, 0),
+        new THREE.Vector3(0, 0, 1),
+      ];
+      if (viewAligned) {
+        const quaternion = this.camera.getCamera().quaternion;
+        axes.forEach((axis) => axis.applyQuaternion(quaternion));
+      }
+      const { min, max } = boxExtents(
+        this.bbox,
+        axes,
+        0.005 * this.bbox.getSize(new THREE.Vector3()).length(),
+      );
+      const center = new THREE.Vector3(...this.bbox.center());
+      const colors = [0, 1, 2].map((i) => this.clipping.defaultColor(i));
+      sectionBox.setBox(axes, min, max);
+      this.clipSectionBox = true;
+      this.sectionBoxUpdate = true;
+      this._replaceClipPlanes(
+        [
+          ...axes.map((axis, k) => ({
+            normal: axis.clone().negate().toArray(),
+            value: max[k] - axis.dot(center),
+            color: colors[k],
+            caps: true,
+          })),
+          ...axes.map((axis, k) => ({
+            normal: axis.toArray(),
+            value: axis.dot(center) - min[k],
+            color: colors[k],
+            caps: true,
+          })),
+        ],
+        notify,
+      );
+      this.sectionBoxUpdate = false;
+      sectionBox.setColors([...colors, ...colors]);
+      this.setClipIntersection(false, notify);
+    } else if (this.clipSectionBox) {
+      this.clipSectionBox = false;
+      this._replaceClipPlanes(this.savedClipPlanes, notify);
+      this.setClipIntersection(this.savedClipIntersection, notify);
+      this.savedClipPlanes = null;
+    }
+    sectionBox.setEnabled(this.clipSectionBox);
+    this.display.setClipSectionBoxCheck(this.clipSectionBox);
+    if (this.clipSectionBox) {
+      this._updateSectionBox(false);
+    }
+
+    this.checkChanges(
+      {
+        clip_section_box: this.clipSectionBox,
+        clip_section_box_extents: this.getClipSectionBoxExtents(),
+      },
+      notify,
+    );
+    this.update(this.updateMarker);
+  };
+
+  /**
+   * Get the extents of the section box
+   * @returns {{axes: number[][], min: number[], max: number[]} | null} the box axes and the minimum
+   *   and maximum along each axis in world coordinates, null if the section box is disabled.
+   **/
+  getClipSectionBoxExtents() {
+    if (!this.clipSectionBox) return null;
+    const sectionBox = this.clipping.sectionBox;
+    return {
+      axes: sectionBox.axes.map((axis) => axis.toArray()),
+      min: [...sectionBox.min],
+      max: [...sectionBox.max],
+    };
+  }
+
+  /**
+   * Set the extents of the section box along its axes
+   * @function
+   * @param {number[]} min - minimum along each axis of the box in world coordinates
+   * @param {number[]} max - maximum along each axis of the box in world coordinates
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   */
+  setClipSectionBoxExtents = (min, max, notify = true) => {
+    if (!this.clipSectionBox) {
+      throw new Error("Section box is not enabled");
+    }
+    const center = new THREE.Vector3(...this.bbox.center());
+    this.sectionBoxUpdate = true;
+    this.clipping.sectionBox.axes.forEach((axis, k) => {
+      const c = axis.dot(center);
+      this.setClipSlider(k, max[k] - c, notify);
+      this.setClipSlider(k + 3, c - min[k], notify);
+    });
+    this.sectionBoxUpdate = false;
+    this._updateSectionBox(notify);
+  };
+
+  /**
+   * Move the handles of the section box to the current clipping planes
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   */
+  _updateSectionBox(notify = true) {
+    const sectionBox = this.clipping.sectionBox;
+    const center = new THREE.Vector3(...this.bbox.center());
+    const min = [];
+    const max = [];
+    sectionBox.axes.forEach((axis, k) => {
+      const c = axis.dot(center);
+      max.push(c + this.clipping.clipPlanes[k].centeredConstant);
+      min.push(c - this.clipping.clipPlanes[k + 3].centeredConstant);
+    });
+    sectionBox.setBox(sectionBox.axes, min, max);
+    this.checkChanges(
+      { clip_section_box_extents: this.getClipSectionBoxExtents() },
+      notify,
+    );
+  }
+
+  /**
+   * Get the color of a clipping plane
+   * @param {number} index - index of the clipping plane
+   * @returns {number} color as hex value.
    **/
-  getClipIntersection() {
-    return this.clipIntersection;
+  getClipPlaneColor(index) {
+    return this.clipping.colors[index];
   }
 
   /**
-   * Set the clipping mode to intersection mode
+   * Set the color of the plane helper and the caps of a clipping plane
    * @function
-   * @param {boolean} flag - whether to use intersection mode
+   * @param {number} index - index of the clipping plane
+   * @param {number | string} color - hex value or css color
    * @param {boolean} [notify=true] - whether to send notification or not.
    */
-  setClipIntersection = (flag, notify = true) => {
-    if (flag == null) return;
-
-    this.clipIntersection = flag;
-    this.nestedGroup.setClipIntersection(flag);
-    this.display.setClipIntersectionCheck(flag);
-
-    for (var child of this.nestedGroup.rootGroup.children) {
-      if (child.name == "PlaneMeshes") {
-        for (var capPlane of child.children) {
-          if (flag) {
-            capPlane.material.clippingPlanes =
-              this.clipping.reverseClipPlanes.filter(
-                (_, j) => j !== capPlane.index,
-              );
-          } else {
-            capPlane.material.clippingPlanes = this.clipping.clipPlanes.filter(
-              (_, j) => j !== capPlane.index,
-            );
-          }
-        }
-      }
-    }
-
-    for (child of this.scene.children) {
-      if (child.name == "PlaneHelpers") {
-        for (var helper of child.children) {
-          if (flag) {
-            helper.material.clippingPlanes =
-              this.clipping.reverseClipPlanes.filter(
-                (_, j) => j !== helper.index,
-              );
-          } else {
-            helper.material.clippingPlanes = this.clipping.clipPlanes.filter(
-              (_, j) => j !== helper.index,
-            );
-          }
-        }
-      }
-    }
+  setClipPlaneColor = (index, color, notify = true) => {
+    if (color == null) return;
+    const threeColor = new THREE.Color(color);
+    this.clipping.setColor(index, threeColor.getHex());
+    this.display.setClipPlaneColorValue(index, `#${threeColor.getHexString()}`);
 
-    this.checkChanges({ clip_intersection: flag }, notify);
+    var notifyObject = {};
+    notifyObject[`clip_color_${index}`] = threeColor.getHex();
+    this.checkChanges(notifyObject, notify);
 
     this.update(this.updateMarker);
   };
 
   /**
-   * Get whether the clipping caps color status
-   * @returns {boolean} color caps value (object color (true) or RGB (false)).
-   */
-  getObjectColorCaps = () => {
-    return this.clipping.getObjectColorCaps();
-  };
+   * Get whether the caps of a clipping plane are shown
+   * @param {number} index - index of the clipping plane
+   * @returns {boolean} caps visibility value.
+   **/
+  getClipCaps(index) {
+    return this.clipping.capsVisible[index];
+  }
 
   /**
-   * Toggle the clipping caps color between object color and RGB
+   * Show/hide the caps of a clipping plane
    * @function
-   * @param {boolean} flag - whether to use intersection mode
+   * @param {number} index - index of the clipping plane
+   * @param {boolean} flag - whether to show the caps
    * @param {boolean} [notify=true] - whether to send notification or not.
    */
-  setClipObjectColorCaps = (flag, notify = true) => {
+  setClipCaps = (index, flag, notify = true) => {
     if (flag == null) return;
-    this.clipping.setObjectColorCaps(flag);
-    this.display.setClipObjectColorsCheck(flag);
-    this.checkChanges({ clip_object_colors: flag }, notify);
+    this.clipping.setCapsVisible(index, flag);
+    this.display.setClipCapsCheck(index, flag);
+
+    var notifyObject = {};
+    notifyObject[`clip_caps_${index}`] = flag;
+    this.checkChanges(notifyObject, notify);
+
     this.update(this.updateMarker);
   };
 
   /**
-   * Get clipping plane state.
-   * @returns {boolean} clip plane visibility value.
+   * Get whether a node is excluded from clipping
+   * @param {string} id - path of the node, e.g. "/Group/part"
+   * @returns {boolean} whether the node or one of its parents is excluded.
    **/
-  getClipPlaneHelpers() {
-    return this.clipPlaneHelpers;
-  }
+  getClipExcluded = (id) => {
+    return this.clipExcludedPaths.some(
+      (path) => id === path || id.startsWith(`${path}/`),
+    );
+  };
 
   /**
-   * Set clip plane helpers check box
-   * @function
-   * @param {boolean} flag - whether to show clip plane helpers
-   */
-  setClipPlaneHelpersCheck(flag) {
-    if (flag == null) return;
-
-    this.display.setClipPlaneHelpersCheck(flag);
+   * Get the nodes excluded from clipping
+   * @returns {string[]} paths of the excluded nodes (without their excluded children).
+   **/
+  getClipExcludedPaths() {
+    return [...this.clipExcludedPaths];
   }
 
   /**
-   * Show/hide clip plane helpers
+   * Exclude a node and all objects below it from clipping or include it again.
+   * Excluded objects are neither clipped nor get caps.
    * @function
-   * @param {boolean} flag - whether to show clip plane helpers
+   * @param {string} id - path of the node, e.g. "/Group/part"
+   * @param {boolean} flag - whether to exclude the node
    * @param {boolean} [notify=true] - whether to send notification or not.
    */
-  setClipPlaneHelpers = (flag, notify = true) => {
+  setClipExcluded = (id, flag, notify = true) => {
     if (flag == null) return;
+    const isBelow = (path, parent) =>
+      path === parent || path.startsWith(`${parent}/`);
+
+    // excluded children get covered by the node
+    var paths = this.clipExcludedPaths.filter((path) => !isBelow(path, id));
+    const parent = paths.find((path) => isBelow(id, path));
+    if (flag && parent == null) {
+      paths.push(id);
+    } else if (!flag && parent != null) {
+      // exclude the siblings of all nodes between the excluded parent and the node
+      paths = paths.filter((path) => path !== parent);
+      var node = this.treeview.findNodeByPath(id);
+      while (node != null && this.treeview.getNodePath(node) !== parent) {
+        const parentNode = this.treeview.getParent(node);
+        for (const child of Object.values(parentNode.children)) {
+          if (child !== node) {
+            paths.push(this.treeview.getNodePath(child));
+          }
+        }
+        node = parentNode;
+      }
+    }
+    this.clipExcludedPaths = paths.sort();
+    this._applyClipExclusions();
 
-    this.clipPlaneHelpers = flag;
-    this.clipping.planeHelpers.visible = flag;
-    this.display.setClipPlaneHelpersCheck(flag);
-
-    this.checkChanges({ clip_planes: flag }, notify);
-
+    this.checkChanges({ clip_excluded: this.getClipExcludedPaths() }, notify);
     this.update(this.updateMarker);
   };
 
+  /**
+   * Toggle whether a node is excluded from clipping (tree label context menu)
+   * @function
+   * @param {string} id - path of the node
+   */
+  toggleClipExcluded = (id) => {
+    this.setClipExcluded(id, !this.getClipExcluded(id));
+  };
+
+  /**
+   * Apply the clipping exclusions to the objects of both nested groups
+   */
+  _applyClipExclusions() {
+    for (const nestedGroup of [
+      this.compactNestedGroup,
+      this.expandedNestedGroup,
+    ]) {
+      if (nestedGroup == null) continue;
+      for (const path in nestedGroup.groups) {
+        const group = nestedGroup.groups[path];
+        const excluded = this.getClipExcluded(path);
+        if (group instanceof ObjectGroup && group.clipExcluded !== excluded) {
+          group.setClipExcluded(excluded);
+        }
+      }
+    }
+    if (this.clipping != null) {
+      this.clipping.updateCapsVisibility();
+      this.clipping.sectionOutlines.needsUpdate = true;
+    }
+    if (this.treeview != null) {
+      this.treeview.updateClipExcluded();
+    }
+  }
+
   /**
    * Get clipping plane state.
-   * @param {boolean} index - index of the normal: 0, 1 ,2
+   * @param {boolean} index - index of the normal
    * @returns {boolean} clip plane visibility value.
    **/
   getClipNormal(index) {
@@ -2684,7 +4304,7 @@ class Viewer {
   /**
    * Set the normal at index to a given normal
    * @function
-   * @param {number} index - index of the normal: 0, 1 ,2
+   * @param {number} index - index of the normal
    * @param {number[]} normal - 3 dim array representing the normal
    * @param {number} [value=null] - value of the slider, if given
    * @param {boolean} [notify=true] - whether to send notification or not.
@@ -2710,18 +4330,26 @@ class Viewer {
   }
 
   /**
-   * Set the normal at index to the current viewing direction
-   * @function
-   * @param {number} index - index of the normal: 0, 1 ,2
-   * @param {boolean} [notify=true] - whether to send notification or not.
+   * The current viewing direction
+   * @returns {number[]} 3 dim array representing the direction
    */
-  setClipNormalFromPosition = (index, notify = true) => {
+  _getViewDirection() {
     const cameraPosition = this.camera.getPosition().clone();
-    const normal = cameraPosition
+    return cameraPosition
       .sub(this.controls.getTarget())
       .normalize()
       .negate()
       .toArray();
+  }
+
+  /**
+   * Set the normal at index to the current viewing direction
+   * @function
+   * @param {number} index - index of the normal
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   */
+  setClipNormalFromPosition = (index, notify = true) => {
+    const normal = this._getViewDirection();
     this.setClipNormal(index, normal, null, notify);
 
     var notifyObject = {};
@@ -2729,10 +4357,234 @@ class Viewer {
     this.checkChanges(notifyObject, notify);
   };
 
+  /**
+   * Set a clipping plane to go exactly through a point
+   * @function
+   * @param {number} index - index of the clipping plane
+   * @param {number[]} point - 3 dim array of a point on the plane
+   * @param {number[]} normal - 3 dim array representing the normal, the side it points to is kept
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   */
+  setClipPlaneFromPoint(index, point, normal, notify = true) {
+    const n = new THREE.Vector3(...normal).normalize();
+    const center = new THREE.Vector3(...this.bbox.center());
+    const value = -n.dot(new THREE.Vector3(...point).sub(center));
+    this.setClipNormal(index, n.toArray(), value, notify);
+    // the slider rounds its value
+    this.refreshPlane(index, value);
+  }
+
+  /**
+   * Get the index of the clipping plane that waits for a face to be picked
+   * @returns {number | null} index of the clipping plane, null if no face is being picked.
+   **/
+  getClipPlanePick() {
+    return this.clipPlanePick == null ? null : this.clipPlanePick.index;
+  }
+
+  /**
+   * Start picking a planar face in the cad view. The next click on a planar face
+   * moves the clipping plane into the face, clipping away what is in front of it.
+   * @function
+   * @param {number} index - index of the clipping plane
+   * @param {boolean} [flip=false] - clip away what is behind the face instead
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   */
+  pickClipPlane = (index, flip = false, notify = true) => {
+    if (this.clipSectionBox) {
+      throw new Error("Clipping planes are fixed in section box mode");
+    }
+    if (this.clipPlanePick == null) {
+      const cadView = this.display.cadView;
+      cadView.addEventListener("mousedown", this._onClipPickDown, true);
+      cadView.addEventListener("mouseup", this._onClipPickUp, true);
+    }
+    this.clipPlanePick = { index: index, flip: flip, start: null };
+    this.display.setClipPlanePickState(index);
+    this.checkChanges({ clip_plane_pick: index }, notify);
+  };
+
+  /**
+   * Stop picking a planar face for a clipping plane
+   * @function
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   */
+  cancelClipPlanePick = (notify = true) => {
+    if (this.clipPlanePick == null) return;
+    const cadView = this.display.cadView;
+    cadView.removeEventListener("mousedown", this._onClipPickDown, true);
+    cadView.removeEventListener("mouseup", this._onClipPickUp, true);
+    this.clipPlanePick = null;
+    this.display.setClipPlanePickState(null);
+    this.checkChanges({ clip_plane_pick: null }, notify);
+  };
+
+  /**
+   * Get the clipping plane that is being swept
+   * @returns {number | null} index of the plane, null if no sweep is running
+   */
+  getClipSweep() {
+    return this.clipSweep == null ? null : this.clipSweep.index;
+  }
+
+  /**
+   * Animate the value of a clipping plane from min to max. The sweep replaces a
+   * running animation (restored after the sweep) and is controlled with the
+   * play, pause and stop buttons of the animation control.
+   * @function
+   * @param {number} index - index of the clipping plane
+   * @param {number} [duration=5] - duration of the sweep in seconds
+   * @param {number} [min=null] - start value, null for the lower slider limit
+   * @param {number} [max=null] - end value, null for the upper slider limit
+   * @param {boolean} [repeat=true] - repeat (true) or ping pong (false) the sweep
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   */
+  startClipSweep = (
+    index,
+    duration = 5,
+    min = null,
+    max = null,
+    repeat = true,
+    notify = true,
+  ) => {
+    if (index < 0 || index >= this.clipping.clipPlanes.length) {
+      throw new Error(`Unknown clipping plane: ${index}`);
+    }
+    if (this.clipSweep != null) {
+      this.stopClipSweep(false);
+    }
+    if (this.display.explodeFlag) {
+      this.display.setExplodeCheck(false);
+      this.display.setExplode("", false);
+    }
+    if (this.hasAnimation()) {
+      this.display.controlAnimationByName("stop");
+      this.backupAnimation();
+    }
+    this.clearAnimation();
+
+    const limit = this.display.sliderLimit;
+    min = min == null ? -limit : min;
+    max = max == null ? limit : max;
+    this.clipSweep = {
+      index: index,
+      target: new ValueTarget((value) =>
+        this.setClipSlider(index, value, false),
+      ),
+    };
+    this.animation.addValueTrack([0, duration], [min, max]);
+    this.initAnimation(duration, 1, "C", repeat, this.clipSweep.target);
+    this.display.controlAnimationByName("play");
+
+    this.display.setClipSweepState(index);
+    this.checkChanges({ clip_sweep: index }, notify);
+  };
+
+  /**
+   * Stop the sweep of a clipping plane, the plane keeps its current value
+   * @function
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   */
+  stopClipSweep = (notify = true) => {
+    if (this.clipSweep == null) return;
+    this.display.controlAnimationByName("stop");
+    this.clearAnimation();
+    this.clipSweep = null;
+    this.restoreAnimation();
+
+    this.display.setClipSweepState(null);
+    this.checkChanges({ clip_sweep: null }, notify);
+  };
+
+  /**
+   * Record the running clipping sweep as a sequence of equidistant frames from min to max.
+   * The sweep is paused at the last frame.
+   * @param {number} frames - number of frames, at least 2
+   * @param {string} [taskId="clip-sweep"] - prefix of the task ids, the frame number gets appended
+   * @returns {Promise<{task: string, dataUrl: string}[]>} the images as png data
+   */
+  recordClipSweep(frames, taskId = "clip-sweep") {
+    if (this.clipSweep == null) {
+      throw new Error("No clipping sweep is running");
+    }
+    if (frames < 2) {
+      throw new Error("At least 2 frames are needed");
+    }
+    const images = [];
+    var chain = Promise.resolve();
+    for (let i = 0; i < frames; i++) {
+      chain = chain
+        .then(() => {
+          const fraction = i / (frames - 1);
+          this.animation.setRelativeTime(fraction);
+          this.animation.mixer.update(0);
+          this.display.animationSlider.value = 1000 * fraction;
+          return this.getImage(`${taskId}-${i}`);
+        })
+        .then((image) => images.push(image));
+    }
+    return chain.then(() => images);
+  }
+
+  _onClipPickDown = (e) => {
+    this.clipPlanePick.start = [e.clientX, e.clientY];
+  };
+
+  /**
+   * Pick the face under the mouse if it wasn't moved (camera rotation)
+   * @param {MouseEvent} e - a DOM MouseEvent
+   */
+  _onClipPickUp = (e) => {
+    const start = this.clipPlanePick.start;
+    if (
+      e.button != THREE.MOUSE.LEFT ||
+      start == null ||
+      Math.abs(e.clientX - start[0]) + Math.abs(e.clientY - start[1]) > 4
+    ) {
+      return;
+    }
+    const raycaster = new Raycaster(
+      this.camera,
+      this.renderer.domElement,
+      this.cadWidth,
+      this.height,
+      this.bb_max / 30,
+      this.scene.children.slice(0, 1),
+      // eslint-disable-next-line no-unused-vars
+      (ev) => {},
+    );
+    raycaster.onPointerMove(e);
+
+    // only faces that are not clipped away can be picked
+    const planes = this.clipping.clipPlanes;
+    const isClipped = (point) =>
+      this.clipIntersection
+        ? planes.length > 0 && planes.every((p) => p.distanceToPoint(point) < 0)
+        : planes.some((p) => p.distanceToPoint(point) < 0);
+    const hit = raycaster.getSurfaceHit(isClipped);
+    raycaster.dispose();
+    if (hit == null) return;
+
+    // the shape must not get selected by the raycaster of the cad tools
+    e.stopPropagation();
+    const plane = planarFace(hit);
+    if (plane == null) {
+      this.info.addText("Picked face is not planar");
+      return;
+    }
+    const { index, flip } = this.clipPlanePick;
+    this.cancelClipPlanePick();
+    this.setClipPlaneFromPoint(
+      index,
+      plane.point.toArray(),
+      flip ? plane.normal.toArray() : plane.normal.negate().toArray(),
+    );
+  };
+
   /**
    * Get clipping slider value.
    * @function
-   * @param {number} index - index of the normal: 0, 1 ,2
+   * @param {number} index - index of the normal
    * @returns {boolean} clip plane visibility value.
    **/
   getClipSlider = (index) => {
@@ -2742,7 +4594,7 @@ class Viewer {
   /**
    * Set clipping slider value.
    * @function
-   * @param {number} index - index of the normal: 0, 1 ,2
+   * @param {number} index - index of the normal
    * @param {number} value - value for the clipping slide. will be trimmed to slide min/max limits
    * @param {boolean} [notify=true] - whether to send notification or not.
    */
@@ -2856,6 +4708,195 @@ class Viewer {
     return result;
   };
 
+  /**
+   * Export the visible CAD objects as glTF. The assembly hierarchy, object locations,
+   * colors, alpha and textures are kept, nodes are named by their "/" separated paths.
+   * @param {boolean} [binary=true] - GLB (true) or glTF JSON (false)
+   * @returns {Promise<ArrayBuffer | object>} the GLB data or the glTF JSON object
+   */
+  exportGLTF(binary = true) {
+    return exportGLTF(this.nestedGroup, binary);
+  }
+
+  /**
+   * Convert a glTF/GLB, STL, OBJ or 3MF file into Shapes that can be passed to render.
+   * Faces, edges and vertices are derived from the triangle meshes.
+   * @param {ArrayBuffer | string} data - content of the file
+   * @param {string} filename - file name or format, the format is taken from the extension
+   * @param {import ("./import.js").ImportOptions} [options={}] - import options
+   * @returns {Promise<Shapes>}
+   */
+  importModel(data, filename, options = {}) {
+    return importModel(data, filename, options);
+  }
+
+  /**
+   * Read a file with progress feedback in the cad view
+   * @param {File} file - the file to read
+   * @param {boolean} asText - read as text (true) or as ArrayBuffer (false)
+   * @returns {Promise<ArrayBuffer | string>}
+   */
+  _readFile(file, asText) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.addEventListener("progress", (e) => {
+        if (e.lengthComputable && this.display != null) {
+          this.display.showLoadProgress(
+            `Loading ${file.name} ${Math.round((100 * e.loaded) / e.total)}%`,
+          );
+        }
+      });
+      reader.addEventListener("load", () => resolve(reader.result), {
+        once: true,
+      });
+      reader.addEventListener(
+        "error",
+        () => reject(reader.error || new Error(`Cannot read ${file.name}`)),
+        { once: true },
+      );
+      if (asText) {
+        reader.readAsText(file);
+      } else {
+        reader.readAsArrayBuffer(file);
+      }
+    });
+  }
+
+  /**
+   * Report a load error in the info box if a model is shown, else on the console
+   * @param {string} message
+   */
+  _loadError(message) {
+    if (this.ready) {
+      this.info.addText(message);
+    } else {
+      console.error(message);
+    }
+  }
+
+  /**
+   * Load a model from files, e.g. files dropped onto the cad view, and render it instead of the
+   * current model. Supported are Shapes as JSON or binary container (.tcvb) and the formats of importModel, an OBJ file can be
+   * accompanied by its MTL file. The current render and viewer options are kept, only the camera
+   * location is reset.
+   * @param {FileList | File[]} files - the files to load
+   * @param {boolean} [notify=true] - whether to send notification or not.
+   * @returns {Promise<Shapes>} the rendered shapes
+   */
+  loadFiles(files, notify = true) {
+    files = Array.from(files);
+    const isJson = (f) => f.name.toLowerCase().endsWith(".json");
+    const isBinary = (f) => f.name.toLowerCase().endsWith(".tcvb");
+    const file = files.find(
+      (f) => isJson(f) || isBinary(f) || formatFromName(f.name) != null,
+    );
+    if (file == null) {
+      const error = new Error(
+        `Unsupported file: ${files.map((f) => f.name).join(", ")}`,
+      );
+      this._loadError(error.message);
+      return Promise.reject(error);
+    }
+    const format = isJson(file)
+      ? "json"
+      : isBinary(file)
+        ? "tcvb"
+        : formatFromName(file.name);
+    const mtlFile =
+      format === "obj"
+        ? files.find((f) => f.name.toLowerCase().endsWith(".mtl"))
+        : null;
+
+    this.display.showLoadProgress(`Loading ${file.name}`);
+    return Promise.all([
+      this._readFile(file, format === "json" || format === "obj"),
+      mtlFile != null ? this._readFile(mtlFile, true) : null,
+    ])
+      .then(([data, mtl]) => {
+        this.display.showLoadProgress(`Converting ${file.name}`);
+        if (format === "json") {
+          return JSON.parse(data);
+        }
+        if (format === "tcvb") {
+          return decodeShapes(data);
+        }
+        return importModel(data, file.name, { mtl: mtl });
+      })
+      .then((shapes) => {
+        const viewerOptions = { ...this.viewerOptions };
+        for (const key of ["position", "quaternion", "target", "zoom"]) {
+          delete viewerOptions[key];
+        }
+        this.display.showLoadProgress(null);
+        this.clear();
+        return this.renderAsync(shapes, this.renderOptions, viewerOptions);
+      })
+      .then((shapes) => {
+        this.checkChanges({ loaded_file: file.name }, notify);
+        return shapes;
+      })
+      .catch((error) => {
+        if (this.display != null) {
+          this.display.showLoadProgress(null);
+        }
+        this._loadError(`Cannot load ${file.name}: ${error.message}`);
+        throw error;
+      });
+  }
+
+  /**
+   * Welded meshes of the faces of the visible or the selected shapes, one per part
+   * @param {boolean} selection - only the selected shapes (true) or all visible shapes (false)
+   * @param {function} exporter - called with the part meshes, returns the export result
+   * @returns {*} the result of the exporter
+   */
+  _exportParts(selection, exporter) {
+    var groups = null;
+    if (selection) {
+      groups = this.nestedGroup.selection();
+      if (groups.length === 0) {
+        throw new Error("Nothing selected");
+      }
+    }
+    const parts = partMeshes(this.nestedGroup, groups);
+    try {
+      return exporter(parts);
+    } finally {
+      disposePartMeshes(parts);
+    }
+  }
+
+  /**
+   * Export the faces of the visible or the selected shapes as welded STL mesh
+   * @param {boolean} [binary=true] - binary (true) or ASCII (false) STL
+   * @param {boolean} [selection=false] - only the selected shapes (true) or all visible shapes (false)
+   * @returns {DataView | string} the STL data
+   */
+  exportSTL(binary = true, selection = false) {
+    return this._exportParts(selection, (parts) => exportSTL(parts, binary));
+  }
+
+  /**
+   * Export the faces of the visible or the selected shapes as OBJ with one group per part
+   * and a material library with the part colors
+   * @param {boolean} [selection=false] - only the selected shapes (true) or all visible shapes (false)
+   * @param {string} [mtlName="model.mtl"] - file name of the material library referenced by the OBJ
+   * @returns {{obj: string, mtl: string}} the OBJ and MTL files
+   */
+  exportOBJ(selection = false, mtlName = "model.mtl") {
+    return this._exportParts(selection, (parts) => exportOBJ(parts, mtlName));
+  }
+
+  /**
+   * Export the faces of the visible or the selected shapes as PLY with vertex colors
+   * @param {boolean} [binary=false] - binary (true) or ASCII (false) PLY
+   * @param {boolean} [selection=false] - only the selected shapes (true) or all visible shapes (false)
+   * @returns {ArrayBuffer | string} the PLY data
+   */
+  exportPLY(binary = false, selection = false) {
+    return this._exportParts(selection, (parts) => exportPLY(parts, binary));
+  }
+
   /**
    * Calculate explode trajectories and initiate the animation
    *